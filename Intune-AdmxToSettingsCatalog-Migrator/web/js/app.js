@@ -1,39 +1,40 @@
 // app.js - Main application controller, navigation, state, and UI utilities
-import { initMsal, login, logout, getAccount, isAuthenticated } from './auth.js';
+import { initMsal, login, logout, getAccount, getAllAccounts, setAccount, isAuthenticated } from './auth.js';
 import { setApiVersion } from './graph.js';
+import { storageGet, storageSet, storageDelete, migrateFromLocalStorage, getStorageEstimate, requestPersistentStorage } from './storage.js';
 
 // ==================== APP STATE ====================
 export const state = {
+  tenantId: null,         // Tenant of the open workspace
   exportData: null,      // Array of exported ADMX policies
   duplicateReport: null,  // Duplicate analysis results
+  conflictDecisions: {},  // Winning value per conflicting setting key
+  crossCheckReport: null, // Overlaps with existing configuration policies
   mappingSuggestions: null, // Mapping suggestion data
   mappingEntries: null,   // Curated mapping entries
-  manifest: null,         // Migration manifest
-  backups: [],            // Backup snapshots (stored in localStorage)
+  manifest: null,         // Manifest of the latest migration run
+  migrationHistory: [],   // Every migration manifest, oldest first (append-only)
+  validationReport: null, // Post-migration validation results
+  migrationSettings: null, // Naming template and marker key (null = defaults)
+  productPatterns: null,  // Product pattern registry for mapping (null = defaults)
+  scoringSettings: null,  // Mapping confidence thresholds (null = defaults)
+  mappingKnowledge: {},   // Confirmed targets keyed by ADMX definition ID
+  backups: [],            // Backup snapshots (stored separately in IndexedDB)
   currentPage: 'dashboard'
 };
 
-// ==================== INITIALIZATION ====================
-document.addEventListener('DOMContentLoaded', () => {
-  // Restore state from localStorage (persists across refresh and tab close)
-  try {
-    const saved = localStorage.getItem('mk-app-state');
-    if (saved) {
-      const parsed = JSON.parse(saved);
-      Object.assign(state, parsed);
-    }
-  } catch {}
-
-  // Restore backups from localStorage
-  try {
-    const backups = localStorage.getItem('mk-backups');
-    if (backups) state.backups = JSON.parse(backups);
-  } catch {}
+// Snapshot of the empty state, used when a workspace is opened
+const DEFAULT_STATE = structuredClone(state);
 
+// ==================== INITIALIZATION ====================
+document.addEventListener('DOMContentLoaded', async () => {
   // Login button
   document.getElementById('btn-login').addEventListener('click', handleLogin);
   document.getElementById('btn-logout').addEventListener('click', handleLogout);
 
+  // Tenant switcher
+  document.getElementById('tenant-switcher').addEventListener('change', handleTenantSwitch);
+
   // Navigation
   document.querySelectorAll('.nav-btn').forEach(btn => {
     btn.addEventListener('click', () => navigateTo(btn.dataset.page));
@@ -42,13 +43,18 @@ document.addEventListener('DOMContentLoaded', () => {
   // Landing page setup
   initLandingPage();
 
-  // Auto-restore session: if MSAL has a cached account, skip login screen
+  // Migrate old data and load the workspace list before any page renders
+  await loadPersistedState();
+
+  // Auto-restore session: if MSAL has a cached account, skip login screen.
+  // Prefer the account of the tenant that was open last.
   if (APP_CONFIG.isConfigured()) {
     try {
       const { currentAccount } = initMsal();
-      if (currentAccount) {
-        const tenantId = currentAccount.tenantId || '';
-        showApp(currentAccount, tenantId);
+      const account = getAllAccounts().find(a => a.tenantId === workspaces.lastTenantId) || currentAccount;
+      if (account) {
+        setAccount(account);
+        await showApp(account, account.tenantId || '');
       }
     } catch {}
   }
@@ -70,7 +76,7 @@ async function handleLogin() {
 
     const account = getAccount();
     const tenantId = account.tenantId || '';
-    showApp(account, tenantId);
+    await showApp(account, tenantId);
     showToast('Signed in successfully', 'success');
   } catch (error) {
     showToast('Sign-in failed: ' + error.message, 'error');
@@ -131,7 +137,6 @@ function showSetupModal() {
 
 function handleLogout() {
   logout();
-  localStorage.removeItem('mk-app-state');
   document.getElementById('app-shell').classList.add('hidden');
   document.getElementById('login-screen').classList.add('hidden');
   const landing = document.getElementById('landing-page');
@@ -143,7 +148,7 @@ function handleLogout() {
   }
 }
 
-function showApp(account, tenantId) {
+async function showApp(account, tenantId) {
   document.getElementById('landing-page')?.classList.add('hidden');
   document.getElementById('login-screen').classList.add('hidden');
   document.getElementById('app-shell').classList.remove('hidden');
@@ -154,10 +159,13 @@ function showApp(account, tenantId) {
   document.getElementById('user-email').textContent = account.username || '';
   document.getElementById('user-avatar').textContent = name.charAt(0).toUpperCase();
   document.getElementById('sidebar-tenant').textContent = tenantId.substring(0, 8) + '...';
+  document.getElementById('sidebar-tenant').title = tenantId;
 
   setApiVersion('beta');
   document.getElementById('api-badge').textContent = 'API: beta';
 
+  await openWorkspace(tenantId, workspaceLabel(account, tenantId));
+
   navigateTo('dashboard');
 }
 
@@ -183,7 +191,10 @@ export function navigateTo(page) {
     duplicates: ['Duplicate Detector', 'Find duplicate and conflicting settings across policies'],
     mapping: ['Settings Mapping', 'Map ADMX settings to Settings Catalog equivalents'],
     migration: ['Migrate', 'Create Settings Catalog policies from your mapping'],
-    backup: ['Backup & Restore', 'Manage policy snapshots']
+    validate: ['Validate', 'Compare migrated policies against their ADMX source'],
+    history: ['History', 'Past migration runs and rollback'],
+    backup: ['Backup & Restore', 'Manage policy snapshots'],
+    settings: ['Settings', 'Naming templates and migration marker']
   };
 
   const [title, subtitle] = titles[page] || ['Page', ''];
@@ -265,16 +276,225 @@ export function downloadJson(data, filename) {
   URL.revokeObjectURL(url);
 }
 
-export function saveState() {
+export function readJsonFile(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => {
+      try {
+        resolve(JSON.parse(reader.result));
+      } catch (error) {
+        reject(new Error(`${file.name} is not valid JSON: ${error.message}`));
+      }
+    };
+    reader.onerror = () => reject(new Error(`Failed to read ${file.name}`));
+    reader.readAsText(file);
+  });
+}
+
+// ==================== PERSISTENCE ====================
+// State and backups live in IndexedDB (see storage.js). Writes are queued so an
+// older save can never land after a newer one.
+let saveQueue = Promise.resolve();
+let lastSaveError = null;
+
+async function loadPersistedState() {
   try {
-    localStorage.setItem('mk-app-state', JSON.stringify(state));
-  } catch {}
+    const { migrated, corrupt } = await migrateFromLocalStorage();
+    const saved = await storageGet('workspaces');
+    if (saved) workspaces = saved;
+    if (migrated.length > 0) {
+      showToast('Saved data moved from localStorage to IndexedDB', 'info');
+    }
+    if (corrupt.length > 0) {
+      showToast(`Old saved data could not be read and was set aside (${corrupt.join(', ')})`, 'warning');
+    }
+  } catch (error) {
+    showToast('Could not load saved data: ' + error.message, 'error');
+  }
+  requestPersistentStorage();
+  updateStorageIndicator();
+}
+
+function persist(key, getValue, label) {
+  saveQueue = saveQueue.then(async () => {
+    try {
+      await storageSet(key, getValue());
+      lastSaveError = null;
+      return true;
+    } catch (error) {
+      lastSaveError = error;
+      showToast(`Failed to save ${label}: ${error.message}`, 'error');
+      return false;
+    } finally {
+      updateStorageIndicator();
+    }
+  });
+  return saveQueue;
+}
+
+// Resolves to false if the write failed (the error has already been shown)
+export function saveState() {
+  if (!state.tenantId) return Promise.resolve(false);
+  return persist(workspaceKey('app-state'), () => {
+    const { backups, ...rest } = state;
+    return rest;
+  }, 'app state');
 }
 
 export function saveBackups() {
+  if (!state.tenantId) return Promise.resolve(false);
+  return persist(workspaceKey('backups'), () => state.backups, 'backups');
+}
+
+// ==================== WORKSPACES ====================
+// Each tenant has its own workspace: export, mapping, manifest and backups are
+// stored under keys suffixed with the tenant ID, so switching customers never
+// shows (or acts on) another tenant's data.
+let workspaces = { lastTenantId: null, items: [] };
+
+function workspaceKey(base, tenantId = state.tenantId) {
+  return `${base}:${tenantId}`;
+}
+
+function workspaceLabel(account, tenantId) {
+  const domain = (account.username || '').split('@')[1];
+  return domain || tenantId.substring(0, 8);
+}
+
+async function openWorkspace(tenantId, label) {
+  // Let pending saves of the previous workspace finish before swapping state
+  await saveQueue;
+
+  for (const key of Object.keys(state)) delete state[key];
+  Object.assign(state, structuredClone(DEFAULT_STATE), { tenantId });
+
   try {
-    localStorage.setItem('mk-backups', JSON.stringify(state.backups));
-  } catch {}
+    await adoptUnscopedData(tenantId);
+    const saved = await storageGet(workspaceKey('app-state'));
+    if (saved) Object.assign(state, saved, { tenantId });
+    const backups = await storageGet(workspaceKey('backups'));
+    if (Array.isArray(backups)) state.backups = backups;
+  } catch (error) {
+    showToast('Could not load workspace: ' + error.message, 'error');
+  }
+
+  const existing = workspaces.items.find(w => w.tenantId === tenantId);
+  if (existing) {
+    existing.label = label;
+    existing.lastUsed = new Date().toISOString();
+  } else {
+    workspaces.items.push({ tenantId, label, lastUsed: new Date().toISOString() });
+  }
+  workspaces.lastTenantId = tenantId;
+  persist('workspaces', () => workspaces, 'workspace list');
+
+  renderTenantSwitcher();
+  // Pages clear whatever they still show of the previous tenant
+  window.dispatchEvent(new CustomEvent('workspace-changed', { detail: { tenantId } }));
+}
+
+// Data saved before workspaces existed has no tenant; it is given to the first
+// tenant opened. Manifests in it have no tenantId and are treated with caution.
+async function adoptUnscopedData(tenantId) {
+  let adopted = false;
+  for (const base of ['app-state', 'backups']) {
+    const value = await storageGet(base);
+    if (value === undefined) continue;
+    if (await storageGet(workspaceKey(base, tenantId)) === undefined) {
+      await storageSet(workspaceKey(base, tenantId), value);
+      adopted = true;
+    }
+    await storageDelete(base);
+  }
+  if (adopted) {
+    showToast(`Previously saved data was assigned to tenant ${tenantId.substring(0, 8)}...`, 'info');
+  }
+}
+
+// Display label (usually the tenant domain) of the open workspace
+export function getWorkspaceLabel() {
+  const current = workspaces.items.find(w => w.tenantId === state.tenantId);
+  return (current && current.label) || state.tenantId || '';
+}
+
+function renderTenantSwitcher() {
+  const select = document.getElementById('tenant-switcher');
+  if (!select) return;
+
+  const items = [...workspaces.items].sort((a, b) => (b.lastUsed || '').localeCompare(a.lastUsed || ''));
+  select.innerHTML = items.map(w => `
+    <option value="${escapeHtml(w.tenantId)}" ${w.tenantId === state.tenantId ? 'selected' : ''}>${escapeHtml(w.label || w.tenantId)}</option>
+  `).join('') + '<option value="__add">+ Sign in to another tenant...</option>';
+}
+
+async function handleTenantSwitch(e) {
+  const tenantId = e.target.value;
+  if (tenantId === state.tenantId) return;
+
+  try {
+    let account = tenantId === '__add' ? null : getAllAccounts().find(a => a.tenantId === tenantId);
+    if (account) {
+      setAccount(account);
+    } else {
+      // No cached account for this tenant: sign in interactively
+      await login();
+      account = getAccount();
+    }
+
+    if (tenantId !== '__add' && account.tenantId !== tenantId) {
+      showToast('Signed in to a different tenant than the one selected', 'warning');
+    }
+    await showApp(account, account.tenantId || '');
+    showToast(`Switched to ${workspaceLabel(account, account.tenantId || '')}`, 'success');
+  } catch (error) {
+    showToast('Tenant switch failed: ' + error.message, 'error');
+    renderTenantSwitcher();
+  }
+}
+
+// Returns a reason why tenant-changing actions must not run, or null if the
+// given manifest/snapshot was created in the signed-in tenant. The open
+// workspace always belongs to the signed-in tenant (see showApp).
+export function getTenantMismatch(record) {
+  const signedIn = getAccount()?.tenantId || '';
+  if (record && record.tenantId && record.tenantId !== signedIn) {
+    return `This was created in tenant ${record.tenantId}, but you are signed in to ${signedIn}.`;
+  }
+  return null;
+}
+
+function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  if (bytes < 1024 * 1024 * 1024) return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+  return `${(bytes / 1024 / 1024 / 1024).toFixed(1)} GB`;
+}
+
+async function updateStorageIndicator() {
+  const badge = document.getElementById('storage-badge');
+  if (!badge) return;
+
+  const estimate = await getStorageEstimate();
+  const base = 'px-3 py-1 text-xs font-medium rounded-full';
+
+  if (lastSaveError) {
+    badge.className = `${base} bg-red-100 text-red-700`;
+    badge.textContent = 'Storage: save failed';
+    badge.title = lastSaveError.message;
+    return;
+  }
+  if (!estimate) {
+    badge.className = `${base} hidden`;
+    return;
+  }
+
+  const pct = estimate.quota > 0 ? (estimate.usage / estimate.quota) * 100 : 0;
+  const color = pct >= 90 ? 'bg-red-100 text-red-700'
+    : pct >= 75 ? 'bg-amber-100 text-amber-700'
+    : 'bg-gray-100 text-gray-600';
+  badge.className = `${base} ${color}`;
+  badge.textContent = `Storage: ${formatBytes(estimate.usage)}`;
+  badge.title = `${formatBytes(estimate.usage)} of ${formatBytes(estimate.quota)} used (${pct.toFixed(1)}%)`;
 }
 
 export function logLine(containerId, message, level = 'info') {
@@ -94,6 +94,16 @@ export function getAccount() {
   return currentAccount;
 }
 
+// All accounts in the MSAL cache (one per tenant signed in to)
+export function getAllAccounts() {
+  return msalInstance ? msalInstance.getAllAccounts() : [];
+}
+
+// Make a cached account the one used for token requests (tenant switching)
+export function setAccount(account) {
+  currentAccount = account;
+}
+
 export function isAuthenticated() {
   return currentAccount !== null;
 }
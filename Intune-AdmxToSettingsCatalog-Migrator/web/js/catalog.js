@@ -0,0 +1,204 @@
+// catalog.js - Local Settings Catalog definition index
+// The full /deviceManagement/configurationSettings catalog (Windows settings
+// only) can be downloaded once and kept in IndexedDB with a version stamp.
+// While the index is enabled, mapping and the manual search modal query it
+// with tokenized, fuzzy matching instead of sending $filter requests, which
+// is much faster for large exports and works offline. The catalog is the same
+// for every tenant, so it is stored outside the tenant workspaces.
+import { graphGet, getApiVersion, searchSettingsCatalog, searchSettingsCatalogByProduct } from './graph.js';
+import { storageGet, storageSet, storageDelete } from './storage.js';
+
+const INDEX_KEY = 'catalog-index';
+const META_KEY = 'catalog-index-meta';
+const INDEX_FORMAT = 1;
+const DESCRIPTION_LENGTH = 300;
+
+// Older than this, the status line suggests a refresh
+export const CATALOG_MAX_AGE_DAYS = 30;
+
+// meta: { format, version, downloadedAt, apiVersion, count, enabled }
+let meta = null;
+let settings = null;     // [{ id, displayName, description, keywords, '@odata.type' }]
+let tokenIndex = null;   // token -> Set of indices into settings
+let tokensByLetter = null; // first letter -> [token], for fuzzy lookups
+
+export async function loadCatalogMeta() {
+  meta = (await storageGet(META_KEY)) || null;
+  if (meta && meta.format !== INDEX_FORMAT) meta = null;
+  return meta;
+}
+
+export function getCatalogMeta() {
+  return meta;
+}
+
+export function isCatalogIndexActive() {
+  return Boolean(meta && meta.enabled);
+}
+
+export async function setCatalogIndexEnabled(enabled) {
+  if (!meta) return;
+  meta = { ...meta, enabled };
+  await storageSet(META_KEY, meta);
+}
+
+export function catalogAgeDays() {
+  if (!meta) return null;
+  return Math.floor((Date.now() - Date.parse(meta.downloadedAt)) / 86400000);
+}
+
+// Downloads every Windows setting definition. onProgress(count) is called per page.
+export async function downloadCatalog(onProgress = () => {}) {
+  const downloaded = [];
+  let url = '/deviceManagement/configurationSettings?$select=id,displayName,description,keywords';
+  while (url) {
+    const resp = await graphGet(url);
+    for (const s of (resp && resp.value) || []) {
+      if (!(s.id || '').toLowerCase().includes('_vendor_msft_')) continue;
+      downloaded.push({
+        id: s.id,
+        displayName: s.displayName || '',
+        description: (s.description || '').substring(0, DESCRIPTION_LENGTH),
+        keywords: s.keywords || [],
+        '@odata.type': s['@odata.type'] || ''
+      });
+    }
+    onProgress(downloaded.length);
+    url = resp && resp['@odata.nextLink'] ? resp['@odata.nextLink'] : null;
+  }
+
+  const downloadedAt = new Date().toISOString();
+  const newMeta = {
+    format: INDEX_FORMAT,
+    version: `${getApiVersion()}-${downloadedAt.substring(0, 10)}-${downloaded.length}`,
+    downloadedAt,
+    apiVersion: getApiVersion(),
+    count: downloaded.length,
+    enabled: true
+  };
+  await storageSet(INDEX_KEY, downloaded);
+  await storageSet(META_KEY, newMeta);
+  meta = newMeta;
+  settings = downloaded;
+  tokenIndex = null;
+  return meta;
+}
+
+export async function deleteCatalog() {
+  await storageDelete(INDEX_KEY);
+  await storageDelete(META_KEY);
+  meta = null;
+  settings = null;
+  tokenIndex = null;
+}
+
+// ==================== SEARCH ====================
+
+const STOP_WORDS = new Set(['the', 'a', 'an', 'of', 'to', 'for', 'in', 'on', 'and', 'or', 'is', 'be', 'by', 'with', 'from', 'this', 'that']);
+
+function tokenize(text) {
+  return String(text || '')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(t => t.length > 1 && !STOP_WORDS.has(t));
+}
+
+// Setting IDs carry words too: device_vendor_msft_policy_config_microsoft_edgev80diff~policy~microsoft_edge_smartscreenenabled
+function settingTokens(s) {
+  const idTail = s.id.split('~').pop().replace(/^device_vendor_msft_policy_config_|^user_vendor_msft_policy_config_/, '');
+  return new Set([...tokenize(s.displayName), ...tokenize(idTail), ...s.keywords.flatMap(tokenize)]);
+}
+
+async function ensureIndex() {
+  if (!settings) settings = (await storageGet(INDEX_KEY)) || [];
+  if (tokenIndex) return;
+  tokenIndex = new Map();
+  settings.forEach((s, i) => {
+    for (const token of settingTokens(s)) {
+      if (!tokenIndex.has(token)) tokenIndex.set(token, new Set());
+      tokenIndex.get(token).add(i);
+    }
+  });
+  tokensByLetter = new Map();
+  for (const token of tokenIndex.keys()) {
+    const letter = token[0];
+    if (!tokensByLetter.has(letter)) tokensByLetter.set(letter, []);
+    tokensByLetter.get(letter).push(token);
+  }
+}
+
+// True when a and b differ by at most one insertion, deletion or substitution
+function withinOneEdit(a, b) {
+  if (Math.abs(a.length - b.length) > 1) return false;
+  let i = 0;
+  let j = 0;
+  let edits = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) { i++; j++; continue; }
+    if (++edits > 1) return false;
+    if (a.length > b.length) i++;
+    else if (b.length > a.length) j++;
+    else { i++; j++; }
+  }
+  return edits + (a.length - i) + (b.length - j) <= 1;
+}
+
+// Indices of settings matching one query token, with a weight per match kind:
+// exact token 3, prefix 2, one typo 1
+function matchToken(token) {
+  const matches = new Map();
+  const add = (indices, weight) => {
+    for (const i of indices) matches.set(i, Math.max(matches.get(i) || 0, weight));
+  };
+  if (tokenIndex.has(token)) add(tokenIndex.get(token), 3);
+  for (const candidate of (tokensByLetter.get(token[0]) || [])) {
+    if (candidate === token) continue;
+    if (token.length >= 3 && candidate.startsWith(token)) add(tokenIndex.get(candidate), 2);
+    else if (token.length >= 5 && withinOneEdit(token, candidate)) add(tokenIndex.get(candidate), 1);
+  }
+  return matches;
+}
+
+// Ranked local search; results have the same shape as the Graph search results
+export async function searchLocalCatalog(query, limit = 50) {
+  await ensureIndex();
+  const tokens = [...new Set(tokenize(query))];
+  if (tokens.length === 0) return [];
+
+  const scores = new Map();
+  const hits = new Map();
+  for (const token of tokens) {
+    for (const [i, weight] of matchToken(token)) {
+      scores.set(i, (scores.get(i) || 0) + weight);
+      hits.set(i, (hits.get(i) || 0) + 1);
+    }
+  }
+
+  // Most query words must be found; a whole-phrase match ranks first
+  const phrase = query.toLowerCase().trim();
+  const minHits = Math.ceil(tokens.length / 2);
+  const ranked = [];
+  for (const [i, score] of scores) {
+    if (hits.get(i) < minHits) continue;
+    const name = settings[i].displayName.toLowerCase();
+    const bonus = name === phrase ? 10 : name.includes(phrase) ? 5 : 0;
+    ranked.push({ i, score: score + bonus });
+  }
+  ranked.sort((a, b) => b.score - a.score || settings[a.i].displayName.length - settings[b.i].displayName.length);
+  return ranked.slice(0, limit).map(r => settings[r.i]);
+}
+
+export async function searchLocalCatalogByProduct(productIdPattern, limit = 200) {
+  await ensureIndex();
+  const pattern = productIdPattern.toLowerCase();
+  return settings.filter(s => s.id.toLowerCase().includes(pattern)).slice(0, limit);
+}
+
+// Search entry points for mapping: the local index when enabled, Graph otherwise
+export async function searchSettings(query) {
+  return isCatalogIndexActive() ? searchLocalCatalog(query) : searchSettingsCatalog(query);
+}
+
+export async function searchSettingsByProduct(productIdPattern) {
+  return isCatalogIndexActive() ? searchLocalCatalogByProduct(productIdPattern) : searchSettingsCatalogByProduct(productIdPattern);
+}
@@ -0,0 +1,139 @@
+// conflicts.js - Setting identity, value fingerprints and stored conflict decisions
+// A conflict is the same ADMX setting configured with different values in
+// several policies. The admin picks a winning value on the Duplicates page;
+// the decision is stored in state.conflictDecisions (keyed by setting key) and
+// applied to the mapping index, so losing settings are either left out
+// ('exclude') or migrated with the winning value ('override').
+import { state, saveState } from './app.js';
+import { getOperatorUpn } from './manifests.js';
+
+export const DECISION_MODES = {
+  exclude: 'Exclude losing settings',
+  override: 'Override with winning value'
+};
+
+export function settingNameOf(dv) {
+  if (dv.definition && dv.definition.displayName) return dv.definition.displayName;
+  return dv.displayName || null;
+}
+
+// Identifies "the same setting" across policies
+export function settingKeyOf(dv) {
+  if (dv.definition && dv.definition.id) return `defId:${dv.definition.id}`;
+  const name = settingNameOf(dv);
+  return name ? `name:${name.toLowerCase().trim()}` : `dvId:${dv.id}`;
+}
+
+export function configuredStateOf(dv) {
+  if (dv.enabled === true) return 'enabled';
+  if (dv.enabled === false) return 'disabled';
+  return 'unknown';
+}
+
+// Configured state plus presentation values, for deeper conflict detection
+export function valueFingerprintOf(dv) {
+  let fingerprint = configuredStateOf(dv);
+  if (dv.presentationValues && dv.presentationValues.length > 0) {
+    const pvParts = dv.presentationValues
+      .map(pv => {
+        const val = pv.value !== undefined ? pv.value
+          : pv.values !== undefined ? JSON.stringify(pv.values)
+          : pv.booleanValue !== undefined ? String(pv.booleanValue)
+          : pv.decimalValue !== undefined ? String(pv.decimalValue)
+          : pv.stringValue !== undefined ? pv.stringValue
+          : '';
+        return val;
+      })
+      .sort();
+    fingerprint += '|' + pvParts.join(',');
+  }
+  return fingerprint;
+}
+
+// ==================== DECISIONS ====================
+
+export function getConflictDecisions() {
+  if (!state.conflictDecisions) state.conflictDecisions = {};
+  return state.conflictDecisions;
+}
+
+export function getConflictDecision(settingKey) {
+  return getConflictDecisions()[settingKey] || null;
+}
+
+export function saveConflictDecision(settingKey, { settingName, winnerFingerprint, winnerPolicyId, mode }) {
+  getConflictDecisions()[settingKey] = {
+    settingName,
+    winnerFingerprint,
+    winnerPolicyId,
+    mode,
+    decidedAt: new Date().toISOString(),
+    decidedBy: getOperatorUpn()
+  };
+  saveState();
+}
+
+export function clearConflictDecision(settingKey) {
+  delete getConflictDecisions()[settingKey];
+  saveState();
+}
+
+// Role of one policy's setting under the stored decisions:
+// null (no decision), 'winner', 'excluded' or 'overridden'
+export function decisionRoleOf(dv) {
+  const decision = getConflictDecision(settingKeyOf(dv));
+  if (!decision) return null;
+  if (valueFingerprintOf(dv) === decision.winnerFingerprint) return 'winner';
+  return decision.mode === 'override' ? 'overridden' : 'excluded';
+}
+
+// Returns a copy of the mapping index (keyed "policyId|definitionValueId")
+// with the stored decisions applied. Losing entries are marked
+// excludedByDecision (no payload) or get the winner's payload. An override
+// whose winning value is not mapped falls back to exclusion.
+export function applyConflictDecisions(mapIndex, exportData) {
+  const decisions = getConflictDecisions();
+  if (!mapIndex || Object.keys(decisions).length === 0) return mapIndex;
+
+  // Payload of the winning value, per setting key
+  const winners = new Map();
+  for (const policy of (exportData || [])) {
+    for (const dv of (policy.definitionValues || [])) {
+      const settingKey = settingKeyOf(dv);
+      const decision = decisions[settingKey];
+      if (!decision || winners.has(settingKey) || valueFingerprintOf(dv) !== decision.winnerFingerprint) continue;
+      const entry = mapIndex[`${policy.id}|${dv.id}`];
+      if (entry && entry.settingPayload) winners.set(settingKey, entry);
+    }
+  }
+
+  const result = { ...mapIndex };
+  for (const policy of (exportData || [])) {
+    for (const dv of (policy.definitionValues || [])) {
+      const settingKey = settingKeyOf(dv);
+      const decision = decisions[settingKey];
+      if (!decision || valueFingerprintOf(dv) === decision.winnerFingerprint) continue;
+
+      const key = `${policy.id}|${dv.id}`;
+      const base = result[key] || { sourcePolicyId: policy.id, sourceDefinitionValueId: dv.id };
+      const winner = winners.get(settingKey);
+      if (decision.mode === 'override' && winner) {
+        result[key] = {
+          ...base,
+          targetSettingDefinitionId: winner.targetSettingDefinitionId,
+          settingPayload: winner.settingPayload,
+          translationWarnings: winner.translationWarnings || [],
+          overriddenByDecision: settingKey
+        };
+      } else {
+        result[key] = {
+          ...base,
+          settingPayload: null,
+          excludedByDecision: settingKey,
+          ...(decision.mode === 'override' ? { decisionWarning: 'winning value is not mapped, setting excluded' } : {})
+        };
+      }
+    }
+  }
+  return result;
+}
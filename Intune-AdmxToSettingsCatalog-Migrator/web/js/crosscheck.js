@@ -0,0 +1,121 @@
+// crosscheck.js - Compare mapped ADMX settings with existing configurationPolicies
+// Settings Catalog, Endpoint Security and security baseline policies all live
+// under /deviceManagement/configurationPolicies. Every ADMX setting is mapped
+// through the current mapping (with conflict decisions applied) and looked up
+// by settingDefinitionId in the settings of every existing policy. Policies
+// created by this tool (marker in the description) are left out: they are the
+// migrated ADMX policies themselves.
+import { state, logLine } from './app.js';
+import { getSettingsCatalogPolicies, getSettingsCatalogPolicySettings } from './graph.js';
+import { preloadMappingDefinitions, buildMappingIndex, canonicalInstance, describeInstance } from './translate.js';
+import { applyConflictDecisions, settingNameOf } from './conflicts.js';
+import { getMarkerKeys } from './naming.js';
+
+export function policyKind(policy) {
+  const ref = policy.templateReference || {};
+  const family = ref.templateFamily || 'none';
+  if (family === 'none') return 'Settings Catalog';
+  if (family.startsWith('endpointSecurity')) return 'Endpoint Security';
+  if (family === 'baseline') return 'Security Baseline';
+  return family;
+}
+
+// Every setting instance of a policy, including children of choice and group
+// settings, as [settingDefinitionId, instance] pairs
+function collectInstances(inst, out = []) {
+  if (!inst) return out;
+  out.push([inst.settingDefinitionId, inst]);
+  const children = [
+    ...((inst.choiceSettingValue && inst.choiceSettingValue.children) || []),
+    ...(inst.groupSettingCollectionValue || []).flatMap(g => g.children || [])
+  ];
+  for (const child of children) collectInstances(child, out);
+  return out;
+}
+
+export async function runCrossCheck(logId) {
+  // Payloads are built exactly as the migration builds them
+  await preloadMappingDefinitions(state.mappingEntries, state.mappingSuggestions, { log: (msg, level) => logLine(logId, msg, level) });
+  const mapIndex = applyConflictDecisions(buildMappingIndex(state.mappingEntries, state.mappingSuggestions), state.exportData);
+  if (!mapIndex) throw new Error('No mapping data. Generate or import a mapping first.');
+
+  logLine(logId, 'Loading existing configuration policies...');
+  const markerPattern = new RegExp(`(?:${getMarkerKeys().join('|')})=`);
+  const allPolicies = await getSettingsCatalogPolicies();
+  const policies = allPolicies.filter(p => !markerPattern.test(p.description || ''));
+  logLine(logId, `${allPolicies.length} policies found, ${allPolicies.length - policies.length} created by this tool skipped`);
+
+  // settingDefinitionId -> [{ policyId, policyName, kind, instance }]
+  const existing = new Map();
+  let failedPolicies = 0;
+  for (const policy of policies) {
+    let settings;
+    try {
+      settings = await getSettingsCatalogPolicySettings(policy.id);
+    } catch (error) {
+      failedPolicies++;
+      logLine(logId, `Could not read settings of "${policy.name}": ${error.message}`, 'warn');
+      continue;
+    }
+    for (const s of settings) {
+      for (const [sid, inst] of collectInstances(s && s.settingInstance)) {
+        if (!existing.has(sid)) existing.set(sid, []);
+        existing.get(sid).push({ policyId: policy.id, policyName: policy.name, kind: policyKind(policy), instance: inst });
+      }
+    }
+  }
+  logLine(logId, `Indexed ${existing.size} distinct settings from ${policies.length - failedPolicies} policies`);
+
+  const overlaps = [];
+  let checkedSettings = 0;
+  for (const policy of state.exportData) {
+    for (const dv of (policy.definitionValues || [])) {
+      const mapping = mapIndex[`${policy.id}|${dv.id}`];
+      const inst = mapping && mapping.settingPayload && mapping.settingPayload.settingInstance;
+      if (!inst) continue;
+      checkedSettings++;
+      const matches = existing.get(inst.settingDefinitionId);
+      if (!matches) continue;
+
+      const expected = canonicalInstance(inst);
+      const expectedKey = JSON.stringify(expected);
+      const rows = matches.map(m => {
+        const actual = canonicalInstance(m.instance);
+        return {
+          policyId: m.policyId,
+          policyName: m.policyName,
+          kind: m.kind,
+          value: describeInstance(actual),
+          status: JSON.stringify(actual) === expectedKey ? 'same' : 'conflict'
+        };
+      });
+      const isConflict = rows.some(r => r.status === 'conflict');
+      overlaps.push({
+        sourcePolicyId: policy.id,
+        sourcePolicyName: policy.displayName,
+        sourceDefinitionValueId: dv.id,
+        settingName: settingNameOf(dv) || inst.settingDefinitionId,
+        settingDefinitionId: inst.settingDefinitionId,
+        admxValue: describeInstance(expected),
+        isConflict,
+        existing: rows
+      });
+      logLine(logId, `${isConflict ? 'CONFLICT' : 'OVERLAP'}: "${policy.displayName}" / ${inst.settingDefinitionId} also set in ${rows.map(r => `"${r.policyName}"`).join(', ')}`, isConflict ? 'warn' : 'info');
+    }
+  }
+
+  const conflicts = overlaps.filter(o => o.isConflict).length;
+  return {
+    generatedAt: new Date().toISOString(),
+    summary: {
+      existingPolicies: policies.length,
+      skippedMigratedPolicies: allPolicies.length - policies.length,
+      unreadablePolicies: failedPolicies,
+      checkedSettings,
+      overlaps: overlaps.length,
+      conflicts,
+      sameValue: overlaps.length - conflicts
+    },
+    overlaps
+  };
+}
@@ -14,6 +14,22 @@ export function getApiVersion() {
   return apiVersion;
 }
 
+// Callbacks told about every throttled (429) response, e.g. so the job runner
+// can lower its concurrency. Each receives the wait in milliseconds.
+const _throttleListeners = new Set();
+
+export function onThrottle(listener) {
+  _throttleListeners.add(listener);
+  return () => _throttleListeners.delete(listener);
+}
+
+// Token and sign-in failures: retrying or searching on cannot succeed until
+// the user signs in again
+export function isAuthError(error) {
+  const msg = (error && error.message) || '';
+  return msg.startsWith('Graph API 401') || msg.startsWith('Failed to acquire token') || msg.startsWith('Not authenticated');
+}
+
 async function graphRequest(method, url, body = null, extraHeaders = {}) {
   const token = await getToken();
   const headers = {
@@ -38,6 +54,7 @@ async function graphRequest(method, url, body = null, extraHeaders = {}) {
         if (attempt < maxRetries) {
           const retryAfter = response.headers.get('Retry-After');
           const waitMs = retryAfter ? parseInt(retryAfter) * 1000 : delay;
+          if (response.status === 429) _throttleListeners.forEach(l => l(waitMs));
           await new Promise(r => setTimeout(r, waitMs));
           delay *= 2;
           continue;
@@ -108,6 +125,127 @@ export async function graphGetPaged(path, extraHeaders = {}) {
   return items;
 }
 
+// ==================== JSON BATCHING ====================
+// Graph accepts up to 20 requests per /$batch call. Items answered with 429
+// or 5xx are sent again in a later batch after their Retry-After; the batch
+// call itself goes through graphRequest and its retries.
+const BATCH_LIMIT = 20;
+const BATCH_MAX_RETRIES = 4;
+
+function batchError(status, body) {
+  const err = (body && body.error) || {};
+  return new Error(`Graph API ${status}: ${err.message || JSON.stringify(body)}`);
+}
+
+// requests: [{ method, path, body?, headers? }] with paths relative to the
+// API version. Returns one { status, body, error } per request, in order;
+// error is set for failed items, like the Error graphRequest would throw.
+// A batch call that fails as a whole fails each of its items, so the caller
+// always learns which requests went through.
+// sequential: chain each batch with dependsOn so Graph runs its requests
+// one after another (e.g. writes to the same policy). Items skipped because
+// an earlier one failed (424) are sent again.
+export async function graphBatch(requests, { sequential = false } = {}) {
+  const results = new Array(requests.length).fill(null);
+  const attempts = new Array(requests.length).fill(0);
+  let pending = requests.map((_, i) => i);
+  let delay = 2000;
+
+  while (pending.length > 0) {
+    const retry = [];
+    let waitMs = 0;
+    for (let start = 0; start < pending.length; start += BATCH_LIMIT) {
+      const chunk = pending.slice(start, start + BATCH_LIMIT);
+      let resp;
+      try {
+        resp = await graphPost('/$batch', {
+          requests: chunk.map((i, n) => {
+            const r = requests[i];
+            const item = { id: String(i), method: r.method || 'GET', url: r.path };
+            if (r.body !== undefined) {
+              item.body = r.body;
+              item.headers = { 'Content-Type': 'application/json', ...(r.headers || {}) };
+            } else if (r.headers) {
+              item.headers = r.headers;
+            }
+            if (sequential && n > 0) item.dependsOn = [String(chunk[n - 1])];
+            return item;
+          })
+        });
+      } catch (error) {
+        for (const i of chunk) results[i] = { status: 0, body: null, error };
+        continue;
+      }
+
+      for (const item of (resp && resp.responses) || []) {
+        const i = parseInt(item.id);
+        const status = item.status;
+        // Not run because the request it depends on failed
+        if (sequential && status === 424) {
+          retry.push(i);
+          continue;
+        }
+        attempts[i]++;
+        if ((status === 429 || status >= 500) && attempts[i] < BATCH_MAX_RETRIES) {
+          const headers = item.headers || {};
+          const retryAfter = headers['Retry-After'] || headers['retry-after'];
+          const itemWait = retryAfter ? parseInt(retryAfter) * 1000 : delay;
+          if (status === 429) _throttleListeners.forEach(l => l(itemWait));
+          waitMs = Math.max(waitMs, itemWait);
+          retry.push(i);
+          continue;
+        }
+        results[i] = status >= 400
+          ? { status, body: item.body, error: batchError(status, item.body) }
+          : { status, body: item.body, error: null };
+      }
+      // An item missing from the response is retried like a server error
+      for (const i of chunk) {
+        if (!results[i] && !retry.includes(i)) {
+          if (++attempts[i] < BATCH_MAX_RETRIES) {
+            waitMs = Math.max(waitMs, delay);
+            retry.push(i);
+          } else {
+            results[i] = { status: 0, body: null, error: new Error('Graph API batch: no response for request') };
+          }
+        }
+      }
+    }
+
+    // Responses come in any order; retried items keep the request order so a
+    // sequential chain still runs them one after another as requested
+    pending = retry.sort((a, b) => a - b);
+    if (waitMs > 0) {
+      await new Promise(r => setTimeout(r, waitMs));
+      delay *= 2;
+    }
+  }
+  return results;
+}
+
+// Batched graphGetPaged for [{ path, headers? }]: one { items, error } per
+// request. First pages come from /$batch; further pages of a long collection
+// are fetched directly.
+export async function graphBatchGetPaged(requests) {
+  const responses = await graphBatch(requests.map(r => ({ method: 'GET', path: r.path, headers: r.headers })));
+  const results = [];
+  for (const [i, r] of responses.entries()) {
+    if (r.error) {
+      results.push({ items: [], error: r.error });
+      continue;
+    }
+    const items = [...((r.body && r.body.value) || [])];
+    const nextLink = r.body && r.body['@odata.nextLink'];
+    try {
+      if (nextLink) items.push(...await graphGetPaged(nextLink, requests[i].headers || {}));
+      results.push({ items, error: null });
+    } catch (error) {
+      results.push({ items, error });
+    }
+  }
+  return results;
+}
+
 // High-level Intune operations
 export async function getAdmxPolicies() {
   return graphGetPaged('/deviceManagement/groupPolicyConfigurations');
@@ -117,15 +255,56 @@ export async function getAdmxAssignments(policyId) {
   return graphGetPaged(`/deviceManagement/groupPolicyConfigurations/${policyId}/assignments`);
 }
 
+// Request English definitions via Accept-Language so that localized tenants
+// (Norwegian, German, etc.) still get English displayNames for search matching.
+// The presentation (label + element type) is expanded so each value can be
+// translated onto the matching Settings Catalog child setting.
+const DEFINITION_VALUES_QUERY = '$expand=definition($select=id,displayName,categoryPath,classType,policyType),presentationValues($expand=presentation)';
+const DEFINITION_VALUES_HEADERS = { 'Accept-Language': 'en-US' };
+
 export async function getAdmxDefinitionValues(policyId) {
-  // Request English definitions via Accept-Language so that localized tenants
-  // (Norwegian, German, etc.) still get English displayNames for search matching.
   return graphGetPaged(
-    `/deviceManagement/groupPolicyConfigurations/${policyId}/definitionValues?$expand=definition($select=id,displayName,categoryPath,classType,policyType),presentationValues`,
-    { 'Accept-Language': 'en-US' }
+    `/deviceManagement/groupPolicyConfigurations/${policyId}/definitionValues?${DEFINITION_VALUES_QUERY}`,
+    DEFINITION_VALUES_HEADERS
   );
 }
 
+// Assignments and definition values of many policies through /$batch.
+// Returns one { assignments, definitionValues, errors } per policy ID, in
+// order; errors.assignments / errors.definitionValues are set on failure.
+export async function getAdmxPolicyDetails(policyIds) {
+  const results = await graphBatchGetPaged(policyIds.flatMap(id => [
+    { path: `/deviceManagement/groupPolicyConfigurations/${id}/assignments` },
+    { path: `/deviceManagement/groupPolicyConfigurations/${id}/definitionValues?${DEFINITION_VALUES_QUERY}`, headers: DEFINITION_VALUES_HEADERS }
+  ]));
+  return policyIds.map((_, i) => {
+    const [assignments, definitionValues] = [results[2 * i], results[2 * i + 1]];
+    return {
+      assignments: assignments.items,
+      definitionValues: definitionValues.items,
+      errors: { assignments: assignments.error, definitionValues: definitionValues.error }
+    };
+  });
+}
+
+// Settings and assignments of many Settings Catalog policies through /$batch.
+// Returns one { settings, assignments, errors } per policy ID, in order;
+// errors.settings / errors.assignments are set on failure.
+export async function getSettingsCatalogPolicyDetails(policyIds) {
+  const results = await graphBatchGetPaged(policyIds.flatMap(id => [
+    { path: `/deviceManagement/configurationPolicies/${id}/settings` },
+    { path: `/deviceManagement/configurationPolicies/${id}/assignments` }
+  ]));
+  return policyIds.map((_, i) => {
+    const [settings, assignments] = [results[2 * i], results[2 * i + 1]];
+    return {
+      settings: settings.items,
+      assignments: assignments.items,
+      errors: { settings: settings.error, assignments: assignments.error }
+    };
+  });
+}
+
 // Track search errors for diagnostics (exposed on window for debug)
 const _searchErrors = [];
 export function getSearchErrors() { return _searchErrors; }
@@ -164,6 +343,7 @@ export async function searchSettingsCatalog(query, platform = 'windows10') {
     );
     results = filterByPlatform(r && r.value ? r.value : [], platform);
   } catch (e) {
+    if (isAuthError(e)) throw e;
     _searchErrors.push({ strategy: 'filter-displayName', query, error: e.message });
   }
 
@@ -178,6 +358,7 @@ export async function searchSettingsCatalog(query, platform = 'windows10') {
     );
     results = filterByPlatform(r && r.value ? r.value : [], platform);
   } catch (e) {
+    if (isAuthError(e)) throw e;
     _searchErrors.push({ strategy: 'filter-id', query: idQuery, error: e.message });
   }
 
@@ -196,6 +377,7 @@ export async function searchSettingsCatalog(query, platform = 'windows10') {
       );
       results = filterByPlatform(r && r.value ? r.value : [], platform);
     } catch (e) {
+      if (isAuthError(e)) throw e;
       _searchErrors.push({ strategy: 'filter-word', query: words[0], error: e.message });
     }
   }
@@ -205,6 +387,21 @@ export async function searchSettingsCatalog(query, platform = 'windows10') {
   return results;
 }
 
+// Graph returns at most this many results for a product search
+export const PRODUCT_SEARCH_LIMIT = 200;
+
+// One uncached page of settings whose ID contains the product pattern; errors
+// are thrown. pageSize is the number Graph returned before the platform filter,
+// so it tells whether the result hit PRODUCT_SEARCH_LIMIT.
+export async function getSettingsCatalogPageByProduct(productIdPattern, platform = 'windows10') {
+  const safe = productIdPattern.replace(/'/g, "''");
+  const r = await graphGet(
+    `/deviceManagement/configurationSettings?$filter=contains(id,'${safe}')&$top=${PRODUCT_SEARCH_LIMIT}`
+  );
+  const page = r && r.value ? r.value : [];
+  return { results: filterByPlatform(page, platform), pageSize: page.length };
+}
+
 // Search Settings Catalog by product ID pattern.
 // Used as a fallback when text-based search fails (e.g., localized display names).
 // Returns all settings whose ID contains the product pattern (e.g., "microsoft_edge~policy~").
@@ -212,14 +409,11 @@ export async function searchSettingsCatalogByProduct(productIdPattern, platform
   const cacheKey = `product:${productIdPattern}|${platform}`;
   if (_searchCache.has(cacheKey)) return _searchCache.get(cacheKey);
 
-  const safe = productIdPattern.replace(/'/g, "''");
   let results = [];
   try {
-    const r = await graphGet(
-      `/deviceManagement/configurationSettings?$filter=contains(id,'${safe}')&$top=200`
-    );
-    results = filterByPlatform(r && r.value ? r.value : [], platform);
+    ({ results } = await getSettingsCatalogPageByProduct(productIdPattern, platform));
   } catch (e) {
+    if (isAuthError(e)) throw e;
     _searchErrors.push({ strategy: 'filter-product-id', query: productIdPattern, error: e.message });
   }
 
@@ -227,11 +421,34 @@ export async function searchSettingsCatalogByProduct(productIdPattern, platform
   return results;
 }
 
+// Setting definitions are static for the lifetime of the session, so they are
+// cached separately from search results and never cleared.
+const _definitionCache = new Map();
+
+export async function getSettingDefinition(settingDefinitionId) {
+  if (_definitionCache.has(settingDefinitionId)) return _definitionCache.get(settingDefinitionId);
+  const def = await graphGet(`/deviceManagement/configurationSettings/${encodeURIComponent(settingDefinitionId)}`);
+  _definitionCache.set(settingDefinitionId, def);
+  return def;
+}
+
 export async function getSettingsCatalogPolicies() {
   return graphGetPaged('/deviceManagement/configurationPolicies');
 }
 
-export async function createSettingsCatalogPolicy(name, description, settings = [], platform = 'windows10', technologies = 'mdm') {
+export async function getSettingsCatalogPolicySettings(policyId) {
+  return graphGetPaged(`/deviceManagement/configurationPolicies/${policyId}/settings`);
+}
+
+export async function getSettingsCatalogPolicyAssignments(policyId) {
+  return graphGetPaged(`/deviceManagement/configurationPolicies/${policyId}/assignments`);
+}
+
+// options: roleScopeTagIds and templateReference of a policy being recreated
+// (e.g. an Endpoint Security policy from a backup); new policies are
+// untemplated and carry the default scope tag.
+export async function createSettingsCatalogPolicy(name, description, settings = [], platform = 'windows10', technologies = 'mdm', options = {}) {
+  const template = options.templateReference || {};
   // Filter out null/undefined entries, deduplicate, and reject non-Windows settings
   const seen = new Set();
   const validSettings = settings.filter(s => {
@@ -256,11 +473,11 @@ export async function createSettingsCatalogPolicy(name, description, settings =
     description,
     platforms: platform,
     technologies,
-    roleScopeTagIds: ['0'],
+    roleScopeTagIds: options.roleScopeTagIds && options.roleScopeTagIds.length > 0 ? options.roleScopeTagIds : ['0'],
     templateReference: {
       '@odata.type': 'microsoft.graph.deviceManagementConfigurationPolicyTemplateReference',
-      templateId: '',
-      templateFamily: 'none'
+      templateId: template.templateId || '',
+      templateFamily: template.templateFamily || 'none'
     },
     settings: validSettings
   };
@@ -270,7 +487,8 @@ export async function createSettingsCatalogPolicy(name, description, settings =
   try {
     return await graphPost('/deviceManagement/configurationPolicies', body);
   } catch (err) {
-    if (!err.message.includes('400') || validSettings.length === 0) {
+    // A templated policy without its settings would not match its template
+    if (!err.message.includes('400') || validSettings.length === 0 || template.templateId) {
       throw err;
     }
 
@@ -305,19 +523,32 @@ export async function createSettingsCatalogPolicy(name, description, settings =
       );
     }
 
-    // Add settings one at a time via the settings relationship endpoint
+    // Add the settings individually via the settings relationship endpoint,
+    // 20 per /$batch call. They are chained with dependsOn: writes to one
+    // policy are sent one at a time, as before batching.
+    let responses;
+    try {
+      responses = await graphBatch(validSettings.map(s => ({
+        method: 'POST',
+        path: `/deviceManagement/configurationPolicies/${policy.id}/settings`,
+        body: s
+      })), { sequential: true });
+    } catch (batchErr) {
+      // The policy exists either way; its caller must still record it
+      console.warn('[Graph] Adding settings failed:', batchErr.message);
+      responses = validSettings.map(() => ({ error: batchErr }));
+    }
     let added = 0;
     const failures = [];
-    for (const s of validSettings) {
-      try {
-        await graphPost(`/deviceManagement/configurationPolicies/${policy.id}/settings`, s);
+    responses.forEach((r, i) => {
+      if (!r.error) {
         added++;
-      } catch (settingErr) {
-        const sid = s.settingInstance?.settingDefinitionId || 'unknown';
-        console.warn(`[Graph] Failed to add setting ${sid}:`, settingErr.message);
-        failures.push(sid);
+        return;
       }
-    }
+      const sid = validSettings[i].settingInstance?.settingDefinitionId || 'unknown';
+      console.warn(`[Graph] Failed to add setting ${sid}:`, r.error.message);
+      failures.push(sid);
+    });
 
     console.log(`[Graph] Added ${added}/${validSettings.length} settings individually`);
     if (failures.length > 0) {
@@ -335,3 +566,8 @@ export async function assignSettingsCatalogPolicy(policyId, assignments) {
 export async function deleteSettingsCatalogPolicy(policyId) {
   return graphDelete(`/deviceManagement/configurationPolicies/${policyId}`);
 }
+
+// Users and devices in a group, including members of nested groups
+export async function getGroupTransitiveMembers(groupId) {
+  return graphGetPaged(`/groups/${groupId}/transitiveMembers?$select=id`);
+}
@@ -0,0 +1,271 @@
+// jobs.js - Cancellable, resumable runner for long operations
+// Export, mapping, migration and rollback run their per-item work through
+// runJob(). Finished items are checkpointed to IndexedDB per workspace, so a
+// run interrupted by a page reload or a failed token can be resumed and skips
+// what is already done. Jobs can be paused and cancelled from the page, and
+// the number of parallel items adapts to Graph throttling: it halves on every
+// 429 response and grows by one after a streak of successful items.
+import { state, escapeHtml } from './app.js';
+import { storageGet, storageSet, storageDelete } from './storage.js';
+import { onThrottle, isAuthError } from './graph.js';
+
+const SAVE_INTERVAL_MS = 2000;
+// Successful items per parallel slot before the concurrency goes up by one
+const GROWTH_STREAK = 5;
+
+// kind -> running job: { kind, paused, cancelled, reason, limit, done, total, throttled, wake }
+const jobs = new Map();
+// kind -> Set of callbacks for control rendering
+const watchers = new Map();
+
+function checkpointKey(kind, tenantId = state.tenantId) {
+  return `job-${kind}:${tenantId}`;
+}
+
+// checkpoint: { kind, tenantId, startedAt, updatedAt, total, meta, results }
+export async function getCheckpoint(kind) {
+  if (!state.tenantId || jobs.has(kind)) return null;
+  return (await storageGet(checkpointKey(kind))) || null;
+}
+
+export async function discardCheckpoint(kind) {
+  if (!state.tenantId) return;
+  await storageDelete(checkpointKey(kind));
+}
+
+export function isJobRunning(kind) {
+  return jobs.has(kind);
+}
+
+function notify(kind) {
+  for (const listener of (watchers.get(kind) || [])) listener(jobs.get(kind) || null);
+}
+
+function wake(job) {
+  const resume = job.wake;
+  job.wake = null;
+  if (resume) resume();
+}
+
+export function pauseJob(kind, reason = '') {
+  const job = jobs.get(kind);
+  if (!job || job.cancelled) return;
+  job.paused = true;
+  job.reason = reason;
+  notify(kind);
+}
+
+export function resumeJob(kind) {
+  const job = jobs.get(kind);
+  if (!job || !job.paused) return;
+  job.paused = false;
+  job.reason = '';
+  notify(kind);
+  wake(job);
+}
+
+export function cancelJob(kind) {
+  const job = jobs.get(kind);
+  if (!job) return;
+  job.cancelled = true;
+  job.paused = false;
+  notify(kind);
+  wake(job);
+}
+
+// Runs worker(item) for every item whose key is not in the checkpoint yet.
+// options:
+//   items        work items, in order
+//   keyOf(item)  unique, stable key of an item
+//   worker(item) async; its result must be storable (plain data)
+//   meta         whatever the caller needs to resume the run
+//   resume       continue from the saved checkpoint of this kind
+//   concurrency  { initial, min, max } parallel items
+//   saveIntervalMs minimum time between checkpoint writes; 0 saves after every
+//                item (for items with side effects that must not run twice)
+//   onProgress(job) called after every finished item
+// Returns { status: 'completed' | 'cancelled', results, meta } where results
+// maps item keys to worker results, including those from before a resume.
+// Other worker errors end the job and are rethrown with the checkpoint kept,
+// so the run can be resumed later; error.jobResults holds the results so far.
+export async function runJob(kind, options) {
+  const { items, keyOf, worker, meta = null, resume = false, concurrency = {}, saveIntervalMs = SAVE_INTERVAL_MS, onProgress = () => {} } = options;
+  if (jobs.has(kind)) throw new Error(`A ${kind} run is already in progress`);
+  const { initial = 3, min = 1, max = 8 } = concurrency;
+
+  const key = checkpointKey(kind);
+  const saved = resume ? await storageGet(key) : null;
+  const checkpoint = saved || { kind, tenantId: state.tenantId, startedAt: new Date().toISOString(), meta, results: {} };
+  checkpoint.total = items.length;
+
+  const queue = items.filter(item => !(keyOf(item) in checkpoint.results));
+  const job = {
+    kind,
+    paused: false,
+    cancelled: false,
+    reason: '',
+    limit: Math.min(max, Math.max(min, initial)),
+    done: items.length - queue.length,
+    total: items.length,
+    throttled: 0,
+    wake: null
+  };
+  jobs.set(kind, job);
+  notify(kind);
+
+  let lastSave = 0;
+  const save = async (force = false) => {
+    if (!force && Date.now() - lastSave < saveIntervalMs) return;
+    lastSave = Date.now();
+    checkpoint.updatedAt = new Date().toISOString();
+    await storageSet(key, checkpoint);
+  };
+
+  let streak = 0;
+  const stopListening = onThrottle(() => {
+    job.throttled++;
+    job.limit = Math.max(min, Math.floor(job.limit / 2));
+    streak = 0;
+    notify(kind);
+  });
+
+  try {
+    await save(true);
+    await new Promise((resolve, reject) => {
+      let active = 0;
+      let failure = null;
+      const pump = () => {
+        if (failure) {
+          if (active === 0) reject(failure);
+          return;
+        }
+        if (job.cancelled || queue.length === 0) {
+          if (active === 0) resolve();
+          return;
+        }
+        if (job.paused) {
+          // Everything in flight has settled: save, so a reload while paused loses nothing
+          if (active === 0) {
+            job.wake = pump;
+            save(true).catch(err => console.warn('[Jobs] Checkpoint not saved:', err));
+          }
+          return;
+        }
+        while (active < job.limit && queue.length > 0) {
+          const item = queue.shift();
+          active++;
+          Promise.resolve()
+            .then(() => worker(item))
+            .then(result => {
+              checkpoint.results[keyOf(item)] = result === undefined ? null : result;
+              job.done++;
+              if (++streak >= GROWTH_STREAK * job.limit && job.limit < max) {
+                job.limit++;
+                streak = 0;
+              }
+              save().catch(err => console.warn('[Jobs] Checkpoint not saved:', err));
+              onProgress(job);
+              notify(kind);
+            }, error => {
+              if (isAuthError(error) && !job.cancelled) {
+                queue.unshift(item);
+                pauseJob(kind, `Sign-in needed (${error.message}). Sign in again, then resume.`);
+              } else if (!failure) {
+                failure = error;
+              }
+            })
+            .finally(() => {
+              active--;
+              pump();
+            });
+        }
+      };
+      pump();
+    });
+  } catch (error) {
+    await save(true).catch(() => {});
+    error.jobResults = checkpoint.results;
+    throw error;
+  } finally {
+    stopListening();
+    jobs.delete(kind);
+    notify(kind);
+  }
+
+  await storageDelete(key);
+  return { status: job.cancelled ? 'cancelled' : 'completed', results: checkpoint.results, meta: checkpoint.meta };
+}
+
+// ==================== CONTROLS ====================
+
+// Keeps Pause/Resume/Cancel buttons and the job status in a container
+export function bindJobControls(kind, containerId) {
+  const container = document.getElementById(containerId);
+  if (!container) return;
+  container.addEventListener('click', (e) => {
+    const action = e.target.closest('[data-job-action]');
+    if (!action) return;
+    if (action.dataset.jobAction === 'pause') pauseJob(kind, 'Paused');
+    else if (action.dataset.jobAction === 'resume') resumeJob(kind);
+    else if (action.dataset.jobAction === 'cancel') cancelJob(kind);
+  });
+
+  const render = (job) => {
+    container.classList.toggle('hidden', !job);
+    if (!job) {
+      container.innerHTML = '';
+      return;
+    }
+    const btn = 'px-2.5 py-1 text-xs font-medium rounded-lg border transition';
+    const status = job.cancelled
+      ? 'Cancelling after the current items...'
+      : job.paused
+        ? escapeHtml(job.reason || 'Paused')
+        : `${job.done} / ${job.total} &middot; ${job.limit} in parallel${job.throttled > 0 ? ` &middot; throttled ${job.throttled}x` : ''}`;
+    container.innerHTML = `
+      <span class="text-xs ${job.paused ? 'text-amber-600' : 'text-gray-500'}">${status}</span>
+      ${job.cancelled ? '' : job.paused
+        ? `<button data-job-action="resume" class="${btn} border-brand-600 text-brand-600 hover:bg-brand-50">Resume</button>`
+        : `<button data-job-action="pause" class="${btn} border-gray-300 text-gray-600 hover:bg-gray-50">Pause</button>`}
+      ${job.cancelled ? '' : `<button data-job-action="cancel" class="${btn} border-red-200 text-red-600 hover:bg-red-50">Cancel</button>`}
+    `;
+  };
+
+  if (!watchers.has(kind)) watchers.set(kind, new Set());
+  watchers.get(kind).add(render);
+  render(jobs.get(kind) || null);
+}
+
+// Shows a "resume interrupted run" banner when a checkpoint of this kind
+// exists. onResume/onDiscard are called from its buttons.
+export async function renderResumeBanner(kind, containerId, label, { onResume, onDiscard }) {
+  const container = document.getElementById(containerId);
+  if (!container) return;
+  const checkpoint = await getCheckpoint(kind);
+  if (!checkpoint) {
+    container.classList.add('hidden');
+    container.innerHTML = '';
+    return;
+  }
+
+  const done = Object.keys(checkpoint.results || {}).length;
+  const savedAt = new Date(checkpoint.updatedAt || checkpoint.startedAt).toLocaleString();
+  container.innerHTML = `
+    <div class="flex flex-wrap items-center justify-between gap-3">
+      <p class="text-sm text-amber-900">An interrupted ${escapeHtml(label)} can be resumed: ${done} of ${checkpoint.total} items done (saved ${escapeHtml(savedAt)}).</p>
+      <div class="flex items-center gap-2">
+        <button data-resume-action="resume" class="px-3 py-1.5 text-sm font-medium rounded-lg bg-brand-600 text-white hover:bg-brand-700 transition">Resume</button>
+        <button data-resume-action="discard" class="px-3 py-1.5 text-sm font-medium rounded-lg border border-amber-300 text-amber-800 hover:bg-amber-100 transition">Discard</button>
+      </div>
+    </div>`;
+  container.classList.remove('hidden');
+  container.querySelector('[data-resume-action="resume"]').addEventListener('click', () => {
+    container.classList.add('hidden');
+    onResume(checkpoint);
+  });
+  container.querySelector('[data-resume-action="discard"]').addEventListener('click', async () => {
+    container.classList.add('hidden');
+    if (onDiscard) await onDiscard(checkpoint);
+    await discardCheckpoint(kind);
+  });
+}
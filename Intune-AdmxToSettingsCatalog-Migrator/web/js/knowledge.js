@@ -0,0 +1,97 @@
+// knowledge.js - Mapping knowledge base keyed by ADMX definition ID
+// The same ADMX definition (e.g. an Edge setting) usually appears in many
+// policies. Once a target is confirmed or picked for one occurrence it is
+// remembered here, applied to every other occurrence, and used by the next
+// "Generate Suggestions" run instead of searching Graph again. The knowledge
+// base is saved per workspace and can be exported and imported to share it.
+import { state, saveState } from './app.js';
+
+const FILE_FORMAT = 1;
+
+// entry: { definitionId, definitionName, categoryPath, classType, target, confirmedAt }
+// target: { settingDefinitionId, displayName, description, odataType }
+export function getKnowledge() {
+  if (!state.mappingKnowledge) state.mappingKnowledge = {};
+  return state.mappingKnowledge;
+}
+
+export function knowledgeCount() {
+  return Object.keys(getKnowledge()).length;
+}
+
+export function lookupKnowledge(definitionId) {
+  return (definitionId && getKnowledge()[definitionId]) || null;
+}
+
+function targetOf(candidate) {
+  return {
+    settingDefinitionId: candidate.settingDefinitionId,
+    displayName: candidate.displayName || '',
+    description: candidate.description || '',
+    odataType: candidate.odataType || ''
+  };
+}
+
+// definition: the expanded ADMX definition ({ id, displayName, categoryPath, classType })
+export function rememberMapping(definition, candidate) {
+  if (!definition || !definition.id || !candidate) return;
+  getKnowledge()[definition.id] = {
+    definitionId: definition.id,
+    definitionName: definition.displayName || '',
+    categoryPath: definition.categoryPath || '',
+    classType: definition.classType || null,
+    target: targetOf(candidate),
+    confirmedAt: new Date().toISOString()
+  };
+  saveState();
+}
+
+export function forgetMapping(definitionId) {
+  const knowledge = getKnowledge();
+  if (!knowledge[definitionId]) return false;
+  delete knowledge[definitionId];
+  saveState();
+  return true;
+}
+
+export function clearKnowledge() {
+  state.mappingKnowledge = {};
+  saveState();
+}
+
+export function knowledgeFile() {
+  return { format: FILE_FORMAT, exportedAt: new Date().toISOString(), entries: Object.values(getKnowledge()) };
+}
+
+// Merges an exported knowledge base. An entry only replaces an existing one
+// for the same definition when it was confirmed later.
+export function importKnowledge(json) {
+  const entries = json && Array.isArray(json.entries) ? json.entries : null;
+  if (!entries) throw new Error('Expected { "entries": [...] }');
+  const invalid = entries.filter(e => !e || !e.definitionId || !e.target || !e.target.settingDefinitionId);
+  if (invalid.length > 0) throw new Error(`${invalid.length} entries lack a definitionId or target.settingDefinitionId`);
+
+  const knowledge = getKnowledge();
+  let added = 0;
+  let updated = 0;
+  let kept = 0;
+  for (const e of entries) {
+    const existing = knowledge[e.definitionId];
+    if (existing && !(Date.parse(e.confirmedAt) > Date.parse(existing.confirmedAt))) {
+      kept++;
+      continue;
+    }
+    if (existing) updated++;
+    else added++;
+    knowledge[e.definitionId] = {
+      definitionId: e.definitionId,
+      definitionName: e.definitionName || '',
+      categoryPath: e.categoryPath || '',
+      classType: e.classType || null,
+      target: targetOf(e.target),
+      confirmedAt: e.confirmedAt || new Date().toISOString()
+    };
+  }
+  saveState();
+  return { added, updated, kept };
+}
@@ -0,0 +1,214 @@
+// manifests.js - Append-only migration history
+// Every migration run (preview or execute) is appended to
+// state.migrationHistory and never removed; a discovery scan replaces the
+// previous scan. state.manifest keeps pointing at the latest migration run.
+// Rollbacks are recorded on the run they undo.
+import { state, saveState, logLine } from './app.js';
+import { getAccount } from './auth.js';
+import { getSettingsCatalogPolicies, getAdmxPolicies, deleteSettingsCatalogPolicy, isAuthError } from './graph.js';
+import { getMarkerKeys } from './naming.js';
+import { runJob, getCheckpoint, discardCheckpoint } from './jobs.js';
+
+export function newRunId() {
+  const stamp = new Date().toISOString().replace(/[-:TZ]/g, '').substring(0, 14);
+  return `run-${stamp}-${Math.random().toString(36).substring(2, 6)}`;
+}
+
+export function getOperatorUpn() {
+  const account = getAccount();
+  return (account && account.username) || 'unknown';
+}
+
+// Returns the history, oldest first. A manifest saved before history existed
+// is adopted as the first entry.
+export function getHistory() {
+  if (!Array.isArray(state.migrationHistory)) state.migrationHistory = [];
+  const latest = state.manifest;
+  if (latest && !latest.runId) {
+    latest.runId = `legacy-${Date.parse(latest.generatedAt) || Date.now()}`;
+    latest.operator = latest.operator || 'unknown';
+    state.migrationHistory.push(latest);
+    saveState();
+  }
+  return state.migrationHistory;
+}
+
+export function findRun(runId) {
+  return getHistory().find(r => r.runId === runId) || null;
+}
+
+export function recordRun(manifest) {
+  getHistory().push(manifest);
+  state.manifest = manifest;
+  saveState();
+}
+
+// Policies of a run that still exist (created and not rolled back)
+export function activePolicies(run) {
+  return (run.createdPolicies || []).filter(p => p.targetPolicyId && !p.rolledBackAt);
+}
+
+// The same policy can appear in several runs (e.g. a migration and a later
+// discovery scan); once deleted it is marked rolled back in all of them.
+function markRolledBack(targetPolicyId, at, operator) {
+  for (const run of getHistory()) {
+    for (const cp of (run.createdPolicies || [])) {
+      if (cp.targetPolicyId === targetPolicyId && !cp.rolledBackAt) {
+        cp.rolledBackAt = at;
+        cp.rolledBackBy = operator;
+      }
+    }
+  }
+}
+
+// Deletes the policies created by a run. targetPolicyIds limits the rollback
+// to a subset; omit it to roll back the whole run. Deletes run as a 'rollback'
+// job: resume continues an interrupted rollback from its checkpoint, and a
+// cancelled rollback still records the policies deleted so far.
+export async function rollbackRun(run, targetPolicyIds, logId, { resume = false } = {}) {
+  const selected = activePolicies(run)
+    .filter(p => !targetPolicyIds || targetPolicyIds.has(p.targetPolicyId));
+
+  // A resumed rollback keeps the time and operator it was started with; a new
+  // one first records what an interrupted rollback already deleted
+  const checkpoint = await getCheckpoint('rollback');
+  if (checkpoint && !resume) {
+    recordInterruptedRollback(checkpoint);
+    await discardCheckpoint('rollback');
+  }
+  const resumed = resume ? checkpoint : null;
+  const { at, operator } = resumed ? resumed.meta : { at: new Date().toISOString(), operator: getOperatorUpn() };
+  logLine(logId, `=== Rollback of ${run.runId} ${resumed ? 'Resumed' : 'Started'} (${selected.length} policies) ===`);
+
+  const { status, results } = await runJob('rollback', {
+    items: selected,
+    keyOf: cp => cp.targetPolicyId,
+    meta: { runId: run.runId, targetPolicyIds: targetPolicyIds ? [...targetPolicyIds] : null, at, operator },
+    resume,
+    concurrency: { initial: 2, max: 4 },
+    worker: async (cp) => {
+      try {
+        logLine(logId, `Deleting: ${cp.targetName} (${cp.targetPolicyId})`);
+        await deleteSettingsCatalogPolicy(cp.targetPolicyId);
+        logLine(logId, `Deleted: ${cp.targetName}`);
+      } catch (error) {
+        if (isAuthError(error)) throw error;
+        // Already deleted outside the tool: nothing left to roll back
+        if (!error.message.startsWith('Graph API 404')) {
+          logLine(logId, `FAILED to delete ${cp.targetName}: ${error.message}`, 'error');
+          return { error: error.message };
+        }
+        logLine(logId, `Already deleted: ${cp.targetName}`, 'warn');
+      }
+      markRolledBack(cp.targetPolicyId, at, operator);
+      return { deleted: true };
+    }
+  });
+
+  const entry = recordRollback(run, results, at, operator, status === 'cancelled');
+  logLine(logId, `=== Rollback ${status === 'cancelled' ? 'Cancelled' : 'Complete'}: ${entry.deleted.length} deleted, ${entry.failed.length} failed ===`);
+  return { deleted: entry.deleted.length, failed: entry.failed.length, cancelled: status === 'cancelled' };
+}
+
+// Results include deletes from before a resume, which were never saved to state
+function recordRollback(run, results, at, operator, cancelled) {
+  const entry = { at, operator, deleted: [], failed: [] };
+  for (const [targetPolicyId, result] of Object.entries(results)) {
+    if (result && result.deleted) {
+      markRolledBack(targetPolicyId, at, operator);
+      entry.deleted.push(targetPolicyId);
+    } else {
+      entry.failed.push({ targetPolicyId, error: result ? result.error : 'unknown' });
+    }
+  }
+  if (cancelled) entry.cancelled = true;
+
+  run.rollbacks = [...(run.rollbacks || []), entry];
+  saveState();
+  return entry;
+}
+
+// An interrupted rollback that will not be resumed: the policies it already
+// deleted are recorded as a cancelled rollback of its run
+export function recordInterruptedRollback(checkpoint) {
+  const run = findRun(checkpoint.meta.runId);
+  if (!run || Object.keys(checkpoint.results || {}).length === 0) return null;
+  return recordRollback(run, checkpoint.results || {}, checkpoint.meta.at, checkpoint.meta.operator, true);
+}
+
+// ==================== DISCOVERY ====================
+// Rebuilds a manifest from the tenant when local state was lost: every
+// Settings Catalog policy whose description carries the marker was created by
+// this tool. The result is kept in the history as a DISCOVERED run.
+export async function discoverMigratedPolicies(logId) {
+  const markerKeys = getMarkerKeys();
+  const markerPattern = new RegExp(`(?:${markerKeys.join('|')})=([\\w-]+)`, 'g');
+
+  logLine(logId, 'Scanning Settings Catalog policies for migration markers...');
+  const scPolicies = await getSettingsCatalogPolicies();
+  const found = [];
+  for (const p of scPolicies) {
+    // Merged policies carry one marker per source policy
+    const ids = [...(p.description || '').matchAll(markerPattern)].map(m => m[1]);
+    if (ids.length > 0) found.push({ policy: p, sourcePolicyIds: [...new Set(ids)] });
+  }
+  logLine(logId, `Found ${found.length} of ${scPolicies.length} policies with a ${markerKeys.join(' or ')} marker`);
+  if (found.length === 0) return null;
+
+  // Resolve source names from the tenant, falling back to the local export
+  const sourceNames = new Map((state.exportData || []).map(p => [p.id, p.displayName]));
+  try {
+    for (const p of await getAdmxPolicies()) sourceNames.set(p.id, p.displayName);
+  } catch (error) {
+    logLine(logId, `Could not load ADMX policies for source names: ${error.message}`, 'warn');
+  }
+
+  const manifest = {
+    runId: newRunId(),
+    generatedAt: new Date().toISOString(),
+    tenantId: state.tenantId,
+    operator: getOperatorUpn(),
+    mode: 'DISCOVERED',
+    status: 'complete',
+    createdPolicies: found.map(({ policy, sourcePolicyIds }) => ({
+      sourcePolicyId: sourcePolicyIds[0],
+      ...(sourcePolicyIds.length > 1 ? { sourcePolicyIds } : {}),
+      sourcePolicyName: sourcePolicyIds.every(id => sourceNames.has(id))
+        ? sourcePolicyIds.map(id => sourceNames.get(id)).join(' + ')
+        : null,
+      targetPolicyId: policy.id,
+      targetName: policy.name,
+      settingsCount: policy.settingCount || 0,
+      discovered: true
+    })),
+    skipped: []
+  };
+
+  for (const cp of manifest.createdPolicies) {
+    const source = cp.sourcePolicyName ? `"${cp.sourcePolicyName}"` : 'source not found';
+    const ids = (cp.sourcePolicyIds || [cp.sourcePolicyId]).join(', ');
+    logLine(logId, `${cp.targetName} (${cp.targetPolicyId}) ← ${source} (${ids})`, cp.sourcePolicyName ? 'info' : 'warn');
+  }
+
+  recordDiscoveredRun(manifest, logId);
+  return manifest;
+}
+
+// A scan describes the tenant, not a migration: it replaces the previous scan
+// instead of piling up, and never becomes state.manifest, so "Rollback latest
+// run" keeps targeting the latest migration. Scans with recorded rollbacks
+// stay in the history as the audit trail of those deletes.
+function recordDiscoveredRun(manifest, logId) {
+  const history = getHistory();
+  const replaced = history.filter(r => r.mode === 'DISCOVERED' && !(r.rollbacks || []).length);
+  if (replaced.length > 0) {
+    state.migrationHistory = history.filter(r => !replaced.includes(r));
+    logLine(logId, `Replaced the previous discovery scan (${replaced.map(r => r.runId).join(', ')})`);
+  }
+  // Workspaces saved by older versions may still point at a scan
+  if (state.manifest && state.manifest.mode === 'DISCOVERED') {
+    state.manifest = state.migrationHistory.filter(r => r.mode !== 'DISCOVERED').pop() || null;
+  }
+  state.migrationHistory.push(manifest);
+  saveState();
+}
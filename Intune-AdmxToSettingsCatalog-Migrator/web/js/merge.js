@@ -0,0 +1,134 @@
+// merge.js - Consolidate several ADMX policies into one Settings Catalog policy
+// Settings are grouped by settingDefinitionId. Identical values merge silently;
+// differing values are conflicts resolved by a rule: first wins (source order),
+// most restrictive, or a manual pick per setting.
+import { canonicalInstance, describeInstance, assignmentKey } from './translate.js';
+
+export const MERGE_RULES = {
+  'first-wins': 'First wins',
+  'most-restrictive': 'Most restrictive',
+  manual: 'Manual pick'
+};
+
+// ADMX policies that restrict something when Enabled ("Prevent ...", "Turn off ...")
+// and ones that permit something when Enabled ("Allow ...", "Enable ...")
+const RESTRICTS_WHEN_ENABLED = /^(prevent|disable|do not|don't|turn off|block|remove|hide|restrict|prohibit|deny|disallow)\b/i;
+const PERMITS_WHEN_ENABLED = /^(allow|enable|turn on|show|let|permit)\b/i;
+
+// sources: [{ policy, settings: [{ dv, payload }] }] in priority order.
+// Returns { settings: [payload], conflicts: [...] } where settings holds
+// everything that needs no decision.
+export function planMerge(sources) {
+  const bySetting = new Map();
+  for (const { policy, settings } of sources) {
+    for (const { dv, payload } of settings) {
+      const inst = payload.settingInstance;
+      const sid = inst.settingDefinitionId;
+      if (!bySetting.has(sid)) bySetting.set(sid, []);
+      const entries = bySetting.get(sid);
+      // Within one policy the first occurrence wins (as in a normal migration)
+      if (entries.some(e => e.policyId === policy.id)) continue;
+      entries.push({
+        policyId: policy.id,
+        policyName: policy.displayName,
+        settingName: (dv.definition && dv.definition.displayName) || dv.displayName || sid,
+        enabled: dv.enabled,
+        payload,
+        key: JSON.stringify(canonicalInstance(inst))
+      });
+    }
+  }
+
+  const settings = [];
+  const conflicts = [];
+  for (const [sid, entries] of bySetting) {
+    const options = [];
+    for (const e of entries) {
+      const same = options.find(o => o.key === e.key);
+      if (same) {
+        same.policyIds.push(e.policyId);
+        same.policyNames.push(e.policyName);
+      } else {
+        options.push({
+          policyId: e.policyId,
+          policyIds: [e.policyId],
+          policyNames: [e.policyName],
+          enabled: e.enabled,
+          payload: e.payload,
+          summary: describeInstance(canonicalInstance(e.payload.settingInstance)),
+          key: e.key
+        });
+      }
+    }
+    if (options.length === 1) {
+      settings.push(options[0].payload);
+    } else {
+      conflicts.push({ settingDefinitionId: sid, settingName: entries[0].settingName, options });
+    }
+  }
+  return { settings, conflicts };
+}
+
+// Enabled-vs-Disabled conflicts can be ordered from the policy name; value
+// differences within the same state (e.g. two timeouts) cannot.
+function mostRestrictiveOption(conflict) {
+  const states = new Set(conflict.options.map(o => o.enabled));
+  if (states.size < 2) return null;
+  if (RESTRICTS_WHEN_ENABLED.test(conflict.settingName)) return conflict.options.find(o => o.enabled === true);
+  if (PERMITS_WHEN_ENABLED.test(conflict.settingName)) return conflict.options.find(o => o.enabled === false);
+  return null;
+}
+
+// Returns { option, reason }; option is null when a manual pick is missing
+export function resolveConflict(conflict, rule, manualChoices = {}) {
+  if (rule === 'manual') {
+    const option = conflict.options.find(o => o.policyIds.includes(manualChoices[conflict.settingDefinitionId]));
+    return { option: option || null, reason: option ? 'manual pick' : 'no value picked' };
+  }
+  if (rule === 'most-restrictive') {
+    const option = mostRestrictiveOption(conflict);
+    if (option) return { option, reason: 'most restrictive' };
+    return { option: conflict.options[0], reason: 'restrictiveness unknown, first wins' };
+  }
+  return { option: conflict.options[0], reason: 'first wins' };
+}
+
+// Applies the rule to every conflict of a plan
+export function resolveMerge(plan, rule, manualChoices = {}) {
+  const settings = [...plan.settings];
+  const resolutions = [];
+  const unresolved = [];
+  for (const conflict of plan.conflicts) {
+    const { option, reason } = resolveConflict(conflict, rule, manualChoices);
+    if (!option) {
+      unresolved.push(conflict);
+      continue;
+    }
+    settings.push(option.payload);
+    resolutions.push({
+      settingDefinitionId: conflict.settingDefinitionId,
+      settingName: conflict.settingName,
+      chosenPolicyId: option.policyId,
+      chosenPolicyIds: option.policyIds,
+      value: option.summary,
+      reason
+    });
+  }
+  return { settings, resolutions, unresolved };
+}
+
+// Union of the source policies' assignments (duplicates by target removed)
+export function unionAssignments(policies) {
+  const seen = new Set();
+  const result = [];
+  for (const policy of policies) {
+    for (const a of (policy.assignments || [])) {
+      if (!a || !a.target) continue;
+      const key = assignmentKey(a);
+      if (seen.has(key)) continue;
+      seen.add(key);
+      result.push({ target: a.target });
+    }
+  }
+  return result;
+}
@@ -0,0 +1,103 @@
+// naming.js - Target policy naming templates and the source marker key
+// Mirrors Migration.TargetNamePrefix / SourceMarkerKey in config.sample.json
+// (CLI), but as a template so the name can include more than a prefix.
+import { state, saveState, getWorkspaceLabel } from './app.js';
+
+export const DEFAULT_MIGRATION_SETTINGS = {
+  nameTemplate: 'SC - {name}',
+  markerKey: 'MK_ADMX_SOURCE_ID'
+};
+
+export const NAME_TOKENS = ['name', 'category', 'date', 'tenant'];
+
+export function getMigrationSettings() {
+  return { ...DEFAULT_MIGRATION_SETTINGS, ...(state.migrationSettings || {}) };
+}
+
+// Every marker key ever saved is kept in previousMarkerKeys, so policies
+// created under an older key are still recognised after the key changes
+export function saveMigrationSettings(settings) {
+  const current = getMigrationSettings();
+  const previous = new Set(current.previousMarkerKeys || []);
+  if (settings.markerKey && settings.markerKey !== current.markerKey) previous.add(current.markerKey);
+  previous.delete(settings.markerKey || current.markerKey);
+  state.migrationSettings = { ...current, ...settings, previousMarkerKeys: [...previous] };
+  saveState();
+}
+
+export function getMarkerKey() {
+  return getMigrationSettings().markerKey;
+}
+
+// Keys to look for when finding policies created by this tool: the current
+// key, every key used before it and the default.
+export function getMarkerKeys() {
+  const settings = getMigrationSettings();
+  return [...new Set([settings.markerKey, ...(settings.previousMarkerKeys || []), DEFAULT_MIGRATION_SETTINGS.markerKey])];
+}
+
+// Top-level ADMX category shared by most of the policy's settings,
+// e.g. "Google Chrome" or "Windows Components"
+export function policyCategory(policy) {
+  const counts = new Map();
+  for (const dv of (policy.definitionValues || [])) {
+    const path = (dv.definition && dv.definition.categoryPath) || '';
+    const top = path.replace(/\\/g, '/').split('/').filter(Boolean)[0];
+    if (top) counts.set(top, (counts.get(top) || 0) + 1);
+  }
+  let best = '';
+  for (const [category, count] of counts) {
+    if (!best || count > counts.get(best)) best = category;
+  }
+  return best || 'Uncategorized';
+}
+
+// context: { date: Date, tenant: string } (defaults: today, open workspace)
+export function renderTargetName(template, policy, context = {}) {
+  const values = {
+    name: policy.displayName || policy.id,
+    category: policyCategory(policy),
+    date: (context.date || new Date()).toISOString().substring(0, 10),
+    tenant: context.tenant || getWorkspaceLabel()
+  };
+  return template.replace(/\{(\w+)\}/g, (token, key) => (key in values ? values[key] : token)).trim();
+}
+
+// Returns a list of problems; empty when the template is usable
+export function validateNameTemplate(template) {
+  const errors = [];
+  if (!template || !template.trim()) {
+    errors.push('Template is empty');
+    return errors;
+  }
+  for (const [, key] of template.matchAll(/\{(\w+)\}/g)) {
+    if (!NAME_TOKENS.includes(key)) errors.push(`Unknown token {${key}}`);
+  }
+  if (!template.includes('{name}')) {
+    errors.push('Template has no {name} token, so policies will likely get identical names');
+  }
+  return errors;
+}
+
+export function validateMarkerKey(key) {
+  if (!key) return ['Marker key is empty'];
+  if (!/^[A-Za-z][A-Za-z0-9_]*$/.test(key)) {
+    return ['Marker key may only contain letters, digits and underscores, and must start with a letter'];
+  }
+  return [];
+}
+
+// Flags target names that already exist in the tenant or repeat within the batch.
+// Returns Map<targetName, 'existing' | 'duplicate'>.
+export function findNameCollisions(targetNames, existingPolicies) {
+  const existing = new Set((existingPolicies || []).map(p => (p.name || '').toLowerCase()));
+  const seen = new Set();
+  const collisions = new Map();
+  for (const name of targetNames) {
+    const key = name.toLowerCase();
+    if (existing.has(key)) collisions.set(name, 'existing');
+    else if (seen.has(key)) collisions.set(name, 'duplicate');
+    seen.add(key);
+  }
+  return collisions;
+}
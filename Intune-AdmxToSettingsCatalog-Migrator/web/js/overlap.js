@@ -0,0 +1,173 @@
+// overlap.js - Assignment overlap between conflicting policies
+// Two policies that configure a setting differently only collide on a device
+// that receives both. Each conflict is classified from the exported
+// assignments and the groups' transitive members:
+//   effective       - at least one user or device certainly receives both
+//   potential       - overlap depends on something we cannot resolve here
+//                     (assignment filters, user vs device targeting,
+//                     unreadable group membership)
+//   non-overlapping - no user or device can receive both
+import { getGroupTransitiveMembers } from './graph.js';
+
+export const OVERLAP_LEVELS = ['effective', 'potential', 'non-overlapping'];
+
+const ALL = 'all';
+const EXCLUSION_TYPE = 'exclusionGroupAssignmentTarget';
+
+// Group members read during this session: groupId -> { users, devices } or null (unreadable)
+const membershipCache = new Map();
+
+async function loadGroupMembers(groupIds, onWarning) {
+  for (const groupId of groupIds) {
+    if (membershipCache.has(groupId)) continue;
+    try {
+      const members = await getGroupTransitiveMembers(groupId);
+      const users = new Set();
+      const devices = new Set();
+      for (const m of members) {
+        const type = m['@odata.type'] || '';
+        if (type.endsWith('.user')) users.add(m.id);
+        else if (type.endsWith('.device')) devices.add(m.id);
+      }
+      membershipCache.set(groupId, { users, devices });
+    } catch (error) {
+      membershipCache.set(groupId, null);
+      onWarning(`Could not read members of group ${groupId}: ${error.message}`);
+    }
+  }
+}
+
+function targetType(target) {
+  return (target['@odata.type'] || '').replace('#microsoft.graph.', '');
+}
+
+function isFiltered(target) {
+  const type = target.deviceAndAppManagementAssignmentFilterType;
+  return Boolean(type && type !== 'none');
+}
+
+// Include units and excluded member ids of a policy, from its assignments
+function policyAudience(policy) {
+  const units = [];
+  const excluded = new Set();
+  let unresolvedExclusions = false;
+  for (const a of (policy.assignments || [])) {
+    const t = (a && a.target) || {};
+    const type = targetType(t);
+    if (type === EXCLUSION_TYPE) {
+      const members = membershipCache.get(t.groupId);
+      if (!members) unresolvedExclusions = true;
+      else for (const id of [...members.users, ...members.devices]) excluded.add(id);
+    } else if (type === 'allDevicesAssignmentTarget') {
+      units.push({ label: 'All Devices', users: null, devices: ALL, filtered: isFiltered(t) });
+    } else if (type === 'allLicensedUsersAssignmentTarget') {
+      units.push({ label: 'All Users', users: ALL, devices: null, filtered: isFiltered(t) });
+    } else if (t.groupId) {
+      const members = membershipCache.get(t.groupId);
+      units.push(members
+        ? { label: `group ${t.groupId}`, users: members.users, devices: members.devices, filtered: isFiltered(t) }
+        : { label: `group ${t.groupId}`, unresolved: true });
+    }
+  }
+  return { units, excluded, unresolvedExclusions };
+}
+
+function hasMembers(set, excluded) {
+  if (!set) return false;
+  if (set === ALL) return true;
+  for (const id of set) if (!excluded.has(id)) return true;
+  return false;
+}
+
+function intersects(a, b, excluded) {
+  if (!a || !b) return false;
+  if (a === ALL) return hasMembers(b, excluded);
+  if (b === ALL) return hasMembers(a, excluded);
+  const [small, large] = a.size <= b.size ? [a, b] : [b, a];
+  for (const id of small) if (large.has(id) && !excluded.has(id)) return true;
+  return false;
+}
+
+function unitOverlap(a, b, excluded) {
+  if (a.unresolved || b.unresolved) {
+    return { level: 'potential', reason: `members of ${a.unresolved ? a.label : b.label} could not be read` };
+  }
+  if (intersects(a.users, b.users, excluded) || intersects(a.devices, b.devices, excluded)) {
+    if (a.filtered || b.filtered) {
+      return { level: 'potential', reason: `${a.label} and ${b.label} share members, but an assignment filter decides` };
+    }
+    return { level: 'effective', reason: a.label === b.label ? `both target ${a.label}` : `${a.label} and ${b.label} share members` };
+  }
+  const crossType = (hasMembers(a.users, excluded) && hasMembers(b.devices, excluded))
+    || (hasMembers(a.devices, excluded) && hasMembers(b.users, excluded));
+  if (crossType) {
+    return { level: 'potential', reason: `${a.label} and ${b.label} target users on one side and devices on the other` };
+  }
+  return { level: 'non-overlapping', reason: `${a.label} and ${b.label} have no members in common` };
+}
+
+function rank(level) {
+  return OVERLAP_LEVELS.indexOf(level);
+}
+
+function pairOverlap(audienceA, audienceB) {
+  if (audienceA.units.length === 0 || audienceB.units.length === 0) {
+    return { level: 'non-overlapping', reason: 'a policy is not assigned' };
+  }
+  const excluded = new Set([...audienceA.excluded, ...audienceB.excluded]);
+  let best = null;
+  for (const a of audienceA.units) {
+    for (const b of audienceB.units) {
+      const result = unitOverlap(a, b, excluded);
+      if (!best || rank(result.level) < rank(best.level)) best = result;
+    }
+  }
+  // Unknown exclusions may remove the shared members
+  if (best.level === 'effective' && (audienceA.unresolvedExclusions || audienceB.unresolvedExclusions)) {
+    return { level: 'potential', reason: `${best.reason}, but an exclusion group could not be read` };
+  }
+  return best;
+}
+
+// Adds an `overlap` classification to every conflict group of a duplicate
+// report and overlap counts to its summary. Returns the number of groups
+// whose membership could not be read.
+export async function classifyConflicts(report, exportData, onWarning = () => {}) {
+  const conflicts = report.duplicateGroups.filter(g => g.isConflict);
+  const policiesById = new Map((exportData || []).map(p => [p.id, p]));
+
+  const involved = new Set(conflicts.flatMap(g => g.policies.map(p => p.policyId)));
+  const groupIds = new Set();
+  for (const id of involved) {
+    for (const a of ((policiesById.get(id) || {}).assignments || [])) {
+      if (a && a.target && a.target.groupId) groupIds.add(a.target.groupId);
+    }
+  }
+  await loadGroupMembers(groupIds, onWarning);
+
+  const audiences = new Map([...involved].map(id => [id, policyAudience(policiesById.get(id) || {})]));
+  const counts = { effective: 0, potential: 0, 'non-overlapping': 0 };
+
+  for (const dup of conflicts) {
+    const pairs = [];
+    for (let i = 0; i < dup.policies.length; i++) {
+      for (let j = i + 1; j < dup.policies.length; j++) {
+        const p1 = dup.policies[i];
+        const p2 = dup.policies[j];
+        // Only policies that disagree on the value can conflict
+        if (p1.valueFingerprint === p2.valueFingerprint || p1.policyId === p2.policyId) continue;
+        const { level, reason } = pairOverlap(audiences.get(p1.policyId), audiences.get(p2.policyId));
+        pairs.push({ policy1Name: p1.policyName, policy2Name: p2.policyName, level, reason });
+      }
+    }
+    const worst = pairs.reduce((best, p) => (!best || rank(p.level) < rank(best.level) ? p : best), null);
+    const level = worst ? worst.level : 'non-overlapping';
+    dup.overlap = { level, reason: worst ? worst.reason : 'no conflicting pair', pairs };
+    counts[level]++;
+  }
+
+  report.summary.effectiveConflicts = counts.effective;
+  report.summary.potentialConflicts = counts.potential;
+  report.summary.nonOverlappingConflicts = counts['non-overlapping'];
+  return [...groupIds].filter(id => membershipCache.get(id) === null).length;
+}
@@ -1,6 +1,13 @@
 // backup.js - Backup and restore page
-import { state, showToast, escapeHtml, downloadJson, saveBackups } from '../app.js';
-import { getAdmxPolicies, getSettingsCatalogPolicies } from '../graph.js';
+import { state, showToast, escapeHtml, downloadJson, saveBackups, logLine, confirm, getTenantMismatch } from '../app.js';
+import {
+  getAdmxPolicies,
+  getSettingsCatalogPolicies,
+  getSettingsCatalogPolicyDetails,
+  createSettingsCatalogPolicy,
+  assignSettingsCatalogPolicy,
+  isAuthError
+} from '../graph.js';
 
 document.addEventListener('DOMContentLoaded', () => {
   document.getElementById('btn-create-backup').addEventListener('click', createBackup);
@@ -8,6 +15,11 @@ document.addEventListener('DOMContentLoaded', () => {
   window.addEventListener('page-loaded', (e) => {
     if (e.detail.page === 'backup') renderBackupList();
   });
+
+  window.addEventListener('workspace-changed', () => {
+    document.getElementById('backup-log-container').classList.add('hidden');
+    renderBackupList();
+  });
 });
 
 async function createBackup() {
@@ -28,6 +40,7 @@ async function createBackup() {
     const backup = {
       id: 'bk-' + Date.now(),
       timestamp,
+      tenantId: state.tenantId,
       displayTimestamp: new Date().toLocaleString(),
       admxPolicies: admxPolicies.map(p => ({
         id: p.id,
@@ -51,28 +64,42 @@ async function createBackup() {
       }
     };
 
+    // Capture settings and assignments of each SC policy so it can be recreated on restore.
+    // Policies whose details could not be read are recorded, so the backup never
+    // looks complete when it is not.
+    const details = await getSettingsCatalogPolicyDetails(scPolicies.map(p => p.id));
+    const authError = details.flatMap(d => [d.errors.settings, d.errors.assignments]).find(e => e && isAuthError(e));
+    if (authError) throw authError;
+    backup.failedPolicies = [];
+    const scPoliciesFull = scPolicies.map((p, i) => {
+      const { settings, assignments, errors } = details[i];
+      const captureErrors = {};
+      if (errors.settings) captureErrors.settings = errors.settings.message;
+      if (errors.assignments) captureErrors.assignments = errors.assignments.message;
+      if (Object.keys(captureErrors).length === 0) return { ...p, settings, assignments };
+      backup.failedPolicies.push({ id: p.id, name: p.name, ...captureErrors });
+      return { ...p, settings, assignments, captureErrors };
+    });
+
     // Save full backup data as downloadable JSON (for large data)
     backup.fullExport = {
       admxPolicies,
-      scPolicies
+      scPolicies: scPoliciesFull
     };
 
     state.backups.unshift(backup);
 
-    // Keep only last 10 backups in localStorage (without fullExport to save space)
-    const storageBackups = state.backups.map(b => {
-      const copy = { ...b };
-      delete copy.fullExport;
-      return copy;
-    }).slice(0, 10);
+    // Keep only the last 10 backups (stored with fullExport so they can be restored later)
     state.backups = state.backups.slice(0, 10);
-
-    try {
-      localStorage.setItem('mk-backups', JSON.stringify(storageBackups));
-    } catch {}
+    await saveBackups();
 
     renderBackupList();
-    showToast(`Backup created: ${admxPolicies.length} ADMX, ${scPolicies.length} SC policies`, 'success');
+    const incomplete = backup.failedPolicies;
+    if (incomplete.length > 0) {
+      showToast(`Backup created, but ${incomplete.length} of ${scPolicies.length} SC policies could not be read completely: ${incomplete.map(f => f.name).join(', ')}`, 'warning');
+    } else {
+      showToast(`Backup created: ${admxPolicies.length} ADMX, ${scPolicies.length} SC policies`, 'success');
+    }
   } catch (error) {
     showToast('Backup failed: ' + error.message, 'error');
   } finally {
@@ -107,10 +134,14 @@ function renderBackupList() {
             <div class="flex items-center gap-3 text-xs text-gray-500 mt-0.5">
               <span>ADMX: ${backup.stats ? backup.stats.admxCount : '?'} policies</span>
               <span>SC: ${backup.stats ? backup.stats.scCount : '?'} policies</span>
+              ${incompleteBadge(backup)}
             </div>
           </div>
         </div>
         <div class="flex items-center gap-2">
+          <button onclick="window._restoreBackup('${backup.id}')" class="px-3 py-1.5 text-xs border border-brand-200 text-brand-600 rounded-lg hover:bg-brand-50 transition">
+            Restore
+          </button>
           <button onclick="window._downloadBackup('${backup.id}')" class="px-3 py-1.5 text-xs border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition">
             Download
           </button>
@@ -125,6 +156,16 @@ function renderBackupList() {
   container.innerHTML = html;
 }
 
+// Policies whose settings or assignments were not captured, with the reasons
+function incompleteBadge(backup) {
+  const failed = backup.failedPolicies || [];
+  if (failed.length === 0) return '';
+  const title = failed
+    .map(f => `${f.name}: ${[f.settings && `settings (${f.settings})`, f.assignments && `assignments (${f.assignments})`].filter(Boolean).join(', ')} not captured`)
+    .join('\n');
+  return `<span class="px-1.5 py-0.5 rounded font-medium bg-amber-100 text-amber-700" title="${escapeHtml(title)}">Incomplete: ${failed.length} policies</span>`;
+}
+
 // Global handlers for inline onclick (needed since modules don't expose to global scope)
 window._downloadBackup = function(id) {
   const backup = state.backups.find(b => b.id === id);
@@ -136,14 +177,147 @@ window._downloadBackup = function(id) {
 
 window._deleteBackup = function(id) {
   state.backups = state.backups.filter(b => b.id !== id);
-  try {
-    const storageBackups = state.backups.map(b => {
-      const copy = { ...b };
-      delete copy.fullExport;
-      return copy;
-    });
-    localStorage.setItem('mk-backups', JSON.stringify(storageBackups));
-  } catch {}
+  saveBackups();
   renderBackupList();
   showToast('Backup deleted', 'info');
 };
+
+// ==================== RESTORE ====================
+// Recreates Settings Catalog policies that exist in the snapshot but have since
+// been deleted from the tenant. Existing policies are never modified.
+// backup.restoredIds maps snapshot policy IDs to the IDs of their recreated
+// copies, so restoring the same snapshot again does not duplicate them.
+async function restoreBackup(id) {
+  const backup = state.backups.find(b => b.id === id);
+  if (!backup) return;
+
+  if (!backup.fullExport || !backup.fullExport.scPolicies) {
+    showToast('This snapshot has no policy details (saved by an older version). Create a new backup to enable restore.', 'warning');
+    return;
+  }
+
+  const mismatch = getTenantMismatch(backup);
+  if (mismatch) {
+    showToast(`Restore refused. ${mismatch}`, 'error');
+    return;
+  }
+
+  document.getElementById('backup-log-container').classList.remove('hidden');
+  document.getElementById('backup-log').innerHTML = '';
+  const statusEl = document.getElementById('backup-status');
+  statusEl.textContent = 'Comparing...';
+  statusEl.className = 'px-3 py-1 text-xs font-medium rounded-full bg-blue-100 text-blue-700';
+
+  let missing;
+  try {
+    logLine('backup-log', `Comparing snapshot ${backup.displayTimestamp || backup.timestamp} with current tenant...`);
+    const currentPolicies = await getSettingsCatalogPolicies();
+    const currentIds = new Set(currentPolicies.map(p => p.id));
+    const restoredIds = backup.restoredIds || {};
+    missing = backup.fullExport.scPolicies.filter(p => !currentIds.has(p.id) && !currentIds.has(restoredIds[p.id]));
+    logLine('backup-log', `Snapshot: ${backup.fullExport.scPolicies.length} SC policies | Tenant: ${currentPolicies.length} | Missing: ${missing.length}`);
+  } catch (error) {
+    logLine('backup-log', `ERROR: ${error.message}`, 'error');
+    statusEl.textContent = 'Failed';
+    statusEl.className = 'px-3 py-1 text-xs font-medium rounded-full bg-red-100 text-red-700';
+    showToast('Restore failed: ' + error.message, 'error');
+    return;
+  }
+
+  if (missing.length === 0) {
+    logLine('backup-log', 'Nothing to restore: all Settings Catalog policies from this snapshot still exist.');
+    statusEl.textContent = 'Up to date';
+    statusEl.className = 'px-3 py-1 text-xs font-medium rounded-full bg-green-100 text-green-700';
+    showToast('Nothing to restore', 'info');
+    return;
+  }
+
+  for (const p of missing) {
+    logLine('backup-log', `MISSING: "${p.name}" (${p.id}) - ${(p.settings || []).length} settings, ${(p.assignments || []).length} assignments`);
+    if (p.captureErrors && p.captureErrors.settings) {
+      logLine('backup-log', `NOT RESTORABLE: the settings of "${p.name}" were not captured (${p.captureErrors.settings})`, 'error');
+    } else if (p.captureErrors && p.captureErrors.assignments) {
+      logLine('backup-log', `INCOMPLETE: the assignments of "${p.name}" were not captured (${p.captureErrors.assignments}); it is restored unassigned`, 'warn');
+    }
+  }
+  // Recreating a policy without its settings would not restore it
+  const unrestorable = missing.filter(p => p.captureErrors && p.captureErrors.settings);
+  missing = missing.filter(p => !unrestorable.includes(p));
+  if (missing.length === 0) {
+    statusEl.textContent = 'Failed';
+    statusEl.className = 'px-3 py-1 text-xs font-medium rounded-full bg-red-100 text-red-700';
+    showToast('None of the missing policies can be restored: their settings are not in this snapshot', 'error');
+    return;
+  }
+
+  const ok = await confirm(
+    'Restore Policies',
+    `This will recreate ${missing.length} deleted Settings Catalog policies from this snapshot, including their settings and assignments. Recreated policies get new IDs. Continue?`
+  );
+  if (!ok) {
+    logLine('backup-log', 'Restore cancelled.', 'warn');
+    statusEl.textContent = 'Cancelled';
+    statusEl.className = 'px-3 py-1 text-xs font-medium rounded-full bg-gray-100 text-gray-600';
+    return;
+  }
+
+  statusEl.textContent = 'Restoring...';
+  statusEl.className = 'px-3 py-1 text-xs font-medium rounded-full bg-yellow-100 text-yellow-700';
+  logLine('backup-log', '=== Restore Started ===');
+
+  let restored = 0;
+  let failed = unrestorable.length;
+
+  for (const p of missing) {
+    try {
+      // Strip server-generated IDs so the settings are accepted as new instances
+      const settings = (p.settings || [])
+        .filter(s => s && s.settingInstance)
+        .map(s => ({
+          '@odata.type': '#microsoft.graph.deviceManagementConfigurationSetting',
+          settingInstance: s.settingInstance
+        }));
+
+      // Endpoint Security and baseline policies keep their template and scope tags
+      const templateId = p.templateReference && p.templateReference.templateId;
+      logLine('backup-log', `Restoring: "${p.name}" with ${settings.length} settings${templateId ? ` (template ${p.templateReference.templateDisplayName || templateId})` : ''}...`);
+      const newPolicy = await createSettingsCatalogPolicy(
+        p.name,
+        p.description || '',
+        settings,
+        p.platforms || 'windows10',
+        p.technologies || 'mdm',
+        { roleScopeTagIds: p.roleScopeTagIds, templateReference: p.templateReference }
+      );
+      logLine('backup-log', `Created policy: ${newPolicy.id}`);
+      backup.restoredIds = { ...(backup.restoredIds || {}), [p.id]: newPolicy.id };
+      await saveBackups();
+
+      const assignments = (p.assignments || [])
+        .filter(a => a && a.target)
+        .map(a => ({ target: a.target }));
+
+      if (assignments.length > 0) {
+        logLine('backup-log', `Assigning to ${assignments.length} targets...`);
+        await assignSettingsCatalogPolicy(newPolicy.id, assignments);
+      }
+
+      restored++;
+      logLine('backup-log', `Restored: ${p.name}`);
+    } catch (error) {
+      failed++;
+      logLine('backup-log', `FAILED to restore ${p.name}: ${error.message}`, 'error');
+    }
+  }
+
+  logLine('backup-log', `=== Restore Complete: ${restored} restored, ${failed} failed ===`);
+
+  statusEl.textContent = failed > 0 ? 'Partial Restore' : 'Restored';
+  statusEl.className = `px-3 py-1 text-xs font-medium rounded-full ${failed > 0 ? 'bg-amber-100 text-amber-700' : 'bg-green-100 text-green-700'}`;
+
+  showToast(`Restore complete: ${restored} restored, ${failed} failed`, failed > 0 ? 'warning' : 'success');
+}
+
+window._restoreBackup = function(id) {
+  restoreBackup(id);
+};
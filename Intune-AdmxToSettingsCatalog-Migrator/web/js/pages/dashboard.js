@@ -1,6 +1,6 @@
 // dashboard.js - Dashboard page logic
 import { state, showToast, escapeHtml, saveState } from '../app.js';
-import { getAdmxPolicies, getAdmxDefinitionValues, getAdmxAssignments } from '../graph.js';
+import { getAdmxPolicies, getAdmxPolicyDetails } from '../graph.js';
 
 document.addEventListener('DOMContentLoaded', () => {
   document.getElementById('btn-refresh-dashboard').addEventListener('click', refreshDashboard);
@@ -8,6 +8,12 @@ document.addEventListener('DOMContentLoaded', () => {
   window.addEventListener('page-loaded', (e) => {
     if (e.detail.page === 'dashboard') updateDashboardStats();
   });
+
+  // The table as first rendered, without another tenant's policies
+  const emptyTable = document.getElementById('dashboard-policies-table').innerHTML;
+  window.addEventListener('workspace-changed', () => {
+    document.getElementById('dashboard-policies-table').innerHTML = emptyTable;
+  });
 });
 
 async function refreshDashboard() {
@@ -18,22 +24,16 @@ async function refreshDashboard() {
   try {
     const policies = await getAdmxPolicies();
 
-    // Fetch settings count for each policy (lightweight - just count)
+    // Fetch settings and assignments of all policies in /$batch calls (just counted)
     let totalSettings = 0;
     const policyData = [];
+    const details = await getAdmxPolicyDetails(policies.map(p => p.id));
 
-    for (const p of policies) {
-      let settingsCount = 0;
-      let assignmentCount = 0;
-      try {
-        const dv = await getAdmxDefinitionValues(p.id);
-        settingsCount = dv.length;
-        totalSettings += settingsCount;
-      } catch {}
-      try {
-        const assignments = await getAdmxAssignments(p.id);
-        assignmentCount = assignments.length;
-      } catch {}
+    for (const [i, p] of policies.entries()) {
+      const { assignments, definitionValues } = details[i];
+      const settingsCount = definitionValues.length;
+      const assignmentCount = assignments.length;
+      totalSettings += settingsCount;
 
       policyData.push({
         id: p.id,
@@ -66,10 +66,8 @@ function updateDashboardStats() {
   document.getElementById('stat-admx').textContent = stats ? stats.totalPolicies : '-';
   document.getElementById('stat-settings').textContent = stats ? stats.totalSettings : '-';
 
-  if (state.duplicateReport) {
-    document.getElementById('stat-duplicates').textContent = state.duplicateReport.summary.duplicateGroups;
-    document.getElementById('stat-conflicts').textContent = state.duplicateReport.summary.conflicts;
-  }
+  document.getElementById('stat-duplicates').textContent = state.duplicateReport ? state.duplicateReport.summary.duplicateGroups : '-';
+  document.getElementById('stat-conflicts').textContent = state.duplicateReport ? state.duplicateReport.summary.conflicts : '-';
 }
 
 function renderPoliciesTable(policies) {
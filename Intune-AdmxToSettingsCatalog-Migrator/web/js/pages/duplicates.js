@@ -1,10 +1,28 @@
 // duplicates.js - Duplicate settings detection page
-import { state, showToast, escapeHtml, downloadJson, saveState } from '../app.js';
+import { state, showToast, escapeHtml, downloadJson, saveState, logLine } from '../app.js';
+import { runCrossCheck } from '../crosscheck.js';
+import { classifyConflicts } from '../overlap.js';
+import {
+  DECISION_MODES,
+  settingKeyOf,
+  settingNameOf,
+  configuredStateOf,
+  valueFingerprintOf,
+  getConflictDecisions,
+  getConflictDecision,
+  saveConflictDecision,
+  clearConflictDecision
+} from '../conflicts.js';
+
+// Active group filter ('all', 'conflict' or 'consistent')
+let currentFilter = 'all';
 
 document.addEventListener('DOMContentLoaded', () => {
   document.getElementById('btn-analyze-duplicates').addEventListener('click', analyzeDuplicates);
   document.getElementById('btn-download-dup-report').addEventListener('click', () => {
-    if (state.duplicateReport) downloadJson(state.duplicateReport, 'duplicate-report.json');
+    if (state.duplicateReport) {
+      downloadJson({ ...state.duplicateReport, conflictDecisions: getConflictDecisions() }, 'duplicate-report.json');
+    }
   });
 
   // Filter buttons
@@ -17,11 +35,29 @@ document.addEventListener('DOMContentLoaded', () => {
     });
   });
 
+  document.getElementById('btn-crosscheck').addEventListener('click', crossCheckTenant);
+  document.getElementById('btn-download-crosscheck').addEventListener('click', () => {
+    if (state.crossCheckReport) downloadJson(state.crossCheckReport, 'crosscheck-report.json');
+  });
+
   window.addEventListener('page-loaded', (e) => {
     if (e.detail.page === 'duplicates' && state.duplicateReport) {
       document.getElementById('btn-download-dup-report').classList.remove('hidden');
       showDuplicateResults();
     }
+    if (e.detail.page === 'duplicates' && state.crossCheckReport) renderCrossCheck(state.crossCheckReport);
+  });
+
+  window.addEventListener('workspace-changed', () => {
+    document.getElementById('dup-results').classList.add('hidden');
+    document.getElementById('btn-download-dup-report').classList.add('hidden');
+    document.getElementById('crosscheck-results').classList.add('hidden');
+    document.getElementById('crosscheck-log-container').classList.add('hidden');
+    document.getElementById('btn-download-crosscheck').classList.add('hidden');
+    const badge = document.getElementById('dup-badge');
+    const groups = state.duplicateReport ? state.duplicateReport.summary.duplicateGroups : 0;
+    badge.textContent = groups;
+    badge.classList.toggle('hidden', groups === 0);
   });
 });
 
@@ -35,12 +71,21 @@ function analyzeDuplicates() {
   btn.disabled = true;
   btn.innerHTML = '<svg class="w-5 h-5 animate-spin" fill="none" viewBox="0 0 24 24"><circle class="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" stroke-width="4"></circle><path class="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path></svg> Analyzing...';
 
-  // Run analysis (client-side, no API calls needed)
-  setTimeout(() => {
+  // Run analysis client-side; only group membership is read from Graph
+  setTimeout(async () => {
     try {
       const report = runDuplicateAnalysis(state.exportData);
+      const warnings = [];
+      const unreadableGroups = await classifyConflicts(report, state.exportData, w => {
+        warnings.push(w);
+        console.warn('[Duplicates]', w);
+      });
+      report.summary.unreadableGroups = unreadableGroups;
       state.duplicateReport = report;
       saveState();
+      if (unreadableGroups > 0) {
+        showToast(`Members of ${unreadableGroups} groups could not be read; their conflicts are classified as potential (see console)`, 'warning');
+      }
 
       // Update badge
       const badge = document.getElementById('dup-badge');
@@ -71,44 +116,16 @@ function runDuplicateAnalysis(data) {
 
   for (const policy of data) {
     for (const dv of (policy.definitionValues || [])) {
-      let defId = null;
-      if (dv.definition && dv.definition.id) defId = dv.definition.id;
-
-      let defDisplayName = null;
-      if (dv.definition && dv.definition.displayName) defDisplayName = dv.definition.displayName;
-      else if (dv.displayName) defDisplayName = dv.displayName;
-
-      let configuredState = 'unknown';
-      if (dv.enabled === true) configuredState = 'enabled';
-      else if (dv.enabled === false) configuredState = 'disabled';
-
-      // Build a value fingerprint from presentation values for deeper conflict detection
-      let valueFingerprint = configuredState;
-      if (dv.presentationValues && dv.presentationValues.length > 0) {
-        const pvParts = dv.presentationValues
-          .map(pv => {
-            const val = pv.value !== undefined ? pv.value
-              : pv.values !== undefined ? JSON.stringify(pv.values)
-              : pv.booleanValue !== undefined ? String(pv.booleanValue)
-              : pv.decimalValue !== undefined ? String(pv.decimalValue)
-              : pv.stringValue !== undefined ? pv.stringValue
-              : '';
-            return val;
-          })
-          .sort();
-        valueFingerprint += '|' + pvParts.join(',');
-      }
-
-      const settingKey = defId ? `defId:${defId}` : defDisplayName ? `name:${defDisplayName.toLowerCase().trim()}` : `dvId:${dv.id}`;
+      const settingKey = settingKeyOf(dv);
 
       if (!settingIndex[settingKey]) settingIndex[settingKey] = [];
       settingIndex[settingKey].push({
         policyId: policy.id,
         policyName: policy.displayName,
         definitionValueId: dv.id,
-        settingName: defDisplayName,
-        configuredState,
-        valueFingerprint
+        settingName: settingNameOf(dv),
+        configuredState: configuredStateOf(dv),
+        valueFingerprint: valueFingerprintOf(dv)
       });
     }
   }
@@ -135,7 +152,7 @@ function runDuplicateAnalysis(data) {
       states,
       policies: occurrences,
       recommendation: isConflict
-        ? 'CONFLICT - Review manually: same setting configured differently'
+        ? 'CONFLICT - Choose a winning value: same setting configured differently'
         : 'CONSISTENT - Safe to merge or deduplicate'
     });
   }
@@ -163,6 +180,8 @@ function runDuplicateAnalysis(data) {
 
   const mergeCandidates = Object.values(policyOverlap)
     .map(pair => ({
+      policy1Id: pair.policy1.policyId,
+      policy2Id: pair.policy2.policyId,
       policy1Name: pair.policy1.policyName,
       policy2Name: pair.policy2.policyName,
       sharedSettingsCount: pair.sharedSettings.length,
@@ -200,6 +219,9 @@ function showDuplicateResults() {
   document.getElementById('dup-total-groups').textContent = report.summary.duplicateGroups;
   document.getElementById('dup-consistent').textContent = report.summary.consistentDuplicates;
   document.getElementById('dup-conflicts').textContent = report.summary.conflicts;
+  document.getElementById('dup-conflict-breakdown').textContent = report.summary.effectiveConflicts !== undefined
+    ? `${report.summary.effectiveConflicts} effective, ${report.summary.potentialConflicts} potential, ${report.summary.nonOverlappingConflicts} non-overlapping`
+    : 'Different values, fix before migrating';
 
   // Update filter button counts
   const filterBtns = document.querySelectorAll('.dup-filter-btn');
@@ -214,7 +236,20 @@ function showDuplicateResults() {
   renderMergeCandidates(report.mergeCandidates);
 }
 
-function renderDuplicateGroups(groups, filter = 'all') {
+const OVERLAP_BADGES = {
+  effective: 'bg-red-100 text-red-700',
+  potential: 'bg-amber-100 text-amber-700',
+  'non-overlapping': 'bg-gray-100 text-gray-600'
+};
+
+const OVERLAP_LABELS = {
+  effective: 'Effective',
+  potential: 'Potential',
+  'non-overlapping': 'No overlap'
+};
+
+function renderDuplicateGroups(groups, filter = currentFilter) {
+  currentFilter = filter;
   const container = document.getElementById('dup-groups-list');
 
   const filtered = filter === 'all' ? groups
@@ -228,8 +263,9 @@ function renderDuplicateGroups(groups, filter = 'all') {
 
   let html = '';
   for (const dup of filtered) {
-    const statusColor = dup.isConflict ? 'bg-red-100 text-red-700' : 'bg-green-100 text-green-700';
-    const statusLabel = dup.isConflict ? 'CONFLICT' : 'CONSISTENT';
+    const decision = dup.isConflict ? getConflictDecision(dup.settingKey) : null;
+    const statusColor = decision ? 'bg-blue-100 text-blue-700' : dup.isConflict ? 'bg-red-100 text-red-700' : 'bg-green-100 text-green-700';
+    const statusLabel = decision ? 'RESOLVED' : dup.isConflict ? 'CONFLICT' : 'CONSISTENT';
     const icon = dup.isConflict
       ? '<svg class="w-5 h-5 text-red-500" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M12 8v4m0 4h.01M21 12a9 9 0 11-18 0 9 9 0 0118 0z"/></svg>'
       : '<svg class="w-5 h-5 text-green-500" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M9 12l2 2 4-4m6 2a9 9 0 11-18 0 9 9 0 0118 0z"/></svg>';
@@ -243,7 +279,9 @@ function renderDuplicateGroups(groups, filter = 'all') {
               <span class="font-medium text-gray-900">${escapeHtml(dup.settingName)}</span>
               <span class="px-2 py-0.5 text-xs font-medium rounded-full ${statusColor}">${statusLabel}</span>
               <span class="text-xs text-gray-400">in ${dup.occurrenceCount} policies</span>
+              ${dup.overlap ? `<span class="px-2 py-0.5 text-xs font-medium rounded-full ${OVERLAP_BADGES[dup.overlap.level]}" title="${escapeHtml(dup.overlap.reason)}">${OVERLAP_LABELS[dup.overlap.level]}</span>` : ''}
             </div>
+            ${dup.overlap ? `<div class="text-xs text-gray-500">Assignments: ${escapeHtml(dup.overlap.reason)}</div>` : ''}
             <div class="flex flex-wrap gap-2 mt-2">
               ${dup.policies.map(p => {
                 const fp = p.valueFingerprint || p.configuredState;
@@ -256,6 +294,7 @@ function renderDuplicateGroups(groups, filter = 'all') {
                 </span>`;
               }).join('')}
             </div>
+            ${dup.isConflict ? renderConflictResolution(dup, groups.indexOf(dup), decision) : ''}
           </div>
         </div>
       </div>
@@ -265,6 +304,83 @@ function renderDuplicateGroups(groups, filter = 'all') {
   container.innerHTML = html;
 }
 
+// Differing values side by side, each with the policies (and their
+// assignment targets) that configure it
+function renderConflictResolution(dup, groupIndex, decision) {
+  const options = conflictOptions(dup);
+  const mode = decision ? decision.mode : 'exclude';
+
+  const columns = options.map((option, optionIndex) => {
+    const isWinner = decision && decision.winnerFingerprint === option.valueFingerprint;
+    const isLoser = decision && !isWinner;
+    const [configured, ...values] = option.valueFingerprint.split('|');
+    return `
+      <div class="flex-1 min-w-[200px] border rounded-lg p-3 ${isWinner ? 'border-blue-400 bg-blue-50' : isLoser ? 'border-gray-200 opacity-60' : 'border-gray-200'}">
+        <div class="text-xs font-medium text-gray-900">${escapeHtml(configured)}</div>
+        <div class="text-xs font-mono text-gray-600 break-all mt-0.5">${values.length > 0 ? escapeHtml(values.join('|')) : '<span class="text-gray-400">no values</span>'}</div>
+        <ul class="mt-2 space-y-1">
+          ${option.policies.map(p => `
+            <li class="text-xs text-gray-700">
+              ${escapeHtml(p.policyName)}
+              <div class="text-gray-400">${escapeHtml(assignmentTargets(p.policyId))}</div>
+            </li>`).join('')}
+        </ul>
+        <div class="mt-2">
+          ${isWinner
+            ? `<span class="px-2 py-0.5 text-xs font-medium rounded-full bg-blue-100 text-blue-700">Winner</span>`
+            : isLoser
+              ? `<span class="px-2 py-0.5 text-xs font-medium rounded-full bg-gray-100 text-gray-600">${mode === 'override' ? 'Overridden' : 'Excluded'}</span>`
+              : `<button onclick="window._chooseConflictWinner(${groupIndex}, ${optionIndex})" class="px-2.5 py-1 text-xs border border-brand-200 text-brand-600 rounded-lg hover:bg-brand-50 transition">Choose this value</button>`}
+        </div>
+      </div>`;
+  }).join('');
+
+  return `
+    <div class="mt-3 p-3 bg-gray-50 rounded-lg">
+      <div class="flex flex-wrap gap-3">${columns}</div>
+      <div class="flex items-center gap-3 mt-3 text-xs text-gray-600">
+        <label for="dup-decision-mode-${groupIndex}">Losing settings:</label>
+        <select id="dup-decision-mode-${groupIndex}" onchange="window._changeConflictMode(${groupIndex}, this.value)" class="px-2 py-1 border border-gray-300 rounded-lg text-xs">
+          ${Object.entries(DECISION_MODES).map(([value, label]) => `<option value="${value}" ${value === mode ? 'selected' : ''}>${label}</option>`).join('')}
+        </select>
+        ${decision ? `
+          <span class="text-gray-400">Decided by ${escapeHtml(decision.decidedBy)} on ${new Date(decision.decidedAt).toLocaleString()}</span>
+          <button onclick="window._clearConflictDecision(${groupIndex})" class="px-2.5 py-1 text-xs border border-gray-300 text-gray-700 rounded-lg hover:bg-white transition">Clear decision</button>` : ''}
+      </div>
+    </div>
+  `;
+}
+
+// Distinct values of a conflict group, in order of first appearance
+function conflictOptions(dup) {
+  const options = [];
+  for (const p of dup.policies) {
+    const fp = p.valueFingerprint || p.configuredState;
+    let option = options.find(o => o.valueFingerprint === fp);
+    if (!option) {
+      option = { valueFingerprint: fp, policies: [] };
+      options.push(option);
+    }
+    option.policies.push(p);
+  }
+  return options;
+}
+
+function assignmentTargets(policyId) {
+  const policy = (state.exportData || []).find(p => p.id === policyId);
+  if (!policy) return 'Assignments unknown';
+  const labels = (policy.assignments || []).map(a => {
+    const t = (a && a.target) || {};
+    const odata = t['@odata.type'] || '';
+    const label = odata.includes('allDevices') ? 'All Devices'
+      : odata.includes('allLicensedUsers') ? 'All Users'
+      : t.groupId ? `Group ${t.groupId}`
+      : null;
+    return label && odata.includes('exclusion') ? `Excl. ${label}` : label;
+  }).filter(Boolean);
+  return labels.length > 0 ? 'Assigned to: ' + labels.join(', ') : 'No assignments';
+}
+
 function renderMergeCandidates(candidates) {
   const container = document.getElementById('dup-merge-list');
 
@@ -300,8 +416,103 @@ function renderMergeCandidates(candidates) {
   container.innerHTML = html;
 }
 
+window._chooseConflictWinner = function(groupIndex, optionIndex) {
+  const dup = state.duplicateReport.duplicateGroups[groupIndex];
+  const option = conflictOptions(dup)[optionIndex];
+  const mode = document.getElementById(`dup-decision-mode-${groupIndex}`).value;
+  saveConflictDecision(dup.settingKey, {
+    settingName: dup.settingName,
+    winnerFingerprint: option.valueFingerprint,
+    winnerPolicyId: option.policies[0].policyId,
+    mode
+  });
+  renderDuplicateGroups(state.duplicateReport.duplicateGroups);
+  showToast(`Decision saved for "${dup.settingName}"`, 'success');
+};
+
+window._changeConflictMode = function(groupIndex, mode) {
+  const dup = state.duplicateReport.duplicateGroups[groupIndex];
+  const decision = getConflictDecision(dup.settingKey);
+  // Without a decision the select only preselects the mode for the next pick
+  if (!decision) return;
+  saveConflictDecision(dup.settingKey, { ...decision, mode });
+  renderDuplicateGroups(state.duplicateReport.duplicateGroups);
+};
+
+window._clearConflictDecision = function(groupIndex) {
+  const dup = state.duplicateReport.duplicateGroups[groupIndex];
+  clearConflictDecision(dup.settingKey);
+  renderDuplicateGroups(state.duplicateReport.duplicateGroups);
+  showToast(`Decision cleared for "${dup.settingName}"`, 'info');
+};
+
 function filterDuplicates(filter) {
   if (state.duplicateReport) {
     renderDuplicateGroups(state.duplicateReport.duplicateGroups, filter);
   }
 }
+
+// ==================== EXISTING POLICY CROSS-CHECK ====================
+
+async function crossCheckTenant() {
+  if (!state.exportData || state.exportData.length === 0) {
+    showToast('No export data found. Run Export first.', 'warning');
+    return;
+  }
+
+  const btn = document.getElementById('btn-crosscheck');
+  btn.disabled = true;
+  document.getElementById('crosscheck-log-container').classList.remove('hidden');
+  document.getElementById('crosscheck-log').innerHTML = '';
+
+  try {
+    logLine('crosscheck-log', '=== Cross-Check Started ===');
+    const report = await runCrossCheck('crosscheck-log');
+    state.crossCheckReport = report;
+    saveState();
+    logLine('crosscheck-log', `=== Cross-Check Complete: ${report.summary.overlaps} overlaps, ${report.summary.conflicts} conflicts ===`);
+    renderCrossCheck(report);
+    showToast(`Cross-check complete: ${report.summary.conflicts} settings conflict with existing policies`, report.summary.conflicts > 0 ? 'warning' : 'success');
+  } catch (error) {
+    logLine('crosscheck-log', `ERROR: ${error.message}`, 'error');
+    showToast('Cross-check failed: ' + error.message, 'error');
+  } finally {
+    btn.disabled = false;
+  }
+}
+
+function renderCrossCheck(report) {
+  document.getElementById('crosscheck-results').classList.remove('hidden');
+  document.getElementById('btn-download-crosscheck').classList.remove('hidden');
+
+  const s = report.summary;
+  document.getElementById('crosscheck-summary').textContent =
+    `${s.checkedSettings} mapped settings checked against ${s.existingPolicies} existing policies: ` +
+    `${s.conflicts} conflicting, ${s.sameValue} already configured with the same value.`;
+
+  const container = document.getElementById('crosscheck-list');
+  if (report.overlaps.length === 0) {
+    container.innerHTML = '<div class="p-8 text-center text-gray-400">No mapped setting is configured in an existing policy.</div>';
+    return;
+  }
+
+  // Conflicts first
+  const overlaps = [...report.overlaps].sort((a, b) => Number(b.isConflict) - Number(a.isConflict));
+  container.innerHTML = overlaps.map(o => `
+    <div class="px-4 py-3">
+      <div class="flex items-center gap-2 mb-1">
+        <span class="font-medium text-gray-900 text-sm">${escapeHtml(o.settingName)}</span>
+        <span class="px-2 py-0.5 text-xs font-medium rounded-full ${o.isConflict ? 'bg-red-100 text-red-700' : 'bg-green-100 text-green-700'}">${o.isConflict ? 'CONFLICT' : 'SAME VALUE'}</span>
+      </div>
+      <div class="text-xs text-gray-400 font-mono truncate">${escapeHtml(o.settingDefinitionId)}</div>
+      <div class="text-xs text-gray-600 mt-1">ADMX "${escapeHtml(o.sourcePolicyName)}": <span class="font-mono">${escapeHtml(o.admxValue)}</span></div>
+      <ul class="mt-1 space-y-0.5">
+        ${o.existing.map(e => `
+          <li class="text-xs ${e.status === 'conflict' ? 'text-red-700' : 'text-gray-600'}">
+            <span class="px-1.5 py-0.5 rounded bg-gray-100 text-gray-600">${escapeHtml(e.kind)}</span>
+            "${escapeHtml(e.policyName)}": <span class="font-mono">${escapeHtml(e.value)}</span>
+          </li>`).join('')}
+      </ul>
+    </div>
+  `).join('');
+}
@@ -1,17 +1,48 @@
 // export.js - Export page logic
-import { state, showToast, escapeHtml, downloadJson, saveState, logLine } from '../app.js';
-import { getAdmxPolicies, getAdmxDefinitionValues, getAdmxAssignments } from '../graph.js';
+import { state, showToast, escapeHtml, downloadJson, readJsonFile, saveState, logLine } from '../app.js';
+import { getAdmxPolicies, getAdmxPolicyDetails, isAuthError } from '../graph.js';
+import { runJob, bindJobControls, renderResumeBanner } from '../jobs.js';
+
+// Policies per job item: the assignments and definition values of 10 policies
+// fill one 20-request /$batch call
+const POLICIES_PER_BATCH = 10;
 
 document.addEventListener('DOMContentLoaded', () => {
-  document.getElementById('btn-export').addEventListener('click', runExport);
+  document.getElementById('btn-export').addEventListener('click', () => runExport());
+  bindJobControls('export', 'export-job-controls');
   document.getElementById('btn-download-export').addEventListener('click', () => {
     if (state.exportData) downloadJson(state.exportData, 'export.admx.json');
   });
+
+  // Import a previously downloaded export.admx.json (offline analysis)
+  const importInput = document.getElementById('input-import-export');
+  document.getElementById('btn-import-export').addEventListener('click', () => importInput.click());
+  importInput.addEventListener('change', () => {
+    const file = importInput.files[0];
+    importInput.value = '';
+    if (file) importExport(file);
+  });
+
+  // Show the export of the new workspace, if it has one
+  window.addEventListener('workspace-changed', () => {
+    document.getElementById('export-progress').classList.add('hidden');
+    document.getElementById('export-log').innerHTML = '';
+    const hasData = Array.isArray(state.exportData) && state.exportData.length > 0;
+    if (hasData) renderExportTable(state.exportData);
+    document.getElementById('export-results').classList.toggle('hidden', !hasData);
+    document.getElementById('btn-download-export').classList.toggle('hidden', !hasData);
+    renderExportResume();
+  });
+
+  window.addEventListener('page-loaded', (e) => {
+    if (e.detail.page === 'export') renderExportResume();
+  });
 });
 
-async function runExport() {
+async function runExport(resume = false) {
   const btn = document.getElementById('btn-export');
   btn.disabled = true;
+  document.getElementById('export-resume').classList.add('hidden');
 
   document.getElementById('export-progress').classList.remove('hidden');
   document.getElementById('export-results').classList.add('hidden');
@@ -24,48 +55,38 @@ async function runExport() {
 
     const progressBar = document.getElementById('export-progress-bar');
     const progressText = document.getElementById('export-progress-text');
-
-    const exportData = [];
-    let warnings = 0;
-
-    for (let i = 0; i < policies.length; i++) {
-      const p = policies[i];
-      const pct = Math.round(((i + 1) / policies.length) * 100);
-      progressBar.style.width = pct + '%';
-      progressText.textContent = `${i + 1} / ${policies.length}`;
-
-      logLine('export-log', `Exporting: ${p.displayName} (${p.id})`);
-
-      let assignments = [];
-      try {
-        assignments = await getAdmxAssignments(p.id);
-        if (assignments.length > 0) {
-          logLine('export-log', `  Found ${assignments.length} assignment(s)`);
-        }
-      } catch (err) {
-        warnings++;
-        logLine('export-log', `WARN: Failed to get assignments for ${p.displayName}: ${err.message}`, 'warn');
-      }
-
-      let defValues = [];
-      try {
-        defValues = await getAdmxDefinitionValues(p.id);
-      } catch (err) {
-        warnings++;
-        logLine('export-log', `WARN: Failed to get definitionValues for ${p.displayName}: ${err.message}`, 'warn');
-      }
-
-      exportData.push({
-        id: p.id,
-        displayName: p.displayName,
-        description: p.description,
-        lastModifiedDateTime: p.lastModifiedDateTime,
-        assignments,
-        definitionValues: defValues,
-        raw: p
-      });
+    const showProgress = (done) => {
+      progressBar.style.width = Math.round((done / Math.max(policies.length, 1)) * 100) + '%';
+      progressText.textContent = `${done} / ${policies.length}`;
+    };
+
+    // Batches of policies run in parallel; a resumed run skips those already exported
+    const batches = [];
+    for (let i = 0; i < policies.length; i += POLICIES_PER_BATCH) {
+      batches.push(policies.slice(i, i + POLICIES_PER_BATCH));
+    }
+    const { status, results } = await runJob('export', {
+      items: batches,
+      keyOf: batch => batch.map(p => p.id).join(','),
+      resume,
+      concurrency: { initial: 2, max: 4 },
+      worker: exportPolicies,
+      onProgress: job => showProgress(Math.min(job.done * POLICIES_PER_BATCH, policies.length))
+    });
+
+    if (status === 'cancelled') {
+      logLine('export-log', 'Export cancelled. The previous export was kept.', 'warn');
+      showToast('Export cancelled', 'info');
+      return;
     }
 
+    // Keep Graph's order; results of policies deleted since a resume are dropped
+    const byId = new Map(Object.values(results).flat().map(r => [r.policy.id, r]));
+    const exported = policies.map(p => byId.get(p.id)).filter(Boolean);
+    const exportData = exported.map(r => r.policy);
+    const warnings = exported.reduce((n, r) => n + r.warnings, 0);
+    showProgress(policies.length);
+
     state.exportData = exportData;
     saveState();
 
@@ -88,11 +109,108 @@ async function runExport() {
   } catch (error) {
     logLine('export-log', `ERROR: ${error.message}`, 'error');
     showToast('Export failed: ' + error.message, 'error');
+    renderExportResume();
   } finally {
     btn.disabled = false;
   }
 }
 
+// Job worker: a batch of policies with their assignments and definition values
+async function exportPolicies(batch) {
+  const details = await getAdmxPolicyDetails(batch.map(p => p.id));
+  return batch.map((p, i) => {
+    const { assignments, definitionValues, errors } = details[i];
+    logLine('export-log', `Exporting: ${p.displayName} (${p.id})`);
+    let warnings = 0;
+
+    if (errors.assignments) {
+      if (isAuthError(errors.assignments)) throw errors.assignments;
+      warnings++;
+      logLine('export-log', `WARN: Failed to get assignments for ${p.displayName}: ${errors.assignments.message}`, 'warn');
+    } else if (assignments.length > 0) {
+      logLine('export-log', `  Found ${assignments.length} assignment(s)`);
+    }
+
+    if (errors.definitionValues) {
+      if (isAuthError(errors.definitionValues)) throw errors.definitionValues;
+      warnings++;
+      logLine('export-log', `WARN: Failed to get definitionValues for ${p.displayName}: ${errors.definitionValues.message}`, 'warn');
+    }
+
+    return {
+      warnings,
+      policy: {
+        id: p.id,
+        displayName: p.displayName,
+        description: p.description,
+        lastModifiedDateTime: p.lastModifiedDateTime,
+        assignments,
+        definitionValues,
+        raw: p
+      }
+    };
+  });
+}
+
+function renderExportResume() {
+  renderResumeBanner('export', 'export-resume', 'export', { onResume: () => runExport(true) });
+}
+
+// Validate the shape of an export.admx.json file. Returns a list of problems;
+// an empty list means the data can be loaded into state.exportData.
+function validateExportData(data) {
+  if (!Array.isArray(data)) return ['Expected a JSON array of ADMX policies'];
+
+  const errors = [];
+  data.forEach((p, i) => {
+    const label = p && p.displayName ? `"${p.displayName}"` : `#${i + 1}`;
+    if (!p || typeof p !== 'object') {
+      errors.push(`Policy ${label}: not an object`);
+      return;
+    }
+    if (!p.id) errors.push(`Policy ${label}: missing id`);
+    if (!Array.isArray(p.definitionValues)) {
+      errors.push(`Policy ${label}: definitionValues must be an array`);
+    } else if (p.definitionValues.some(dv => !dv || !dv.id)) {
+      errors.push(`Policy ${label}: every definitionValue needs an id`);
+    }
+    if (!Array.isArray(p.assignments)) errors.push(`Policy ${label}: assignments must be an array`);
+    if (!p.raw || typeof p.raw !== 'object') errors.push(`Policy ${label}: raw must be an object`);
+  });
+  return errors;
+}
+
+async function importExport(file) {
+  try {
+    const data = await readJsonFile(file);
+    const errors = validateExportData(data);
+    if (errors.length > 0) {
+      console.warn('[Export] Import validation errors:', errors);
+      const more = errors.length > 1 ? ` (+${errors.length - 1} more)` : '';
+      showToast(`Invalid export file: ${errors[0]}${more}`, 'error');
+      return;
+    }
+
+    state.exportData = data;
+    // The duplicate report belongs to the previous export
+    state.duplicateReport = null;
+
+    let totalSettings = 0;
+    data.forEach(p => totalSettings += p.definitionValues.length);
+    state.dashboardStats = { totalPolicies: data.length, totalSettings };
+    saveState();
+
+    renderExportTable(data);
+    document.getElementById('export-progress').classList.add('hidden');
+    document.getElementById('export-results').classList.remove('hidden');
+    document.getElementById('btn-download-export').classList.remove('hidden');
+
+    showToast(`Imported ${data.length} policies (${totalSettings} settings) from ${file.name}`, 'success');
+  } catch (error) {
+    showToast('Import failed: ' + error.message, 'error');
+  }
+}
+
 function renderExportTable(data) {
   const container = document.getElementById('export-table');
   let html = `
@@ -0,0 +1,283 @@
+// history.js - Migration history page (all runs, multi-run rollback)
+import { showToast, escapeHtml, downloadJson, logLine, confirm, getTenantMismatch } from '../app.js';
+import { getHistory, findRun, activePolicies, rollbackRun, recordInterruptedRollback, discoverMigratedPolicies } from '../manifests.js';
+import { getMarkerKey } from '../naming.js';
+import { bindJobControls, renderResumeBanner } from '../jobs.js';
+
+const expandedRuns = new Set();
+
+document.addEventListener('DOMContentLoaded', () => {
+  document.getElementById('btn-download-history').addEventListener('click', () => {
+    downloadJson(getHistory(), 'migration-history.json');
+  });
+  document.getElementById('btn-discover-migrated').addEventListener('click', runDiscovery);
+  bindJobControls('rollback', 'history-job-controls');
+
+  window.addEventListener('page-loaded', (e) => {
+    if (e.detail.page === 'history') {
+      renderHistory();
+      renderRollbackResume();
+    }
+  });
+
+  window.addEventListener('workspace-changed', () => {
+    expandedRuns.clear();
+    document.getElementById('history-log-container').classList.add('hidden');
+    renderRollbackResume();
+  });
+});
+
+const MODE_BADGES = {
+  EXECUTE: 'bg-brand-100 text-brand-700',
+  PREVIEW: 'bg-blue-100 text-blue-700',
+  DISCOVERED: 'bg-purple-100 text-purple-700',
+  MERGE: 'bg-teal-100 text-teal-700'
+};
+
+const STATUS_BADGES = {
+  complete: 'bg-green-100 text-green-700',
+  failed: 'bg-red-100 text-red-700',
+  'rolled back': 'bg-gray-100 text-gray-600',
+  'partially rolled back': 'bg-amber-100 text-amber-700'
+};
+
+function runStatus(run) {
+  const created = (run.createdPolicies || []).filter(p => p.targetPolicyId);
+  const rolledBack = created.filter(p => p.rolledBackAt).length;
+  if (created.length > 0 && rolledBack === created.length) return 'rolled back';
+  if (rolledBack > 0) return 'partially rolled back';
+  return run.status || 'complete';
+}
+
+function renderHistory() {
+  const container = document.getElementById('history-list');
+  const runs = [...getHistory()].reverse();
+
+  if (runs.length === 0) {
+    container.innerHTML = `
+      <div class="p-8 text-center text-gray-400">
+        <p>No migration runs yet. Runs appear here after a preview or migration.</p>
+      </div>
+    `;
+    return;
+  }
+
+  let html = '';
+  for (const run of runs) {
+    const created = (run.createdPolicies || []).filter(p => p.targetPolicyId);
+    const active = activePolicies(run);
+    const status = runStatus(run);
+    const runId = escapeHtml(run.runId);
+
+    html += `
+      <div class="border-b border-gray-100 last:border-0">
+        <div class="px-6 py-4 flex items-center justify-between table-row">
+          <div>
+            <div class="flex items-center gap-2">
+              <p class="font-medium text-gray-900">${escapeHtml(new Date(run.generatedAt).toLocaleString())}</p>
+              <span class="px-2 py-0.5 text-xs font-medium rounded-full ${MODE_BADGES[run.mode] || 'bg-gray-100 text-gray-600'}">${escapeHtml(run.mode || '?')}</span>
+              <span class="px-2 py-0.5 text-xs font-medium rounded-full ${STATUS_BADGES[status] || 'bg-gray-100 text-gray-600'}">${escapeHtml(status)}</span>
+            </div>
+            <div class="flex items-center gap-3 text-xs text-gray-500 mt-0.5">
+              <span class="font-mono">${runId}</span>
+              <span>${escapeHtml(run.operator || 'unknown')}</span>
+              <span>${run.mode === 'PREVIEW' ? (run.createdPolicies || []).length + ' would be created' : created.length + ' created, ' + active.length + ' active'}</span>
+            </div>
+            ${run.error ? `<p class="text-xs text-red-600 mt-1">${escapeHtml(run.error)}</p>` : ''}
+          </div>
+          <div class="flex items-center gap-2">
+            <button onclick="window._toggleRunDetails('${runId}')" class="px-3 py-1.5 text-xs border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition">
+              ${expandedRuns.has(run.runId) ? 'Hide' : 'Details'}
+            </button>
+            <button onclick="window._rollbackRun('${runId}')" ${active.length === 0 ? 'disabled' : ''} class="px-3 py-1.5 text-xs border border-red-200 text-red-600 rounded-lg hover:bg-red-50 transition disabled:opacity-40 disabled:cursor-not-allowed">
+              Roll back run
+            </button>
+          </div>
+        </div>
+        ${expandedRuns.has(run.runId) ? renderRunDetails(run) : ''}
+      </div>
+    `;
+  }
+
+  container.innerHTML = html;
+}
+
+function renderRunDetails(run) {
+  const policies = run.createdPolicies || [];
+  if (policies.length === 0) {
+    return '<div class="px-6 pb-4 text-sm text-gray-400">No policies in this run.</div>';
+  }
+
+  let rows = '';
+  for (const p of policies) {
+    const selectable = p.targetPolicyId && !p.rolledBackAt;
+    const status = p.whatIf ? 'Preview'
+      : p.rolledBackAt ? `Rolled back ${new Date(p.rolledBackAt).toLocaleString()} by ${p.rolledBackBy || 'unknown'}`
+      : 'Created';
+    rows += `
+      <tr>
+        <td class="px-4 py-2">
+          <input type="checkbox" class="history-policy-cb rounded border-gray-300" data-run="${escapeHtml(run.runId)}" value="${escapeHtml(p.targetPolicyId || '')}" ${selectable ? '' : 'disabled'}>
+        </td>
+        <td class="px-4 py-2 font-medium">${escapeHtml(p.targetName || '')}</td>
+        <td class="px-4 py-2 font-mono text-xs text-gray-500">${escapeHtml(p.targetPolicyId || '-')}</td>
+        <td class="px-4 py-2">
+          <div class="${p.sourcePolicyName ? '' : 'text-amber-600'}">${escapeHtml(p.sourcePolicyName || 'Source not found')}</div>
+          <div class="font-mono text-xs text-gray-400">${escapeHtml((p.sourcePolicyIds || [p.sourcePolicyId]).filter(Boolean).join(', '))}</div>
+        </td>
+        <td class="px-4 py-2 text-xs text-gray-600">${escapeHtml(status)}</td>
+      </tr>
+    `;
+  }
+
+  return `
+    <div class="px-6 pb-4">
+      <table class="w-full text-sm bg-gray-50 rounded-lg">
+        <thead class="text-left">
+          <tr>
+            <th class="px-4 py-2"></th>
+            <th class="px-4 py-2 text-xs font-medium text-gray-500 uppercase">Policy</th>
+            <th class="px-4 py-2 text-xs font-medium text-gray-500 uppercase">Policy ID</th>
+            <th class="px-4 py-2 text-xs font-medium text-gray-500 uppercase">Source ADMX Policy</th>
+            <th class="px-4 py-2 text-xs font-medium text-gray-500 uppercase">Status</th>
+          </tr>
+        </thead>
+        <tbody class="divide-y divide-gray-100">${rows}</tbody>
+      </table>
+      <button onclick="window._rollbackSelected('${escapeHtml(run.runId)}')" class="mt-3 px-3 py-1.5 text-xs border border-red-200 text-red-600 rounded-lg hover:bg-red-50 transition">
+        Roll back selected
+      </button>
+    </div>
+  `;
+}
+
+// ==================== DISCOVERY ====================
+async function runDiscovery() {
+  const btn = document.getElementById('btn-discover-migrated');
+  btn.disabled = true;
+  document.getElementById('history-log-container').classList.remove('hidden');
+  document.getElementById('history-log').innerHTML = '';
+  const statusEl = document.getElementById('history-status');
+  statusEl.textContent = 'Scanning...';
+  statusEl.className = 'px-3 py-1 text-xs font-medium rounded-full bg-blue-100 text-blue-700';
+
+  try {
+    const manifest = await discoverMigratedPolicies('history-log');
+    statusEl.textContent = 'Scan Complete';
+    statusEl.className = 'px-3 py-1 text-xs font-medium rounded-full bg-green-100 text-green-700';
+    if (!manifest) {
+      showToast(`No policies with a ${getMarkerKey()} marker found`, 'info');
+      return;
+    }
+    // Open the rebuilt manifest so policies can be selected for rollback
+    expandedRuns.add(manifest.runId);
+    renderHistory();
+    showToast(`Discovered ${manifest.createdPolicies.length} migrated policies`, 'success');
+  } catch (error) {
+    logLine('history-log', `ERROR: ${error.message}`, 'error');
+    statusEl.textContent = 'Failed';
+    statusEl.className = 'px-3 py-1 text-xs font-medium rounded-full bg-red-100 text-red-700';
+    showToast('Discovery failed: ' + error.message, 'error');
+  } finally {
+    btn.disabled = false;
+  }
+}
+
+// ==================== ROLLBACK ====================
+async function rollback(run, policyIds) {
+  const targets = activePolicies(run).filter(p => !policyIds || policyIds.has(p.targetPolicyId));
+  if (targets.length === 0) {
+    showToast('Nothing to roll back in this run.', 'warning');
+    return;
+  }
+
+  const mismatch = getTenantMismatch(run);
+  if (mismatch) {
+    showToast(`Rollback refused. ${mismatch}`, 'error');
+    return;
+  }
+
+  // A discovered run holds every marker-tagged policy, whichever run created it
+  const discoveredNote = run.mode === 'DISCOVERED'
+    ? ' This run was rebuilt by a discovery scan and covers every policy carrying a migration marker, including policies created by other runs or other copies of this tool.'
+    : '';
+  const ok = await confirm(
+    'Rollback Migration',
+    `This will DELETE ${targets.length} Settings Catalog policies created by run ${run.runId}.${discoveredNote} This cannot be undone. Continue?`
+  );
+  if (!ok) return;
+
+  await runRollback(run, policyIds, false);
+}
+
+async function runRollback(run, policyIds, resume) {
+  document.getElementById('history-rollback-resume').classList.add('hidden');
+  document.getElementById('history-log-container').classList.remove('hidden');
+  document.getElementById('history-log').innerHTML = '';
+  const statusEl = document.getElementById('history-status');
+  statusEl.textContent = 'Rolling back...';
+  statusEl.className = 'px-3 py-1 text-xs font-medium rounded-full bg-red-100 text-red-700';
+
+  let outcome;
+  try {
+    outcome = await rollbackRun(run, policyIds, 'history-log', { resume });
+  } catch (error) {
+    logLine('history-log', `ERROR: ${error.message}`, 'error');
+    statusEl.textContent = 'Failed';
+    showToast('Rollback failed: ' + error.message, 'error');
+    return;
+  }
+  const { deleted, failed, cancelled } = outcome;
+
+  statusEl.textContent = cancelled ? 'Rollback Cancelled' : failed > 0 ? 'Partial Rollback' : 'Rolled Back';
+  statusEl.className = `px-3 py-1 text-xs font-medium rounded-full ${cancelled || failed > 0 ? 'bg-amber-100 text-amber-700' : 'bg-green-100 text-green-700'}`;
+
+  renderHistory();
+  showToast(`Rollback ${cancelled ? 'cancelled' : 'complete'}: ${deleted} deleted, ${failed} failed`, cancelled || failed > 0 ? 'warning' : 'success');
+}
+
+// An interrupted rollback (page reload, expired sign-in) continues where it stopped
+function renderRollbackResume() {
+  renderResumeBanner('rollback', 'history-rollback-resume', 'rollback', {
+    onResume: (checkpoint) => {
+      const run = findRun(checkpoint.meta.runId);
+      if (!run) {
+        showToast(`Run ${checkpoint.meta.runId} is no longer in the history.`, 'error');
+        return;
+      }
+      const ids = checkpoint.meta.targetPolicyIds ? new Set(checkpoint.meta.targetPolicyIds) : null;
+      runRollback(run, ids, true);
+    },
+    onDiscard: (checkpoint) => {
+      recordInterruptedRollback(checkpoint);
+      renderHistory();
+    }
+  });
+}
+
+// Global handlers for inline onclick (needed since modules don't expose to global scope)
+window._toggleRunDetails = function(runId) {
+  if (expandedRuns.has(runId)) expandedRuns.delete(runId);
+  else expandedRuns.add(runId);
+  renderHistory();
+};
+
+window._rollbackRun = function(runId) {
+  const run = findRun(runId);
+  if (run) rollback(run, null);
+};
+
+window._rollbackSelected = function(runId) {
+  const run = findRun(runId);
+  if (!run) return;
+  const ids = new Set(
+    [...document.querySelectorAll('.history-policy-cb:checked')]
+      .filter(cb => cb.dataset.run === runId)
+      .map(cb => cb.value)
+  );
+  if (ids.size === 0) {
+    showToast('Select at least one policy to roll back.', 'warning');
+    return;
+  }
+  rollback(run, ids);
+};
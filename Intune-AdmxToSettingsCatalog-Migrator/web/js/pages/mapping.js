@@ -1,12 +1,48 @@
 // mapping.js - Settings mapping page
-import { state, showToast, escapeHtml, downloadJson, saveState } from '../app.js';
-import { searchSettingsCatalog, searchSettingsCatalogByProduct, getSearchErrors, clearSearchCache } from '../graph.js';
+import { state, showToast, escapeHtml, downloadJson, readJsonFile, saveState, confirm } from '../app.js';
+import { getSearchErrors, clearSearchCache, isAuthError } from '../graph.js';
+import {
+  searchSettings,
+  searchSettingsByProduct,
+  loadCatalogMeta,
+  getCatalogMeta,
+  isCatalogIndexActive,
+  setCatalogIndexEnabled,
+  catalogAgeDays,
+  downloadCatalog,
+  deleteCatalog,
+  CATALOG_MAX_AGE_DAYS
+} from '../catalog.js';
+import { matchProductPattern } from '../patterns.js';
+import { rankCandidates, confidenceFor, describeScore, isScopeMismatch, settingScope } from '../scoring.js';
+import { normalizePresentationValues, loadDefinitionTrees, buildSettingPayload, buildMappingIndex } from '../translate.js';
+import { decisionRoleOf, applyConflictDecisions, valueFingerprintOf } from '../conflicts.js';
+import { checkSuggestionValues, currentValueCheck } from '../valuecheck.js';
+import { lookupKnowledge, rememberMapping, forgetMapping, knowledgeCount, knowledgeFile, importKnowledge, clearKnowledge } from '../knowledge.js';
+import { runJob, bindJobControls, renderResumeBanner } from '../jobs.js';
 
 let activeFilter = 'all';
+let textFilter = '';
+let groupBy = 'policy';
+// Indices into state.mappingSuggestions: checked rows and the keyboard cursor
+const selectedRows = new Set();
+let focusedRow = -1;
 
 document.addEventListener('DOMContentLoaded', () => {
-  document.getElementById('btn-generate-mapping').addEventListener('click', generateMapping);
+  document.getElementById('btn-generate-mapping').addEventListener('click', () => generateMapping());
+  document.getElementById('btn-update-mapping').addEventListener('click', () => updateMapping());
+  bindJobControls('mapping', 'mapping-job-controls');
   document.getElementById('btn-download-mapping').addEventListener('click', downloadMapping);
+  document.getElementById('btn-check-values').addEventListener('click', checkValues);
+
+  // Import a curated mapping.json (from a previous session or the PowerShell CLI)
+  const importInput = document.getElementById('input-import-mapping');
+  document.getElementById('btn-import-mapping').addEventListener('click', () => importInput.click());
+  importInput.addEventListener('change', () => {
+    const file = importInput.files[0];
+    importInput.value = '';
+    if (file) importMapping(file);
+  });
 
   // Filter buttons
   document.querySelectorAll('.mapping-filter-btn').forEach(btn => {
@@ -18,16 +54,53 @@ document.addEventListener('DOMContentLoaded', () => {
     });
   });
 
+  // Text filter, grouping and bulk actions
+  let filterTimer = null;
+  document.getElementById('mapping-text-filter').addEventListener('input', (e) => {
+    clearTimeout(filterTimer);
+    filterTimer = setTimeout(() => {
+      textFilter = e.target.value.trim().toLowerCase();
+      renderMappingTable();
+    }, 150);
+  });
+  document.getElementById('mapping-group-by').addEventListener('change', (e) => {
+    groupBy = e.target.value;
+    renderMappingTable();
+  });
+  document.querySelectorAll('.mapping-bulk-btn').forEach(btn => {
+    btn.addEventListener('click', () => runBulkAction(btn.dataset.bulk));
+  });
+  document.addEventListener('keydown', handleTriageKey);
+  bindTableEvents();
+
   initSearchModal();
+  initCatalogIndex();
+  initKnowledgeBase();
 
   window.addEventListener('page-loaded', (e) => {
+    if (e.detail.page === 'mapping') renderMappingResume();
     if (e.detail.page === 'mapping' && state.mappingSuggestions) {
       updateStats();
       renderMappingTable();
       document.getElementById('mapping-results').classList.remove('hidden');
       document.getElementById('btn-download-mapping').classList.remove('hidden');
+      document.getElementById('btn-check-values').classList.remove('hidden');
+      document.getElementById('btn-update-mapping').classList.remove('hidden');
     }
   });
+
+  window.addEventListener('workspace-changed', () => {
+    resetTriage();
+    renderKnowledgeStatus();
+    document.getElementById('mapping-import-report').classList.add('hidden');
+    document.getElementById('mapping-update-report').classList.add('hidden');
+    document.getElementById('mapping-progress').classList.add('hidden');
+    document.getElementById('mapping-results').classList.add('hidden');
+    document.getElementById('btn-download-mapping').classList.add('hidden');
+    document.getElementById('btn-check-values').classList.add('hidden');
+    document.getElementById('btn-update-mapping').classList.add('hidden');
+    renderMappingResume();
+  });
 });
 
 // Build search queries from ADMX definition metadata.
@@ -74,33 +147,14 @@ function buildSearchQueries(dv) {
   return queries;
 }
 
-// Map well-known product names (from ADMX categoryPath) to Settings Catalog
-// ID patterns. Product names like "Microsoft Edge" are NOT localized in
-// categoryPath even on non-English tenants.
-const PRODUCT_SC_PATTERNS = {
-  'microsoft edge': 'microsoft_edge~policy~',
-  'google chrome': 'googlechrome~policy~',
-  'internet explorer': 'internetexplorer_',
-  'onedrive': 'onedrivengscv2~',
-  'windows defender antivirus': 'defender_antivirus',
-  'bitlocker drive encryption': 'bitlocker_',
-  'bitlocker': 'bitlocker_',
-  'windows update': 'windowsupdate~',
-  'remote desktop': 'remotedesktopservices~',
-  'microsoft office': 'office16v2~',
-  'windows ink workspace': 'windowsinkworkspace',
-};
-
 // Extract a Settings Catalog ID pattern from the ADMX category path.
 // Product names in categoryPath are typically English even on localized tenants.
 function extractProductHint(categoryPath) {
   if (!categoryPath) return '';
-  const lower = categoryPath.toLowerCase();
 
-  // Try known product patterns first
-  for (const [product, pattern] of Object.entries(PRODUCT_SC_PATTERNS)) {
-    if (lower.includes(product)) return pattern;
-  }
+  // Try the product pattern registry first (editable on the Settings page)
+  const registered = matchProductPattern(categoryPath);
+  if (registered) return registered;
 
   // Dynamic fallback: try the 2nd path segment as an ID fragment
   // e.g., "\Windows Components\Some Product\..." → "some_product"
@@ -116,44 +170,6 @@ function extractProductHint(categoryPath) {
   return '';
 }
 
-// Rank candidates by relevance to the source setting name.
-// Used when product-specific search returns many results and we need to
-// pick the best match. Works across languages by matching ID tokens.
-function rankCandidatesByRelevance(candidates, sourceName) {
-  const srcLower = sourceName.toLowerCase();
-  const srcTokens = srcLower.split(/[\s\-_\/(),.]+/).filter(t => t.length >= 3);
-
-  return candidates
-    .map(c => {
-      const id = (c.id || '').toLowerCase();
-      const name = (c.displayName || '').toLowerCase();
-      let score = 0;
-
-      // Exact name match (works if Accept-Language returned English)
-      if (name === srcLower) score += 100;
-      // Partial containment
-      else if (name.includes(srcLower) || srcLower.includes(name)) score += 50;
-
-      // Token matching against candidate name and ID
-      for (const token of srcTokens) {
-        if (name.includes(token)) score += 5;
-        if (id.includes(token)) score += 3;
-        // 4-char prefix match (catches cross-language similarity, e.g. "geo")
-        if (token.length >= 5) {
-          const prefix = token.substring(0, 4);
-          if (id.includes(prefix)) score += 1;
-        }
-      }
-
-      // Prefer ADMX-backed settings
-      if (id.includes('_policy_config_') || id.includes('admx_')) score += 2;
-
-      return { candidate: c, score };
-    })
-    .sort((a, b) => b.score - a.score)
-    .map(r => r.candidate);
-}
-
 // Determine the best setting name for display purposes
 function getSettingName(dv) {
   if (dv.definition && dv.definition.displayName) return dv.definition.displayName;
@@ -173,74 +189,312 @@ function extractSourceValues(dv) {
     }
     if (pv.values) result.listValues = pv.values;
   }
+  // Full per-element values, translated into child settings at payload time
+  result.presentationValues = normalizePresentationValues(dv);
   return result;
 }
 
-// Build setting payload based on the Settings Catalog definition type and source values
-function buildSettingPayload(candidate, sourceValues) {
-  const odataType = candidate['@odata.type'] || candidate.odataType || '';
-  const defId = candidate.settingDefinitionId;
+function updateStats() {
+  const suggestions = state.mappingSuggestions || [];
+  const high = suggestions.filter(s => s.confidence === 'high').length;
+  const med = suggestions.filter(s => s.confidence === 'medium').length;
+  const none = suggestions.filter(s => s.confidence === 'none').length;
+
+  document.getElementById('mapping-stat-total').textContent = suggestions.length;
+  document.getElementById('mapping-stat-high').textContent = high;
+  document.getElementById('mapping-stat-medium').textContent = med;
+  document.getElementById('mapping-stat-none').textContent = none;
+}
 
-  if (odataType.includes('ChoiceSettingDefinition') || odataType.includes('Choice') || !odataType) {
-    const choiceValue = sourceValues.enabled ? `${defId}_1` : `${defId}_0`;
+// Settings searched concurrently; mapping runs start here and adapt to throttling
+const SEARCH_BATCH_SIZE = 3;
+const SEARCH_MAX_CONCURRENCY = 8;
+
+// Search and score a single setting; returns { suggestion, hadError }.
+// useKnowledge: false searches even when the knowledge base has a target.
+// Sign-in failures are thrown so a mapping job can pause on them.
+async function processOneSetting({ policy, dv }, { useKnowledge = true } = {}) {
+  const settingName = getSettingName(dv);
+  const queries = buildSearchQueries(dv);
+  const sourceValues = extractSourceValues(dv);
+  const categoryPath = (dv.definition && dv.definition.categoryPath) || '';
+  const productHint = extractProductHint(categoryPath);
+
+  let candidates = [];
+  let usedQuery = '';
+  let hadError = false;
+
+  // A target confirmed earlier for this ADMX definition needs no search at all
+  const known = useKnowledge ? lookupKnowledge(dv.definition && dv.definition.id) : null;
+  if (known) {
+    const candidate = { ...known.target, score: 100, factors: { knowledge: 1 } };
     return {
-      '@odata.type': '#microsoft.graph.deviceManagementConfigurationSetting',
-      settingInstance: {
-        '@odata.type': '#microsoft.graph.deviceManagementConfigurationChoiceSettingInstance',
-        settingDefinitionId: defId,
-        choiceSettingValue: {
-          '@odata.type': '#microsoft.graph.deviceManagementConfigurationChoiceSettingValue',
-          value: choiceValue,
-          children: []
-        }
-      }
+      suggestion: {
+        sourcePolicyId: policy.id,
+        sourcePolicyName: policy.displayName,
+        sourceDefinitionValueId: dv.id,
+        sourceDefinitionId: dv.definition.id,
+        sourceSettingName: settingName,
+        sourceCategoryPath: categoryPath,
+        sourceClassType: dv.definition.classType || null,
+        sourceValues,
+        sourceFingerprint: sourceFingerprint(dv),
+        candidates: [candidate],
+        recommended: candidate,
+        confidence: 'high',
+        score: 100,
+        matchType: 'knowledge',
+        searchQuery: '[knowledge base]'
+      },
+      hadError
     };
   }
 
-  if (odataType.includes('SimpleSettingDefinition') || odataType.includes('Simple')) {
-    const val = sourceValues.stringValue || sourceValues.numberValue || '';
-    return {
-      '@odata.type': '#microsoft.graph.deviceManagementConfigurationSetting',
-      settingInstance: {
-        '@odata.type': '#microsoft.graph.deviceManagementConfigurationSimpleSettingInstance',
-        settingDefinitionId: defId,
-        simpleSettingValue: {
-          '@odata.type': typeof val === 'number'
-            ? '#microsoft.graph.deviceManagementConfigurationIntegerSettingValue'
-            : '#microsoft.graph.deviceManagementConfigurationStringSettingValue',
-          value: val
-        }
-      }
-    };
+  // Try each text-based search query until we find candidates
+  for (const q of queries) {
+    if (candidates.length > 0) break;
+    usedQuery = q;
+    try {
+      candidates = await searchSettings(q);
+    } catch (error) {
+      if (isAuthError(error)) throw error;
+      hadError = true;
+      candidates = [];
+    }
   }
 
-  return {
-    '@odata.type': '#microsoft.graph.deviceManagementConfigurationSetting',
-    settingInstance: {
-      '@odata.type': '#microsoft.graph.deviceManagementConfigurationChoiceSettingInstance',
-      settingDefinitionId: defId,
-      choiceSettingValue: {
-        '@odata.type': '#microsoft.graph.deviceManagementConfigurationChoiceSettingValue',
-        value: sourceValues.enabled ? `${defId}_1` : `${defId}_0`,
-        children: []
-      }
+  // Fallback if no queries could be built
+  if (queries.length === 0 && candidates.length === 0) {
+    usedQuery = settingName;
+    try {
+      candidates = await searchSettings(settingName.replace(/"/g, ''));
+    } catch (error) {
+      if (isAuthError(error)) throw error;
+      hadError = true;
+    }
+  }
+
+  // If text search failed but we know the product, try product-specific
+  // ID search. This handles localized tenants where display names are
+  // in Norwegian, German, etc. and don't match English SC names.
+  if (candidates.length === 0 && productHint) {
+    usedQuery = `[product: ${productHint}]`;
+    try {
+      candidates = await searchSettingsByProduct(productHint);
+    } catch (error) {
+      if (isAuthError(error)) throw error;
+      hadError = true;
     }
+  }
+
+  // Score every candidate
+  const source = {
+    name: settingName,
+    categoryPath,
+    classType: dv.definition && dv.definition.classType,
+    presentationValues: dv.presentationValues
+  };
+  const ranked = rankCandidates(source, candidates);
+  const top = ranked.slice(0, 5).map(({ candidate: c, score, factors }) => ({
+    settingDefinitionId: c.id,
+    displayName: c.displayName,
+    description: c.description || '',
+    odataType: c['@odata.type'] || '',
+    score,
+    factors
+  }));
+  const confidence = top.length > 0 ? confidenceFor(top[0]) : 'none';
+
+  return {
+    suggestion: {
+      sourcePolicyId: policy.id,
+      sourcePolicyName: policy.displayName,
+      sourceDefinitionValueId: dv.id,
+      sourceDefinitionId: (dv.definition && dv.definition.id) || null,
+      sourceSettingName: settingName,
+      sourceCategoryPath: categoryPath,
+      sourceClassType: (dv.definition && dv.definition.classType) || null,
+      sourceValues,
+      sourceFingerprint: sourceFingerprint(dv),
+      candidates: top,
+      recommended: confidence !== 'none' ? top[0] : null,
+      confidence,
+      score: top.length > 0 ? top[0].score : null,
+      matchType: 'search',
+      searchQuery: usedQuery
+    },
+    hadError
   };
 }
 
-function updateStats() {
-  const suggestions = state.mappingSuggestions || [];
-  const high = suggestions.filter(s => s.confidence === 'high').length;
-  const med = suggestions.filter(s => s.confidence === 'medium').length;
-  const none = suggestions.filter(s => s.confidence === 'none').length;
+// ==================== INCREMENTAL UPDATE ====================
 
-  document.getElementById('mapping-stat-total').textContent = suggestions.length;
-  document.getElementById('mapping-stat-high').textContent = high;
-  document.getElementById('mapping-stat-medium').textContent = med;
-  document.getElementById('mapping-stat-none').textContent = none;
+// What a suggestion was generated from: the ADMX definition and the configured values
+function sourceFingerprint(dv) {
+  const def = dv.definition || {};
+  return {
+    definition: [def.id, def.displayName, def.categoryPath, def.classType].join('|'),
+    values: valueFingerprintOf(dv)
+  };
+}
+
+// Match types chosen by a person or taken from a curated source; like reviewed
+// settings, these keep their target when only the values change
+const CURATED_MATCH_TYPES = new Set(['imported', 'manual', 'knowledge']);
+
+// Re-searches only settings that are new or changed since the last mapping.
+// Reviewed and curated settings whose definition is unchanged keep their
+// target and get the new values; settings no longer in the export are dropped
+// and reported. Curated entries of unchanged settings are kept.
+// resume: continue an interrupted update; the classification is repeated and
+// settings searched before the interruption are not searched again.
+async function updateMapping(resume = false) {
+  if (!state.exportData || state.exportData.length === 0) {
+    showToast('No export data found. Run Export first.', 'warning');
+    return;
+  }
+  if (!state.mappingSuggestions || state.mappingSuggestions.length === 0) {
+    await generateMapping(resume);
+    return;
+  }
+
+  const existing = new Map(state.mappingSuggestions.map(s => [`${s.sourcePolicyId}|${s.sourceDefinitionValueId}`, s]));
+  const seen = new Set();
+  const unchanged = new Set();
+  const suggestions = [];
+  const tasks = [];
+  const report = { added: [], changed: [], kept: [], orphaned: [], unchanged: 0 };
+
+  for (const policy of state.exportData) {
+    for (const dv of (policy.definitionValues || [])) {
+      const key = `${policy.id}|${dv.id}`;
+      seen.add(key);
+      const label = `${policy.displayName} / ${getSettingName(dv)}`;
+      const old = existing.get(key);
+      const fingerprint = sourceFingerprint(dv);
+      if (!old) {
+        tasks.push({ policy, dv, slot: suggestions.length });
+        suggestions.push(null);
+        report.added.push(label);
+        continue;
+      }
+      old.sourcePolicyName = policy.displayName;
+      // Suggestions from before fingerprints were stored are taken as unchanged
+      const oldFingerprint = old.sourceFingerprint || fingerprint;
+      const definitionChanged = oldFingerprint.definition !== fingerprint.definition;
+      const valuesChanged = oldFingerprint.values !== fingerprint.values;
+      if (!definitionChanged && !valuesChanged) {
+        old.sourceFingerprint = fingerprint;
+        suggestions.push(old);
+        unchanged.add(key);
+        report.unchanged++;
+      } else if (!definitionChanged && (old.reviewed || CURATED_MATCH_TYPES.has(old.matchType))) {
+        old.sourceValues = extractSourceValues(dv);
+        old.sourceFingerprint = fingerprint;
+        delete old.settingPayload;
+        delete old.valueCheck;
+        suggestions.push(old);
+        report.kept.push(label);
+      } else {
+        tasks.push({ policy, dv, slot: suggestions.length });
+        suggestions.push(null);
+        report.changed.push(`${label} (${definitionChanged ? 'definition' : 'values'} changed)`);
+      }
+    }
+  }
+  for (const [key, s] of existing) {
+    if (!seen.has(key)) report.orphaned.push(`${s.sourcePolicyName} / ${s.sourceSettingName}${s.reviewed ? ' (reviewed)' : ''}`);
+  }
+
+  const btn = document.getElementById('btn-update-mapping');
+  btn.disabled = true;
+  document.getElementById('mapping-resume').classList.add('hidden');
+  document.getElementById('mapping-import-report').classList.add('hidden');
+  const progressBar = document.getElementById('mapping-progress-bar');
+  const progressText = document.getElementById('mapping-progress-text');
+  if (tasks.length > 0) {
+    document.getElementById('mapping-progress').classList.remove('hidden');
+    progressBar.style.width = '0%';
+    progressText.textContent = `0 / ${tasks.length}`;
+  }
+
+  let apiErrors = 0;
+  try {
+    clearSearchCache();
+    const { status, results } = await runJob('mapping', {
+      items: tasks,
+      keyOf: settingTaskKey,
+      worker: t => processOneSetting(t),
+      meta: { mode: 'update' },
+      resume,
+      concurrency: { initial: SEARCH_BATCH_SIZE, max: SEARCH_MAX_CONCURRENCY },
+      onProgress: job => {
+        progressBar.style.width = Math.round((job.done / job.total) * 100) + '%';
+        progressText.textContent = `${job.done} / ${job.total}`;
+      }
+    });
+    if (status === 'cancelled') {
+      showToast('Mapping update cancelled. The previous mapping was kept.', 'info');
+      return;
+    }
+    for (const t of tasks) {
+      const { suggestion, hadError } = results[settingTaskKey(t)];
+      suggestions[t.slot] = suggestion;
+      if (hadError) apiErrors++;
+    }
+
+    state.mappingSuggestions = suggestions;
+    // Entries of changed settings would shadow the updated suggestions; a new download recreates them
+    const entries = (state.mappingEntries || [])
+      .filter(e => unchanged.has(`${e.sourcePolicyId}|${e.sourceDefinitionValueId}`));
+    state.mappingEntries = entries.length > 0 ? entries : null;
+    saveState();
+    resetTriage();
+
+    updateStats();
+    renderMappingTable();
+    renderUpdateReport(report);
+    document.getElementById('mapping-results').classList.remove('hidden');
+
+    const msg = `Mapping updated: ${report.added.length} added, ${report.changed.length} re-searched, ${report.kept.length} kept with new values, ${report.orphaned.length} orphaned, ${report.unchanged} unchanged`;
+    showToast(apiErrors > 0 ? `${msg} (${apiErrors} API errors)` : msg, apiErrors > 0 ? 'warning' : 'success');
+  } catch (error) {
+    showToast('Mapping update failed: ' + error.message, 'error');
+    renderMappingResume();
+  } finally {
+    document.getElementById('mapping-progress').classList.add('hidden');
+    btn.disabled = false;
+  }
+}
+
+function renderUpdateReport(report) {
+  const container = document.getElementById('mapping-update-report');
+  const sections = [
+    ['Added', report.added],
+    ['Re-searched', report.changed],
+    ['Kept (reviewed or curated, values refreshed)', report.kept],
+    ['Orphaned (no longer in the export)', report.orphaned]
+  ].filter(([, items]) => items.length > 0);
+
+  let html = `
+    <h4 class="text-sm font-semibold text-blue-900 mb-1.5">Incremental update</h4>
+    <p class="text-xs text-blue-800 mb-2">${report.added.length} added, ${report.changed.length} re-searched, ${report.kept.length} kept with new values, ${report.orphaned.length} orphaned, ${report.unchanged} unchanged.</p>
+  `;
+  if (sections.length > 0) {
+    html += '<div class="max-h-48 overflow-y-auto text-xs bg-white/60 rounded-lg border border-blue-200 divide-y divide-blue-100">';
+    for (const [title, items] of sections) {
+      for (const item of items) {
+        html += `<div class="px-3 py-1.5 text-blue-900"><span class="font-semibold">${title}:</span> ${escapeHtml(item)}</div>`;
+      }
+    }
+    html += '</div>';
+  }
+  container.innerHTML = html;
+  container.classList.remove('hidden');
 }
 
-async function generateMapping() {
+// resume: continue an interrupted run without searching finished settings again
+async function generateMapping(resume = false) {
   if (!state.exportData || state.exportData.length === 0) {
     showToast('No export data found. Run Export first.', 'warning');
     return;
@@ -248,19 +502,17 @@ async function generateMapping() {
 
   const btn = document.getElementById('btn-generate-mapping');
   btn.disabled = true;
+  document.getElementById('mapping-resume').classList.add('hidden');
 
   document.getElementById('mapping-progress').classList.remove('hidden');
   document.getElementById('mapping-results').classList.add('hidden');
+  document.getElementById('mapping-import-report').classList.add('hidden');
+  document.getElementById('mapping-update-report').classList.add('hidden');
 
   try {
     // Clear search cache from any previous run
     clearSearchCache();
 
-    const suggestions = [];
-    let totalSettings = 0;
-    state.exportData.forEach(p => totalSettings += (p.definitionValues || []).length);
-
-    let processed = 0;
     let apiErrors = 0;
     const progressBar = document.getElementById('mapping-progress-bar');
     const progressText = document.getElementById('mapping-progress-text');
@@ -273,135 +525,43 @@ async function generateMapping() {
       }
     }
 
-    // Process a single setting: search, score, return suggestion object
-    async function processOneSetting({ policy, dv }) {
-      const settingName = getSettingName(dv);
-      const queries = buildSearchQueries(dv);
-      const sourceValues = extractSourceValues(dv);
-      const categoryPath = (dv.definition && dv.definition.categoryPath) || '';
-      const productHint = extractProductHint(categoryPath);
-
-      let candidates = [];
-      let usedQuery = '';
-      let hadError = false;
-      let usedProductFallback = false;
-
-      // Try each text-based search query until we find candidates
-      for (const q of queries) {
-        if (candidates.length > 0) break;
-        usedQuery = q;
-        try {
-          candidates = await searchSettingsCatalog(q);
-        } catch {
-          hadError = true;
-          candidates = [];
-        }
-      }
-
-      // Fallback if no queries could be built
-      if (queries.length === 0) {
-        usedQuery = settingName;
-        try {
-          candidates = await searchSettingsCatalog(settingName.replace(/"/g, ''));
-        } catch {
-          hadError = true;
-        }
-      }
-
-      // If text search failed but we know the product, try product-specific
-      // ID search. This handles localized tenants where display names are
-      // in Norwegian, German, etc. and don't match English SC names.
-      if (candidates.length === 0 && productHint) {
-        usedQuery = `[product: ${productHint}]`;
-        usedProductFallback = true;
-        try {
-          const productResults = await searchSettingsCatalogByProduct(productHint);
-          // Rank by relevance to source name (best-effort cross-language matching)
-          candidates = rankCandidatesByRelevance(productResults, settingName);
-        } catch {
-          hadError = true;
-        }
-      }
-
-      const top = (candidates || []).slice(0, 5).map(c => ({
-        settingDefinitionId: c.id,
-        displayName: c.displayName,
-        description: c.description || '',
-        odataType: c['@odata.type'] || ''
-      }));
-
-      // Determine confidence based on name similarity and setting ID plausibility
-      let confidence = 'none';
-      if (top.length > 0) {
-        const bestName = (top[0].displayName || '').toLowerCase();
-        const bestId = (top[0].settingDefinitionId || '').toLowerCase();
-        const srcName = settingName.toLowerCase();
-
-        const isAdmxId = bestId.includes('_policy_config_') || bestId.includes('admx_');
-
-        if (bestName === srcName) {
-          confidence = 'high';
-        } else if (bestName.includes(srcName) || srcName.includes(bestName)) {
-          confidence = isAdmxId ? 'high' : 'medium';
-        } else {
-          const srcWords = new Set(srcName.split(/\s+/).filter(w => w.length > 3));
-          const bestWords = new Set(bestName.split(/\s+/).filter(w => w.length > 3));
-          const overlap = [...srcWords].filter(w => bestWords.has(w));
-          if (overlap.length >= 2 && isAdmxId) {
-            confidence = 'high';
-          } else if (overlap.length >= 2) {
-            confidence = 'medium';
-          } else if (usedProductFallback) {
-            // Product fallback results need manual review — we found settings
-            // in the right product area but couldn't confirm the exact match
-            confidence = 'medium';
-          } else {
-            confidence = 'medium';
-          }
-        }
+    // Process settings concurrently to speed up mapping
+    const { status, results } = await runJob('mapping', {
+      items: tasks,
+      keyOf: settingTaskKey,
+      worker: t => processOneSetting(t),
+      meta: { mode: 'generate' },
+      resume,
+      concurrency: { initial: SEARCH_BATCH_SIZE, max: SEARCH_MAX_CONCURRENCY },
+      onProgress: job => {
+        progressBar.style.width = Math.round((job.done / job.total) * 100) + '%';
+        progressText.textContent = `${job.done} / ${job.total}`;
       }
-
-      return {
-        suggestion: {
-          sourcePolicyId: policy.id,
-          sourcePolicyName: policy.displayName,
-          sourceDefinitionValueId: dv.id,
-          sourceSettingName: settingName,
-          sourceCategoryPath: categoryPath,
-          sourceValues,
-          candidates: top,
-          recommended: top[0] || null,
-          confidence,
-          searchQuery: usedQuery
-        },
-        hadError
-      };
+    });
+    if (status === 'cancelled') {
+      document.getElementById('mapping-progress').classList.add('hidden');
+      if (state.mappingSuggestions) document.getElementById('mapping-results').classList.remove('hidden');
+      showToast('Mapping cancelled. The previous suggestions were kept.', 'info');
+      return;
     }
 
-    // Process settings in concurrent batches of 3 to speed up mapping
-    const BATCH_SIZE = 3;
-    for (let i = 0; i < tasks.length; i += BATCH_SIZE) {
-      const batch = tasks.slice(i, i + BATCH_SIZE);
-      const results = await Promise.all(batch.map(t => processOneSetting(t)));
-
-      for (const { suggestion, hadError } of results) {
-        suggestions.push(suggestion);
-        if (hadError) apiErrors++;
-      }
-
-      processed += batch.length;
-      const pct = Math.round((processed / totalSettings) * 100);
-      progressBar.style.width = pct + '%';
-      progressText.textContent = `${processed} / ${totalSettings}`;
+    const suggestions = [];
+    for (const t of tasks) {
+      const { suggestion, hadError } = results[settingTaskKey(t)];
+      suggestions.push(suggestion);
+      if (hadError) apiErrors++;
     }
 
     state.mappingSuggestions = suggestions;
     saveState();
+    resetTriage();
 
     updateStats();
     renderMappingTable();
     document.getElementById('mapping-results').classList.remove('hidden');
     document.getElementById('btn-download-mapping').classList.remove('hidden');
+    document.getElementById('btn-check-values').classList.remove('hidden');
+    document.getElementById('btn-update-mapping').classList.remove('hidden');
     document.getElementById('mapping-progress').classList.add('hidden');
 
     const highCount = suggestions.filter(s => s.confidence === 'high').length;
@@ -421,7 +581,71 @@ async function generateMapping() {
 
     showToast(msg, noMatch === suggestions.length ? 'warning' : 'success');
   } catch (error) {
+    document.getElementById('mapping-progress').classList.add('hidden');
     showToast('Mapping failed: ' + error.message, 'error');
+    renderMappingResume();
+  } finally {
+    btn.disabled = false;
+  }
+}
+
+function settingTaskKey({ policy, dv }) {
+  return `${policy.id}|${dv.id}`;
+}
+
+function renderMappingResume() {
+  renderResumeBanner('mapping', 'mapping-resume', 'mapping run', {
+    onResume: checkpoint => (checkpoint.meta && checkpoint.meta.mode === 'update' ? updateMapping(true) : generateMapping(true))
+  });
+}
+
+// ==================== LOCAL CATALOG INDEX ====================
+function initCatalogIndex() {
+  document.getElementById('btn-download-catalog').addEventListener('click', downloadCatalogIndex);
+  document.getElementById('btn-delete-catalog').addEventListener('click', async () => {
+    await deleteCatalog();
+    renderCatalogStatus();
+    showToast('Local catalog index deleted', 'info');
+  });
+  document.getElementById('catalog-index-enabled').addEventListener('change', async (e) => {
+    await setCatalogIndexEnabled(e.target.checked);
+    renderCatalogStatus();
+  });
+  loadCatalogMeta()
+    .then(renderCatalogStatus)
+    .catch(err => console.warn('[Mapping] Could not read the local catalog index:', err));
+}
+
+function renderCatalogStatus() {
+  const meta = getCatalogMeta();
+  const status = document.getElementById('catalog-index-status');
+  const toggle = document.getElementById('catalog-index-enabled');
+  toggle.disabled = !meta;
+  toggle.checked = isCatalogIndexActive();
+  document.getElementById('btn-delete-catalog').classList.toggle('hidden', !meta);
+  document.getElementById('btn-download-catalog').textContent = meta ? 'Refresh Catalog' : 'Download Catalog';
+
+  if (!meta) {
+    status.textContent = 'Not downloaded. Searches go to the Graph API.';
+    return;
+  }
+  const age = catalogAgeDays();
+  const stale = age > CATALOG_MAX_AGE_DAYS ? ` Older than ${CATALOG_MAX_AGE_DAYS} days, consider a refresh.` : '';
+  status.textContent = `${meta.count.toLocaleString()} Windows settings, version ${meta.version} (downloaded ${new Date(meta.downloadedAt).toLocaleDateString()}). ` +
+    (isCatalogIndexActive() ? 'Searches use the local index.' : 'Disabled, searches go to the Graph API.') + stale;
+}
+
+async function downloadCatalogIndex() {
+  const btn = document.getElementById('btn-download-catalog');
+  const status = document.getElementById('catalog-index-status');
+  btn.disabled = true;
+  try {
+    await downloadCatalog(count => { status.textContent = `Downloading... ${count.toLocaleString()} settings`; });
+    renderCatalogStatus();
+    showToast(`Catalog index saved: ${getCatalogMeta().count.toLocaleString()} settings`, 'success');
+  } catch (error) {
+    renderCatalogStatus();
+    showToast('Catalog download failed: ' + error.message, 'error');
   } finally {
     btn.disabled = false;
   }
@@ -493,7 +717,7 @@ function initSearchModal() {
     resultsContainer.innerHTML = '<div class="p-8 text-center text-gray-400 text-sm">Searching...</div>';
 
     try {
-      const results = await searchSettingsCatalog(query.replace(/"/g, ''));
+      const results = await searchSettings(query.replace(/"/g, ''));
       if (!results || results.length === 0) {
         const s = currentSearchIndex >= 0 ? state.mappingSuggestions[currentSearchIndex] : null;
         const catPath = s && s.sourceCategoryPath ? s.sourceCategoryPath : '';
@@ -559,12 +783,29 @@ function initSearchModal() {
   });
 }
 
+// Curated entries (a downloaded or imported mapping.json) win over their
+// suggestion, so a suggestion whose target changes must not keep one
+function dropMappingEntry(s) {
+  if (!state.mappingEntries) return;
+  const key = `${s.sourcePolicyId}|${s.sourceDefinitionValueId}`;
+  const entries = state.mappingEntries.filter(e => `${e.sourcePolicyId}|${e.sourceDefinitionValueId}` !== key);
+  state.mappingEntries = entries.length > 0 ? entries : null;
+}
+
 function applyManualMapping(index, picked) {
   const s = state.mappingSuggestions[index];
+  if (s.recommended) forgetKnownTarget(s, s.recommended.settingDefinitionId);
+  // A new pick invalidates any payload carried over from an imported mapping.json
+  delete s.settingPayload;
+  dropMappingEntry(s);
+  s.matchType = 'manual';
+  s.reviewed = true;
+  let propagated = 0;
   if (picked) {
     s.recommended = picked;
     s.candidates = [picked, ...s.candidates.filter(c => c.settingDefinitionId !== picked.settingDefinitionId)].slice(0, 5);
     s.confidence = 'high';
+    propagated = propagateMapping(s);
   } else {
     s.recommended = null;
     s.candidates = [];
@@ -573,7 +814,124 @@ function applyManualMapping(index, picked) {
   saveState();
   updateStats();
   renderMappingTable();
-  showToast(picked ? `Mapped: ${s.sourceSettingName} → ${picked.displayName}` : `Removed mapping for: ${s.sourceSettingName}`, picked ? 'success' : 'info');
+  const also = propagated > 0 ? ` (also applied to ${propagated} other occurrences)` : '';
+  showToast(picked ? `Mapped: ${s.sourceSettingName} → ${picked.displayName}${also}` : `Removed mapping for: ${s.sourceSettingName}`, picked ? 'success' : 'info');
+}
+
+// ==================== KNOWLEDGE BASE ====================
+
+// ADMX definitions of the exported settings, keyed by policyId|definitionValueId
+function sourceDefinitions() {
+  const definitions = new Map();
+  for (const policy of (state.exportData || [])) {
+    for (const dv of (policy.definitionValues || [])) {
+      if (dv.definition && dv.definition.id) definitions.set(`${policy.id}|${dv.id}`, dv.definition);
+    }
+  }
+  return definitions;
+}
+
+// Suggestions created before sourceDefinitionId was stored fall back to the export
+function definitionIdOf(s, definitions) {
+  if (s.sourceDefinitionId) return s.sourceDefinitionId;
+  const def = definitions.get(`${s.sourcePolicyId}|${s.sourceDefinitionValueId}`);
+  return def ? def.id : null;
+}
+
+// Sets a known target on a suggestion (used for other occurrences of a definition)
+function applyKnownTarget(s, target) {
+  const candidate = { ...target, score: 100, factors: { knowledge: 1 } };
+  delete s.settingPayload;
+  dropMappingEntry(s);
+  s.recommended = candidate;
+  s.candidates = [candidate, ...(s.candidates || []).filter(c => c.settingDefinitionId !== target.settingDefinitionId)].slice(0, 5);
+  s.confidence = 'high';
+  s.score = 100;
+  s.matchType = 'knowledge';
+}
+
+// Remembers the suggestion's target and applies it to every other occurrence
+// of the same ADMX definition that has not been reviewed yet. Returns the
+// number of other rows that changed.
+function propagateMapping(s) {
+  const definitions = sourceDefinitions();
+  const definitionId = definitionIdOf(s, definitions);
+  if (!definitionId || !s.recommended) return 0;
+  const definition = definitions.get(`${s.sourcePolicyId}|${s.sourceDefinitionValueId}`)
+    || { id: definitionId, displayName: s.sourceSettingName, categoryPath: s.sourceCategoryPath, classType: s.sourceClassType };
+  rememberMapping(definition, s.recommended);
+
+  let applied = 0;
+  for (const other of state.mappingSuggestions) {
+    if (other === s || other.reviewed || definitionIdOf(other, definitions) !== definitionId) continue;
+    if (other.recommended && other.recommended.settingDefinitionId === s.recommended.settingDefinitionId && other.confidence === 'high') continue;
+    applyKnownTarget(other, lookupKnowledge(definitionId).target);
+    applied++;
+  }
+  return applied;
+}
+
+// A rejected or replaced target is dropped from the knowledge base
+function forgetKnownTarget(s, settingDefinitionId) {
+  const definitionId = definitionIdOf(s, sourceDefinitions());
+  const known = lookupKnowledge(definitionId);
+  if (known && known.target.settingDefinitionId === settingDefinitionId) forgetMapping(definitionId);
+}
+
+// Applies the knowledge base to every unreviewed suggestion (after an import)
+function applyKnowledgeToSuggestions() {
+  const definitions = sourceDefinitions();
+  let applied = 0;
+  for (const s of (state.mappingSuggestions || [])) {
+    if (s.reviewed) continue;
+    const known = lookupKnowledge(definitionIdOf(s, definitions));
+    if (!known || (s.recommended && s.recommended.settingDefinitionId === known.target.settingDefinitionId)) continue;
+    applyKnownTarget(s, known.target);
+    applied++;
+  }
+  return applied;
+}
+
+function initKnowledgeBase() {
+  const importInput = document.getElementById('input-import-knowledge');
+  document.getElementById('btn-export-knowledge').addEventListener('click', () => {
+    downloadJson(knowledgeFile(), 'mapping-knowledge.json');
+  });
+  document.getElementById('btn-import-knowledge').addEventListener('click', () => importInput.click());
+  importInput.addEventListener('change', async () => {
+    const file = importInput.files[0];
+    importInput.value = '';
+    if (!file) return;
+    try {
+      const { added, updated, kept } = importKnowledge(await readJsonFile(file));
+      const applied = applyKnowledgeToSuggestions();
+      saveState();
+      renderKnowledgeStatus();
+      if (state.mappingSuggestions) {
+        updateStats();
+        renderMappingTable();
+      }
+      showToast(`Knowledge base: ${added} added, ${updated} updated, ${kept} kept${applied > 0 ? `; applied to ${applied} settings` : ''}`, 'success');
+    } catch (error) {
+      showToast('Import failed: ' + error.message, 'error');
+    }
+  });
+  document.getElementById('btn-clear-knowledge').addEventListener('click', async () => {
+    const ok = await confirm('Clear Knowledge Base', `Remove all ${knowledgeCount()} remembered mappings from this workspace? Current mapping suggestions are not changed.`);
+    if (!ok) return;
+    clearKnowledge();
+    renderKnowledgeStatus();
+    showToast('Knowledge base cleared', 'info');
+  });
+  renderKnowledgeStatus();
+}
+
+function renderKnowledgeStatus() {
+  const count = knowledgeCount();
+  document.getElementById('knowledge-status').textContent = count > 0
+    ? `${count} confirmed mappings, reused for every occurrence of the same ADMX setting and by the next Generate Suggestions run.`
+    : 'Empty. Confirmed and manually picked mappings are remembered here.';
+  document.getElementById('btn-clear-knowledge').classList.toggle('hidden', count === 0);
 }
 
 // ==================== RENDER ====================
@@ -582,6 +940,7 @@ function updateFilterCounts() {
   const high = suggestions.filter(s => s.confidence === 'high').length;
   const med = suggestions.filter(s => s.confidence === 'medium').length;
   const none = suggestions.filter(s => s.confidence === 'none').length;
+  const reviewed = suggestions.filter(s => s.reviewed).length;
 
   document.querySelectorAll('.mapping-filter-btn').forEach(btn => {
     const f = btn.dataset.filter;
@@ -589,31 +948,86 @@ function updateFilterCounts() {
     else if (f === 'high') btn.textContent = `High (${high})`;
     else if (f === 'medium') btn.textContent = `Medium (${med})`;
     else if (f === 'none') btn.textContent = `No Match (${none})`;
+    else if (f === 'unreviewed') btn.textContent = `Unreviewed (${suggestions.length - reviewed})`;
   });
+
+  const progress = document.getElementById('mapping-review-progress');
+  const pct = suggestions.length > 0 ? Math.round((reviewed / suggestions.length) * 100) : 0;
+  progress.textContent = `${reviewed} of ${suggestions.length} reviewed (${pct}%)`;
 }
 
 function confirmMapping(index) {
   const s = state.mappingSuggestions[index];
-  s.confidence = 'high';
+  if (!s || !s.recommended) return;
+  const propagated = markConfirmed(s);
   saveState();
   updateStats();
-  updateFilterCounts();
-  renderMappingTable();
-  showToast(`Confirmed: ${s.sourceSettingName}`, 'success');
+  // Other occurrences changed too when the target was propagated
+  if (propagated > 0) renderMappingTable();
+  else updateRow(index);
+  showToast(`Confirmed: ${s.sourceSettingName}${propagated > 0 ? ` (also applied to ${propagated} other occurrences)` : ''}`, 'success');
 }
 
 function rejectMapping(index) {
   const s = state.mappingSuggestions[index];
-  s.recommended = null;
-  s.candidates = [];
-  s.confidence = 'none';
+  if (!s) return;
+  markRejected(s);
   saveState();
   updateStats();
-  updateFilterCounts();
-  renderMappingTable();
+  updateRow(index);
   showToast(`Rejected mapping for: ${s.sourceSettingName}`, 'info');
 }
 
+// Returns the number of other occurrences the confirmed target was applied to
+function markConfirmed(s) {
+  s.confidence = 'high';
+  s.confirmed = true;
+  s.reviewed = true;
+  return propagateMapping(s);
+}
+
+function markRejected(s) {
+  if (s.recommended) forgetKnownTarget(s, s.recommended.settingDefinitionId);
+  delete s.settingPayload;
+  dropMappingEntry(s);
+  s.matchType = 'manual';
+  s.recommended = null;
+  s.candidates = [];
+  s.confidence = 'none';
+  s.reviewed = true;
+}
+
+// Hover text for the status badge: the score breakdown, or why there is none
+function confidenceReason(s) {
+  if (s.matchType === 'manual') return s.recommended ? 'Picked manually' : 'Rejected manually';
+  if (s.matchType === 'imported') return 'Imported from mapping.json';
+  if (s.matchType === 'knowledge') return (s.confirmed ? 'Confirmed manually\n' : '') + 'From the mapping knowledge base (confirmed earlier for this ADMX setting)';
+  const scored = s.recommended || (s.candidates || [])[0];
+  const breakdown = describeScore(scored);
+  if (!breakdown) return '';
+  return (s.confirmed ? 'Confirmed manually\n' : '') + breakdown;
+}
+
+const VALUE_CHECK_BADGES = {
+  error: ['bg-red-100 text-red-700', 'Value errors'],
+  warning: ['bg-amber-100 text-amber-700', 'Value warnings'],
+  unverified: ['bg-gray-100 text-gray-500', 'Unverified values']
+};
+
+function valueCheckBadge(s) {
+  const check = currentValueCheck(s);
+  if (!check || !VALUE_CHECK_BADGES[check.status]) return '';
+  const [cls, label] = VALUE_CHECK_BADGES[check.status];
+  const title = check.issues.map(i => `${i.severity === 'error' ? 'Error' : 'Warning'}: ${i.message}`).join('\n');
+  return `<span class="ml-1 px-1.5 py-0.5 text-xs font-medium rounded ${cls}" title="${escapeHtml(title)}">${label}</span>`;
+}
+
+const DECISION_BADGES = {
+  winner: 'bg-blue-100 text-blue-700',
+  excluded: 'bg-gray-200 text-gray-600',
+  overridden: 'bg-purple-100 text-purple-700'
+};
+
 function renderMappingTable() {
   const container = document.getElementById('mapping-table');
   const suggestions = state.mappingSuggestions || [];
@@ -625,40 +1039,39 @@ function renderMappingTable() {
     return;
   }
 
-  // Apply filter
-  const filtered = activeFilter === 'all' ? suggestions : suggestions.filter(s => s.confidence === activeFilter);
+  const filtered = visibleSuggestions();
+  const indexOf = new Map(suggestions.map((s, i) => [s, i]));
+  // Only rows the filters show stay selected, so bulk actions never reach hidden rows
+  const visible = new Set(filtered.map(s => indexOf.get(s)));
+  for (const index of [...selectedRows]) {
+    if (!visible.has(index)) selectedRows.delete(index);
+  }
+  renderBulkBar();
 
   if (filtered.length === 0) {
-    container.innerHTML = `<div class="p-8 text-center text-gray-400">No settings match the "${activeFilter}" filter.</div>`;
+    container.innerHTML = `<div class="p-8 text-center text-gray-400">No settings match the "${activeFilter}" filter${textFilter ? ` and "${escapeHtml(textFilter)}"` : ''}.</div>`;
     return;
   }
 
-  // Group by policy for per-policy summaries
+  // Group by source policy or category path, with per-group summaries
   const policyGroups = new Map();
   for (const s of filtered) {
-    if (!policyGroups.has(s.sourcePolicyName)) policyGroups.set(s.sourcePolicyName, []);
-    policyGroups.get(s.sourcePolicyName).push(s);
+    const key = groupBy === 'category' ? (s.sourceCategoryPath || '(no category path)') : s.sourcePolicyName;
+    if (!policyGroups.has(key)) policyGroups.set(key, []);
+    policyGroups.get(key).push(s);
+  }
+
+  // Source settings by policy|definitionValue, for conflict decision badges
+  const sourceSettings = new Map();
+  for (const policy of (state.exportData || [])) {
+    for (const dv of (policy.definitionValues || [])) sourceSettings.set(`${policy.id}|${dv.id}`, dv);
   }
 
   let html = '';
 
   for (const [policyName, items] of policyGroups) {
-    const pHigh = items.filter(s => s.confidence === 'high').length;
-    const pMed = items.filter(s => s.confidence === 'medium').length;
-    const pNone = items.filter(s => s.confidence === 'none').length;
-
-    // Policy group header with per-policy stats
-    html += `
-      <div class="px-6 py-3 bg-gray-50 border-b border-gray-200 flex items-center justify-between gap-4">
-        <span class="text-sm font-semibold text-gray-700 truncate">${escapeHtml(policyName)}</span>
-        <div class="flex items-center gap-3 text-xs flex-shrink-0">
-          <span class="text-gray-500">${items.length} settings</span>
-          ${pHigh ? `<span class="text-green-600 font-medium">${pHigh} ready</span>` : ''}
-          ${pMed ? `<span class="text-amber-500 font-medium">${pMed} review</span>` : ''}
-          ${pNone ? `<span class="text-gray-400">${pNone} none</span>` : ''}
-        </div>
-      </div>
-    `;
+    html += '<div class="mapping-group">';
+    html += groupHeaderHtml(policyName, items.map(s => indexOf.get(s)));
 
     // Table header
     html += `
@@ -672,125 +1085,602 @@ function renderMappingTable() {
     `;
 
     for (const s of items) {
-      // Find the real index in state.mappingSuggestions for this item
-      const realIndex = state.mappingSuggestions.indexOf(s);
-
-      const badgeClass = s.confidence === 'high'
-        ? 'bg-green-100 text-green-700'
-        : s.confidence === 'medium'
-          ? 'bg-yellow-100 text-yellow-700'
-          : 'bg-gray-100 text-gray-500';
-      const badgeText = s.confidence === 'high' ? 'Ready' : s.confidence === 'medium' ? 'Review' : 'None';
-
-      let matchHtml;
-      if (s.recommended) {
-        matchHtml = `<div class="text-sm text-gray-900 truncate">${escapeHtml(s.recommended.displayName)}</div>
-           <div class="text-xs text-gray-400 truncate">${escapeHtml(s.recommended.settingDefinitionId)}</div>`;
-      } else {
-        const searchedQuery = s.searchQuery ? escapeHtml(s.searchQuery) : '';
-        matchHtml = `<div class="text-sm text-gray-400 italic">No match found</div>
-           <div class="text-xs text-gray-300">Searched: "${searchedQuery}"</div>`;
-      }
+      html += rowHtml(s, indexOf.get(s), sourceSettings.get(`${s.sourcePolicyId}|${s.sourceDefinitionValueId}`));
+    }
+    html += '</div>';
+  }
 
-      const catPath = s.sourceCategoryPath
-        ? `<div class="text-xs text-gray-400 truncate">${escapeHtml(s.sourceCategoryPath)}</div>`
-        : '';
-
-      // Build action buttons based on confidence
-      let actionHtml = '';
-      if (s.confidence === 'medium') {
-        // Review items: Accept, Reject, or Change
-        actionHtml = `
-          <div class="flex items-center gap-1 justify-end">
-            <button class="mapping-row-accept px-2 py-1 text-xs font-medium rounded-lg bg-green-50 text-green-700 hover:bg-green-100 border border-green-200 transition" data-index="${realIndex}" title="Accept this mapping">
-              <svg class="w-3.5 h-3.5" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M5 13l4 4L19 7"/></svg>
-            </button>
-            <button class="mapping-row-reject px-2 py-1 text-xs font-medium rounded-lg bg-red-50 text-red-600 hover:bg-red-100 border border-red-200 transition" data-index="${realIndex}" title="Reject — not the right match">
-              <svg class="w-3.5 h-3.5" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M6 18L18 6M6 6l12 12"/></svg>
-            </button>
-            <button class="mapping-row-search px-2 py-1 text-xs font-medium rounded-lg border border-gray-300 text-gray-600 hover:bg-gray-50 hover:border-brand-400 hover:text-brand-600 transition" data-index="${realIndex}" title="Search for a different match">
-              <svg class="w-3.5 h-3.5" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M21 21l-6-6m2-5a7 7 0 11-14 0 7 7 0 0114 0z"/></svg>
-            </button>
-          </div>`;
-      } else if (s.confidence === 'none') {
-        // No match: Search manually
-        actionHtml = `
-          <button class="mapping-row-search px-2.5 py-1 text-xs font-medium rounded-lg border border-gray-300 text-gray-600 hover:bg-gray-50 hover:border-brand-400 hover:text-brand-600 transition" data-index="${realIndex}">
-            <svg class="w-3.5 h-3.5 inline -mt-0.5 mr-0.5" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M21 21l-6-6m2-5a7 7 0 11-14 0 7 7 0 0114 0z"/></svg>
-            Search
-          </button>`;
-      } else {
-        // High confidence: Change option
-        actionHtml = `
-          <button class="mapping-row-search px-2.5 py-1 text-xs font-medium rounded-lg border border-gray-300 text-gray-600 hover:bg-gray-50 hover:border-brand-400 hover:text-brand-600 transition" data-index="${realIndex}">
-            <svg class="w-3.5 h-3.5 inline -mt-0.5 mr-0.5" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M21 21l-6-6m2-5a7 7 0 11-14 0 7 7 0 0114 0z"/></svg>
-            Change
-          </button>`;
-      }
+  container.innerHTML = html;
+}
+
+// Group header with per-group stats; indices point into state.mappingSuggestions
+function groupHeaderHtml(policyName, groupIndices) {
+  const items = groupIndices.map(i => state.mappingSuggestions[i]);
+  const pHigh = items.filter(s => s.confidence === 'high').length;
+  const pMed = items.filter(s => s.confidence === 'medium').length;
+  const pNone = items.filter(s => s.confidence === 'none').length;
+  const pReviewed = items.filter(s => s.reviewed).length;
+  const allSelected = groupIndices.every(i => selectedRows.has(i));
+
+  return `
+    <div class="mapping-group-header px-6 py-3 bg-gray-50 border-b border-gray-200 flex items-center justify-between gap-4">
+      <label class="flex items-center gap-2 min-w-0">
+        <input type="checkbox" class="mapping-group-select rounded border-gray-300 text-brand-600 focus:ring-brand-500" data-indices="${groupIndices.join(',')}" ${allSelected ? 'checked' : ''}>
+        <span class="mapping-group-name text-sm font-semibold text-gray-700 truncate">${escapeHtml(policyName)}</span>
+      </label>
+      <div class="flex items-center gap-3 text-xs flex-shrink-0">
+        <span class="text-gray-500">${items.length} settings</span>
+        <span class="text-blue-600">${pReviewed} reviewed</span>
+        ${pHigh ? `<span class="text-green-600 font-medium">${pHigh} ready</span>` : ''}
+        ${pMed ? `<span class="text-amber-500 font-medium">${pMed} review</span>` : ''}
+        ${pNone ? `<span class="text-gray-400">${pNone} none</span>` : ''}
+      </div>
+    </div>
+  `;
+}
+
+// One table row. dv is the exported source setting, for conflict decision badges
+function rowHtml(s, realIndex, dv) {
+  const badgeClass = s.confidence === 'high'
+    ? 'bg-green-100 text-green-700'
+    : s.confidence === 'medium'
+      ? 'bg-yellow-100 text-yellow-700'
+      : 'bg-gray-100 text-gray-500';
+  const badgeText = s.confidence === 'high' ? 'Ready' : s.confidence === 'medium' ? 'Review' : 'None';
+
+  const classType = s.sourceClassType || (dv && dv.definition && dv.definition.classType) || null;
+
+  let matchHtml;
+  if (s.recommended) {
+    const scopeBadge = isScopeMismatch(classType, s.recommended.settingDefinitionId)
+      ? `<span class="ml-1 px-1.5 py-0.5 text-xs font-medium rounded bg-amber-100 text-amber-700" title="The ADMX setting is ${classType === 'user' ? 'user' : 'computer'}-scoped, but this is a ${settingScope(s.recommended.settingDefinitionId) === 'user' ? 'user' : 'device'} setting. Migration skips it until a matching setting is chosen.">Scope mismatch</span>`
+      : '';
+    const knownBadge = s.matchType === 'knowledge'
+      ? '<span class="ml-1 px-1.5 py-0.5 text-xs font-medium rounded bg-blue-100 text-blue-700" title="Target confirmed earlier for this ADMX setting (knowledge base)">Known</span>'
+      : '';
+    matchHtml = `<div class="text-sm text-gray-900 truncate">${escapeHtml(s.recommended.displayName)}${knownBadge}${scopeBadge}${valueCheckBadge(s)}</div>
+       <div class="text-xs text-gray-400 truncate">${escapeHtml(s.recommended.settingDefinitionId)}</div>`;
+  } else if (s.candidates && s.candidates.length > 0 && typeof s.candidates[0].score === 'number') {
+    const best = s.candidates[0];
+    matchHtml = `<div class="text-sm text-gray-400 italic truncate" title="${escapeHtml(describeScore(best))}">Below threshold: ${escapeHtml(best.displayName)} (score ${best.score})</div>
+       <div class="text-xs text-gray-300 truncate">${escapeHtml(best.settingDefinitionId)}</div>`;
+  } else {
+    const searchedQuery = s.searchQuery ? escapeHtml(s.searchQuery) : '';
+    matchHtml = `<div class="text-sm text-gray-400 italic">No match found</div>
+       <div class="text-xs text-gray-300">Searched: "${searchedQuery}"</div>`;
+  }
+
+  const decisionRole = dv ? decisionRoleOf(dv) : null;
+  const decisionBadge = decisionRole
+    ? `<span class="ml-1 px-1.5 py-0.5 text-xs font-medium rounded ${DECISION_BADGES[decisionRole]}" title="Conflict decision from the Duplicate Detector">${decisionRole === 'winner' ? 'Conflict winner' : decisionRole === 'excluded' ? 'Excluded (conflict)' : 'Overridden (conflict)'}</span>`
+    : '';
+
+  const catPath = s.sourceCategoryPath
+    ? `<div class="text-xs text-gray-400 truncate">${escapeHtml(s.sourceCategoryPath)}</div>`
+    : '';
 
-      html += `
-        <div class="px-6 py-3 grid grid-cols-12 gap-3 items-center table-row border-b border-gray-50">
-          <div class="col-span-1">
-            <span class="px-2 py-0.5 text-xs font-medium rounded-full ${badgeClass}">${badgeText}</span>
-          </div>
-          <div class="col-span-4 min-w-0">
-            <div class="text-sm font-medium text-gray-900 truncate">${escapeHtml(s.sourceSettingName)}</div>
-            ${catPath}
-          </div>
-          <div class="col-span-1 text-center">
-            <svg class="w-4 h-4 text-gray-300 mx-auto" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M17 8l4 4m0 0l-4 4m4-4H3"/></svg>
-          </div>
-          <div class="col-span-4 min-w-0">
-            ${matchHtml}
-          </div>
-          <div class="col-span-2 text-right">
-            ${actionHtml}
-          </div>
+  // Build action buttons based on confidence
+  let actionHtml = '';
+  if (s.confidence === 'medium') {
+    // Review items: Accept, Reject, or Change
+    actionHtml = `
+      <div class="flex items-center gap-1 justify-end">
+        <button class="mapping-row-accept px-2 py-1 text-xs font-medium rounded-lg bg-green-50 text-green-700 hover:bg-green-100 border border-green-200 transition" data-index="${realIndex}" title="Accept this mapping">
+          <svg class="w-3.5 h-3.5" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M5 13l4 4L19 7"/></svg>
+        </button>
+        <button class="mapping-row-reject px-2 py-1 text-xs font-medium rounded-lg bg-red-50 text-red-600 hover:bg-red-100 border border-red-200 transition" data-index="${realIndex}" title="Reject — not the right match">
+          <svg class="w-3.5 h-3.5" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M6 18L18 6M6 6l12 12"/></svg>
+        </button>
+        <button class="mapping-row-search px-2 py-1 text-xs font-medium rounded-lg border border-gray-300 text-gray-600 hover:bg-gray-50 hover:border-brand-400 hover:text-brand-600 transition" data-index="${realIndex}" title="Search for a different match">
+          <svg class="w-3.5 h-3.5" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M21 21l-6-6m2-5a7 7 0 11-14 0 7 7 0 0114 0z"/></svg>
+        </button>
+      </div>`;
+  } else if (s.confidence === 'none') {
+    // No match: Search manually
+    actionHtml = `
+      <button class="mapping-row-search px-2.5 py-1 text-xs font-medium rounded-lg border border-gray-300 text-gray-600 hover:bg-gray-50 hover:border-brand-400 hover:text-brand-600 transition" data-index="${realIndex}">
+        <svg class="w-3.5 h-3.5 inline -mt-0.5 mr-0.5" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M21 21l-6-6m2-5a7 7 0 11-14 0 7 7 0 0114 0z"/></svg>
+        Search
+      </button>`;
+  } else {
+    // High confidence: Change option
+    actionHtml = `
+      <button class="mapping-row-search px-2.5 py-1 text-xs font-medium rounded-lg border border-gray-300 text-gray-600 hover:bg-gray-50 hover:border-brand-400 hover:text-brand-600 transition" data-index="${realIndex}">
+        <svg class="w-3.5 h-3.5 inline -mt-0.5 mr-0.5" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M21 21l-6-6m2-5a7 7 0 11-14 0 7 7 0 0114 0z"/></svg>
+        Change
+      </button>`;
+  }
+
+  return `
+    <div class="mapping-row px-6 py-3 grid grid-cols-12 gap-3 items-center table-row border-b border-gray-50 ${realIndex === focusedRow ? 'bg-brand-50 ring-2 ring-inset ring-brand-500' : ''}" data-index="${realIndex}">
+      <div class="col-span-1">
+        <div class="flex items-center gap-2">
+          <input type="checkbox" class="mapping-row-select rounded border-gray-300 text-brand-600 focus:ring-brand-500" data-index="${realIndex}" ${selectedRows.has(realIndex) ? 'checked' : ''}>
+          <span class="px-2 py-0.5 text-xs font-medium rounded-full ${badgeClass}" title="${escapeHtml(confidenceReason(s))}">${badgeText}</span>
         </div>
-      `;
-    }
+        ${s.reviewed ? '<div class="text-xs text-blue-600 mt-1 ml-6">Reviewed</div>' : ''}
+      </div>
+      <div class="col-span-4 min-w-0">
+        <div class="text-sm font-medium text-gray-900 truncate">${escapeHtml(s.sourceSettingName)}${decisionBadge}</div>
+        ${catPath}
+      </div>
+      <div class="col-span-1 text-center">
+        <svg class="w-4 h-4 text-gray-300 mx-auto" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M17 8l4 4m0 0l-4 4m4-4H3"/></svg>
+      </div>
+      <div class="col-span-4 min-w-0">
+        ${matchHtml}
+      </div>
+      <div class="col-span-2 text-right">
+        ${actionHtml}
+      </div>
+    </div>
+  `;
+}
+
+// Re-renders one row and its group header in place, so triage keeps the
+// scroll position. Falls back to the full table when the row is not shown
+// or no longer passes the filters.
+function updateRow(index) {
+  const s = (state.mappingSuggestions || [])[index];
+  const row = document.querySelector(`#mapping-table .mapping-row[data-index="${index}"]`);
+  if (!s || !row || !isVisible(s)) {
+    renderMappingTable();
+    return;
   }
 
-  container.innerHTML = html;
+  const policy = (state.exportData || []).find(p => p.id === s.sourcePolicyId);
+  const dv = policy && (policy.definitionValues || []).find(d => d.id === s.sourceDefinitionValueId);
+  const group = row.closest('.mapping-group');
+  row.outerHTML = rowHtml(s, index, dv).trim();
+  const header = group.querySelector('.mapping-group-header');
+  const groupIndices = header.querySelector('.mapping-group-select').dataset.indices.split(',').map(Number);
+  header.outerHTML = groupHeaderHtml(header.querySelector('.mapping-group-name').textContent, groupIndices).trim();
 
-  // Wire up search buttons
-  container.querySelectorAll('.mapping-row-search').forEach(btn => {
-    btn.addEventListener('click', () => {
-      openSearchModal(parseInt(btn.dataset.index));
-    });
+  updateFilterCounts();
+  renderBulkBar();
+}
+
+// Row buttons, checkboxes and clicks, delegated so rows can be replaced in place
+function bindTableEvents() {
+  const container = document.getElementById('mapping-table');
+
+  container.addEventListener('click', (e) => {
+    const btn = e.target.closest('.mapping-row-search, .mapping-row-accept, .mapping-row-reject');
+    if (btn) {
+      const index = parseInt(btn.dataset.index);
+      if (btn.classList.contains('mapping-row-search')) openSearchModal(index);
+      else if (btn.classList.contains('mapping-row-accept')) confirmMapping(index);
+      else rejectMapping(index);
+      return;
+    }
+    // Clicking a row moves the keyboard cursor there
+    const row = e.target.closest('.mapping-row');
+    if (row && !e.target.closest('button, input')) setFocusedRow(parseInt(row.dataset.index));
   });
 
-  // Wire up accept buttons
-  container.querySelectorAll('.mapping-row-accept').forEach(btn => {
-    btn.addEventListener('click', () => {
-      confirmMapping(parseInt(btn.dataset.index));
-    });
+  // Selection checkboxes
+  container.addEventListener('change', (e) => {
+    const cb = e.target;
+    if (cb.classList.contains('mapping-row-select')) {
+      const index = parseInt(cb.dataset.index);
+      if (cb.checked) selectedRows.add(index);
+      else selectedRows.delete(index);
+      updateRow(index);
+    } else if (cb.classList.contains('mapping-group-select')) {
+      const indices = cb.dataset.indices.split(',').map(Number);
+      for (const index of indices) {
+        if (cb.checked) selectedRows.add(index);
+        else selectedRows.delete(index);
+      }
+      for (const index of indices) updateRow(index);
+    }
   });
+}
 
-  // Wire up reject buttons
-  container.querySelectorAll('.mapping-row-reject').forEach(btn => {
-    btn.addEventListener('click', () => {
-      rejectMapping(parseInt(btn.dataset.index));
-    });
+// ==================== TRIAGE ====================
+
+function matchesTextFilter(s) {
+  if (!textFilter) return true;
+  const target = s.recommended ? `${s.recommended.displayName} ${s.recommended.settingDefinitionId}` : '';
+  return `${s.sourceSettingName} ${s.sourcePolicyName} ${s.sourceCategoryPath || ''} ${target}`.toLowerCase().includes(textFilter);
+}
+
+function isVisible(s) {
+  if (activeFilter === 'unreviewed' ? s.reviewed : activeFilter !== 'all' && s.confidence !== activeFilter) return false;
+  return matchesTextFilter(s);
+}
+
+function visibleSuggestions() {
+  return (state.mappingSuggestions || []).filter(isVisible);
+}
+
+function resetTriage() {
+  selectedRows.clear();
+  focusedRow = -1;
+}
+
+function renderBulkBar() {
+  document.getElementById('mapping-bulk-bar').classList.toggle('hidden', selectedRows.size === 0);
+  document.getElementById('mapping-bulk-count').textContent = `${selectedRows.size} selected`;
+}
+
+async function runBulkAction(action) {
+  const suggestions = state.mappingSuggestions || [];
+  const indices = [...selectedRows].filter(i => suggestions[i] && isVisible(suggestions[i]));
+  if (action === 'clear' || indices.length === 0) {
+    selectedRows.clear();
+    renderMappingTable();
+    return;
+  }
+
+  if (action === 'research') {
+    await researchSuggestions(indices);
+    return;
+  }
+
+  let changed = 0;
+  let propagated = 0;
+  for (const i of indices) {
+    const s = suggestions[i];
+    if (action === 'confirm') {
+      if (!s.recommended) continue;
+      propagated += markConfirmed(s);
+    } else if (action === 'reject') {
+      markRejected(s);
+    } else {
+      s.reviewed = action === 'reviewed';
+    }
+    changed++;
+  }
+  selectedRows.clear();
+  saveState();
+  updateStats();
+  renderMappingTable();
+
+  const labels = { confirm: 'Confirmed', reject: 'Rejected', reviewed: 'Marked as reviewed', unreviewed: 'Marked as unreviewed' };
+  const skipped = indices.length - changed;
+  const also = propagated > 0 ? `, applied to ${propagated} other occurrences` : '';
+  showToast(`${labels[action]}: ${changed} settings${skipped > 0 ? ` (${skipped} without a match skipped)` : ''}${also}`, 'success');
+}
+
+// Runs the automatic search again for the given suggestions; the new
+// suggestions replace the old ones and start out unreviewed
+async function researchSuggestions(indices) {
+  const policies = new Map((state.exportData || []).map(p => [p.id, p]));
+  const tasks = [];
+  for (const i of indices) {
+    const s = state.mappingSuggestions[i];
+    const policy = policies.get(s.sourcePolicyId);
+    const dv = policy && (policy.definitionValues || []).find(d => d.id === s.sourceDefinitionValueId);
+    if (dv) tasks.push({ index: i, policy, dv });
+  }
+  if (tasks.length === 0) {
+    showToast('The selected settings are no longer in the export data.', 'warning');
+    return;
+  }
+
+  const buttons = document.querySelectorAll('.mapping-bulk-btn');
+  buttons.forEach(b => { b.disabled = true; });
+  showToast(`Searching ${tasks.length} settings again...`, 'info');
+  let apiErrors = 0;
+  let failure = null;
+  try {
+    for (let i = 0; i < tasks.length; i += SEARCH_BATCH_SIZE) {
+      const batch = tasks.slice(i, i + SEARCH_BATCH_SIZE);
+      const results = await Promise.all(batch.map(t => processOneSetting(t, { useKnowledge: false })));
+      results.forEach(({ suggestion, hadError }, j) => {
+        state.mappingSuggestions[batch[j].index] = suggestion;
+        dropMappingEntry(suggestion);
+        if (hadError) apiErrors++;
+      });
+    }
+  } catch (error) {
+    failure = error;
+  } finally {
+    buttons.forEach(b => { b.disabled = false; });
+  }
+
+  selectedRows.clear();
+  saveState();
+  updateStats();
+  renderMappingTable();
+  if (failure) {
+    showToast('Search stopped: ' + failure.message, 'error');
+    return;
+  }
+  showToast(`Re-searched ${tasks.length} settings${apiErrors > 0 ? ` (${apiErrors} API errors)` : ''}`, apiErrors > 0 ? 'warning' : 'success');
+}
+
+function setFocusedRow(index) {
+  focusedRow = index;
+  document.querySelectorAll('#mapping-table .mapping-row').forEach(row => {
+    const focused = parseInt(row.dataset.index) === index;
+    row.classList.toggle('bg-brand-50', focused);
+    row.classList.toggle('ring-2', focused);
+    row.classList.toggle('ring-inset', focused);
+    row.classList.toggle('ring-brand-500', focused);
+    if (focused) row.scrollIntoView({ block: 'nearest' });
   });
 }
 
-function downloadMapping() {
+// j/k move, x select, c confirm, r reject, v toggle reviewed, / search
+function handleTriageKey(e) {
+  if (document.getElementById('page-mapping').classList.contains('hidden')) return;
+  if (!document.getElementById('mapping-search-modal').classList.contains('hidden')) return;
+  if (e.ctrlKey || e.metaKey || e.altKey || e.target.closest('input, textarea, select')) return;
+
+  const rows = [...document.querySelectorAll('#mapping-table .mapping-row')].map(r => parseInt(r.dataset.index));
+  if (rows.length === 0) return;
+  const pos = rows.indexOf(focusedRow);
+
+  if (e.key === 'j' || e.key === 'k') {
+    const next = pos < 0 ? 0 : Math.min(rows.length - 1, Math.max(0, pos + (e.key === 'j' ? 1 : -1)));
+    setFocusedRow(rows[next]);
+  } else if (pos < 0) {
+    return;
+  } else if (e.key === 'x') {
+    if (selectedRows.has(focusedRow)) selectedRows.delete(focusedRow);
+    else selectedRows.add(focusedRow);
+    updateRow(focusedRow);
+  } else if (e.key === 'c') {
+    confirmMapping(focusedRow);
+  } else if (e.key === 'r') {
+    rejectMapping(focusedRow);
+  } else if (e.key === 'v') {
+    const s = state.mappingSuggestions[focusedRow];
+    s.reviewed = !s.reviewed;
+    saveState();
+    updateRow(focusedRow);
+  } else if (e.key === '/') {
+    openSearchModal(focusedRow);
+  } else {
+    return;
+  }
+  e.preventDefault();
+
+  // Keep the cursor in place when the row left the current filter
+  const after = [...document.querySelectorAll('#mapping-table .mapping-row')].map(r => parseInt(r.dataset.index));
+  if (after.length > 0 && !after.includes(focusedRow)) setFocusedRow(after[Math.min(pos, after.length - 1)]);
+}
+
+// ==================== VALUE CHECK ====================
+
+async function checkValues() {
   if (!state.mappingSuggestions) return;
+  const btn = document.getElementById('btn-check-values');
+  btn.disabled = true;
+  try {
+    const { counts, failed } = await checkSuggestionValues(state.mappingSuggestions);
+    saveState();
+    renderMappingTable();
+    let msg = `Value check: ${counts.ok} ok, ${counts.error} with errors, ${counts.warning} with warnings`;
+    if (counts.unverified > 0) msg += `, ${counts.unverified} unverified`;
+    if (failed.length > 0) msg += ` (${failed.length} definitions could not be loaded)`;
+    showToast(msg, counts.error > 0 ? 'error' : counts.warning > 0 ? 'warning' : 'success');
+  } catch (error) {
+    showToast('Value check failed: ' + error.message, 'error');
+  } finally {
+    btn.disabled = false;
+  }
+}
 
-  const entries = state.mappingSuggestions
-    .filter(s => s.recommended)
-    .map(s => {
-      const payload = buildSettingPayload(s.recommended, s.sourceValues || { enabled: true });
-      return {
-        sourcePolicyId: s.sourcePolicyId,
-        sourceDefinitionValueId: s.sourceDefinitionValueId,
-        targetSettingDefinitionId: s.recommended.settingDefinitionId,
-        settingPayload: payload
-      };
-    });
+async function downloadMapping() {
+  if (!state.mappingSuggestions) return;
+
+  const mapped = state.mappingSuggestions.filter(s => s.recommended);
+
+  // Load target definitions so presentation values become child settings
+  const { failed } = await loadDefinitionTrees(
+    mapped.filter(s => !s.settingPayload).map(s => s.recommended.settingDefinitionId)
+  );
+  if (failed.length > 0) {
+    console.warn('[Mapping] Failed to load setting definitions:', failed);
+  }
+
+  let translationWarnings = 0;
+  const entries = mapped.map(s => {
+    const warnings = [];
+    const payload = s.settingPayload || buildSettingPayload(s.recommended, s.sourceValues || { enabled: true }, warnings);
+    if (warnings.length > 0) {
+      translationWarnings++;
+      console.warn(`[Mapping] ${s.sourceSettingName}:`, warnings);
+    }
+    return {
+      sourcePolicyId: s.sourcePolicyId,
+      sourceDefinitionValueId: s.sourceDefinitionValueId,
+      targetSettingDefinitionId: s.recommended.settingDefinitionId,
+      settingPayload: payload
+    };
+  });
 
-  downloadJson({ entries }, 'mapping.json');
+  // The file gets the conflict decisions applied (the CLI does not know them);
+  // state keeps the mapped values so decisions can still be changed.
+  const decided = applyConflictDecisions(buildMappingIndex(entries), state.exportData);
+  const fileEntries = Object.values(decided || {})
+    .filter(e => e.settingPayload)
+    .map(({ sourcePolicyId, sourceDefinitionValueId, targetSettingDefinitionId, settingPayload }) =>
+      ({ sourcePolicyId, sourceDefinitionValueId, targetSettingDefinitionId, settingPayload }));
+
+  downloadJson({ entries: fileEntries }, 'mapping.json');
   state.mappingEntries = entries;
   saveState();
+
+  if (failed.length > 0 || translationWarnings > 0) {
+    showToast(`mapping.json downloaded: ${translationWarnings} settings with untranslated values, ${failed.length} definitions not loaded (see console)`, 'warning');
+  }
+}
+
+// ==================== IMPORT MAPPING ====================
+// Validate the settingPayload of a single mapping.json entry. Returns an error
+// string, or null when the payload can be sent to Graph as-is.
+function validateSettingPayload(entry) {
+  const payload = entry.settingPayload;
+  if (!payload || typeof payload !== 'object') return 'missing settingPayload';
+
+  const inst = payload.settingInstance;
+  if (!inst || typeof inst !== 'object') return 'settingPayload has no settingInstance';
+
+  const instType = inst['@odata.type'] || '';
+  if (!instType.includes('SettingInstance')) return `unknown settingInstance type "${instType}"`;
+  if (!inst.settingDefinitionId) return 'settingInstance has no settingDefinitionId';
+  if (entry.targetSettingDefinitionId && entry.targetSettingDefinitionId !== inst.settingDefinitionId) {
+    return `targetSettingDefinitionId does not match settingInstance (${inst.settingDefinitionId})`;
+  }
+
+  if (instType.includes('ChoiceSettingCollectionInstance')) {
+    if (!Array.isArray(inst.choiceSettingCollectionValue)) return 'choiceSettingCollectionValue must be an array';
+  } else if (instType.includes('ChoiceSettingInstance')) {
+    if (!inst.choiceSettingValue || typeof inst.choiceSettingValue.value !== 'string') return 'choiceSettingValue.value is missing';
+  } else if (instType.includes('SimpleSettingCollectionInstance')) {
+    if (!Array.isArray(inst.simpleSettingCollectionValue)) return 'simpleSettingCollectionValue must be an array';
+  } else if (instType.includes('SimpleSettingInstance')) {
+    if (!inst.simpleSettingValue || inst.simpleSettingValue.value === undefined) return 'simpleSettingValue.value is missing';
+  } else if (instType.includes('GroupSettingCollectionInstance')) {
+    if (!Array.isArray(inst.groupSettingCollectionValue)) return 'groupSettingCollectionValue must be an array';
+  }
+
+  return null;
+}
+
+async function importMapping(file) {
+  if (!state.exportData || state.exportData.length === 0) {
+    showToast('No export data found. Run or import an Export first.', 'warning');
+    return;
+  }
+
+  let data;
+  try {
+    data = await readJsonFile(file);
+  } catch (error) {
+    showToast('Import failed: ' + error.message, 'error');
+    return;
+  }
+
+  if (!data || !Array.isArray(data.entries)) {
+    showToast('Invalid mapping file: expected { "entries": [...] }', 'error');
+    return;
+  }
+
+  // Index the current export so entries can be matched to their source settings
+  const dvIndex = new Map();
+  for (const policy of state.exportData) {
+    for (const dv of (policy.definitionValues || [])) {
+      dvIndex.set(`${policy.id}|${dv.id}`, { policy, dv });
+    }
+  }
+
+  const invalid = [];
+  const orphaned = [];
+  const entryIndex = new Map();
+
+  data.entries.forEach((entry, i) => {
+    if (!entry || !entry.sourcePolicyId || !entry.sourceDefinitionValueId) {
+      invalid.push({ index: i, entry, reason: 'missing sourcePolicyId or sourceDefinitionValueId' });
+      return;
+    }
+    const error = validateSettingPayload(entry);
+    if (error) {
+      invalid.push({ index: i, entry, reason: error });
+      return;
+    }
+    const key = `${entry.sourcePolicyId}|${entry.sourceDefinitionValueId}`;
+    if (!dvIndex.has(key)) {
+      const policyExists = state.exportData.some(p => p.id === entry.sourcePolicyId);
+      orphaned.push({ index: i, entry, reason: policyExists ? 'definitionValue not in export' : 'policy not in export' });
+      return;
+    }
+    entryIndex.set(key, entry);
+  });
+
+  if (entryIndex.size === 0) {
+    renderImportReport(file.name, 0, invalid, orphaned);
+    showToast(`No usable entries in ${file.name}`, 'error');
+    return;
+  }
+
+  // Rehydrate one suggestion per exported setting. Imported entries are treated
+  // as curated (high confidence) and keep their exact settingPayload.
+  const suggestions = [];
+  for (const [key, { policy, dv }] of dvIndex) {
+    const entry = entryIndex.get(key);
+    const inst = entry ? entry.settingPayload.settingInstance : null;
+    const recommended = inst ? {
+      settingDefinitionId: inst.settingDefinitionId,
+      displayName: inst.settingDefinitionId,
+      description: '',
+      odataType: inst['@odata.type'].replace('SettingInstance', 'SettingDefinition')
+    } : null;
+
+    const suggestion = {
+      sourcePolicyId: policy.id,
+      sourcePolicyName: policy.displayName,
+      sourceDefinitionValueId: dv.id,
+      sourceDefinitionId: (dv.definition && dv.definition.id) || null,
+      sourceSettingName: getSettingName(dv),
+      sourceCategoryPath: (dv.definition && dv.definition.categoryPath) || '',
+      sourceClassType: (dv.definition && dv.definition.classType) || null,
+      sourceValues: extractSourceValues(dv),
+      sourceFingerprint: sourceFingerprint(dv),
+      candidates: recommended ? [recommended] : [],
+      recommended,
+      confidence: recommended ? 'high' : 'none',
+      matchType: 'imported',
+      searchQuery: recommended ? `[imported: ${file.name}]` : ''
+    };
+    if (entry) suggestion.settingPayload = entry.settingPayload;
+    suggestions.push(suggestion);
+  }
+
+  state.mappingSuggestions = suggestions;
+  state.mappingEntries = [...entryIndex.values()];
+  saveState();
+  resetTriage();
+
+  updateStats();
+  renderMappingTable();
+  renderImportReport(file.name, entryIndex.size, invalid, orphaned);
+  document.getElementById('mapping-update-report').classList.add('hidden');
+  document.getElementById('mapping-results').classList.remove('hidden');
+  document.getElementById('btn-download-mapping').classList.remove('hidden');
+  document.getElementById('btn-check-values').classList.remove('hidden');
+  document.getElementById('btn-update-mapping').classList.remove('hidden');
+
+  const skipped = invalid.length + orphaned.length;
+  showToast(
+    `Imported ${entryIndex.size} mapping entries from ${file.name}${skipped > 0 ? ` (${skipped} skipped)` : ''}`,
+    skipped > 0 ? 'warning' : 'success'
+  );
+}
+
+function renderImportReport(fileName, importedCount, invalid, orphaned) {
+  const container = document.getElementById('mapping-import-report');
+  if (invalid.length === 0 && orphaned.length === 0) {
+    container.classList.add('hidden');
+    container.innerHTML = '';
+    return;
+  }
+
+  const rows = [
+    ...orphaned.map(o => ({ ...o, kind: 'Orphaned' })),
+    ...invalid.map(o => ({ ...o, kind: 'Invalid' }))
+  ];
+
+  let html = `
+    <h4 class="text-sm font-semibold text-amber-900 mb-1.5">Import report: ${escapeHtml(fileName)}</h4>
+    <p class="text-xs text-amber-800 mb-2">${importedCount} entries imported, ${orphaned.length} orphaned (source no longer in the current export), ${invalid.length} invalid.</p>
+    <div class="max-h-48 overflow-y-auto text-xs font-mono bg-white/60 rounded-lg border border-amber-200 divide-y divide-amber-100">
+  `;
+  for (const r of rows) {
+    const e = r.entry || {};
+    html += `
+      <div class="px-3 py-1.5 text-amber-900">
+        <span class="font-semibold">${r.kind}</span> #${r.index + 1}:
+        ${escapeHtml(e.sourcePolicyId || '?')} / ${escapeHtml(e.sourceDefinitionValueId || '?')}
+        <span class="text-amber-700">- ${escapeHtml(r.reason)}</span>
+      </div>`;
+  }
+  html += '</div>';
+
+  container.innerHTML = html;
+  container.classList.remove('hidden');
 }
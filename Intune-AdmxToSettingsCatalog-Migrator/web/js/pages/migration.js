@@ -1,11 +1,24 @@
 // migration.js - Migration execution and rollback page
-import { state, showToast, escapeHtml, downloadJson, saveState, logLine, confirm } from '../app.js';
+import { state, showToast, escapeHtml, downloadJson, logLine, confirm, getTenantMismatch } from '../app.js';
 import {
   getSettingsCatalogPolicies,
   createSettingsCatalogPolicy,
-  assignSettingsCatalogPolicy,
-  deleteSettingsCatalogPolicy
+  assignSettingsCatalogPolicy
 } from '../graph.js';
+import { loadDefinitionTrees, preloadMappingDefinitions, buildMappingIndex, canonicalInstance } from '../translate.js';
+import { newRunId, getOperatorUpn, getHistory, recordRun, activePolicies, rollbackRun } from '../manifests.js';
+import { getMigrationSettings, getMarkerKeys, renderTargetName, findNameCollisions } from '../naming.js';
+import { MERGE_RULES, planMerge, resolveMerge, unionAssignments } from '../merge.js';
+import { applyConflictDecisions } from '../conflicts.js';
+import { isScopeMismatch } from '../scoring.js';
+import { checkSettingPayload } from '../valuecheck.js';
+import { runJob, isJobRunning, getCheckpoint, discardCheckpoint, bindJobControls, renderResumeBanner } from '../jobs.js';
+
+// Result of the last "Analyze Merge" (null = not analyzed) and manual picks,
+// keyed by settingDefinitionId
+let mergePlan = null;
+let manualChoices = {};
+let autoMergeName = '';
 
 document.addEventListener('DOMContentLoaded', () => {
   document.getElementById('btn-migrate-preview').addEventListener('click', () => runMigration(true));
@@ -16,14 +29,31 @@ document.addEventListener('DOMContentLoaded', () => {
   });
   document.getElementById('btn-select-all').addEventListener('click', () => toggleAllPolicies(true));
   document.getElementById('btn-deselect-all').addEventListener('click', () => toggleAllPolicies(false));
+  bindJobControls('migration', 'migration-job-controls');
+  bindJobControls('rollback', 'migration-rollback-controls');
+
+  // Merge mode
+  document.getElementById('btn-merge-analyze').addEventListener('click', analyzeMerge);
+  document.getElementById('btn-merge-execute').addEventListener('click', executeMerge);
+  document.getElementById('merge-rule').addEventListener('change', renderMergePlan);
+  document.getElementById('merge-source').addEventListener('change', resetMergePlan);
 
   // Refresh policy list when page becomes visible
   const observer = new MutationObserver(() => {
     const page = document.getElementById('page-migration');
     if (page && !page.classList.contains('hidden')) {
       renderPolicySelector();
+      renderMergeSources();
+      renderMigrationResume();
     }
   });
+  window.addEventListener('workspace-changed', () => {
+    document.getElementById('migration-log-container').classList.add('hidden');
+    document.getElementById('migration-manifest').classList.add('hidden');
+    resetMergePlan();
+    renderMigrationResume();
+  });
+
   const page = document.getElementById('page-migration');
   if (page) observer.observe(page, { attributes: true, attributeFilter: ['class'] });
 });
@@ -47,7 +77,8 @@ function renderPolicySelector() {
     let totalCount = (policy.definitionValues || []).length;
     if (mapIndex) {
       for (const dv of (policy.definitionValues || [])) {
-        if (mapIndex[`${policy.id}|${dv.id}`]) mappedCount++;
+        const mapping = mapIndex[`${policy.id}|${dv.id}`];
+        if (mapping && !mapping.excludedByDecision) mappedCount++;
       }
     }
     const allAssignments = policy.assignments || [];
@@ -103,88 +134,72 @@ function updateSelectionCount() {
   if (countEl) countEl.textContent = `${selected.length} of ${all.length} policies selected`;
 }
 
+// Load target definitions so presentation values are translated into child
+// settings (only needed when payloads are built from suggestions) and payloads
+// can be checked against them. Returns the rebuilt mapping index, or null when
+// the index did not change.
+async function preloadDefinitions(policyIds, logId) {
+  const entryIds = (state.mappingEntries || [])
+    .filter(e => policyIds.has(e.sourcePolicyId))
+    .map(e => e.targetSettingDefinitionId);
+  if (entryIds.length > 0) {
+    logLine(logId, `Loading ${new Set(entryIds).size} setting definitions for value checks...`);
+    const { failed } = await loadDefinitionTrees(entryIds);
+    if (failed.length > 0) logLine(logId, `${failed.length} definitions could not be loaded (values not checked)`, 'warn');
+  }
+  const requested = await preloadMappingDefinitions(state.mappingEntries, state.mappingSuggestions, {
+    policyIds,
+    log: (msg, level) => logLine(logId, msg, level)
+  });
+  return requested > 0 ? getMappingIndex() : null;
+}
+
 function getSelectedPolicyIds() {
   const checked = document.querySelectorAll('.migration-policy-cb:checked');
   return new Set(Array.from(checked).map(cb => cb.dataset.policyId));
 }
 
-function buildPayloadFromSuggestion(s) {
-  const defId = s.recommended.settingDefinitionId;
-  const odataType = s.recommended.odataType || s.recommended['@odata.type'] || '';
-  const sourceValues = s.sourceValues || { enabled: true };
-
-  // Simple setting (string/integer)
-  if (odataType.includes('SimpleSettingDefinition') || odataType.includes('Simple')) {
-    const val = sourceValues.stringValue || sourceValues.numberValue || '';
-    return {
-      '@odata.type': '#microsoft.graph.deviceManagementConfigurationSetting',
-      settingInstance: {
-        '@odata.type': '#microsoft.graph.deviceManagementConfigurationSimpleSettingInstance',
-        settingDefinitionId: defId,
-        simpleSettingValue: {
-          '@odata.type': typeof val === 'number'
-            ? '#microsoft.graph.deviceManagementConfigurationIntegerSettingValue'
-            : '#microsoft.graph.deviceManagementConfigurationStringSettingValue',
-          value: val
-        }
-      }
-    };
-  }
-
-  // Choice setting (default for ADMX-backed)
-  const choiceValue = sourceValues.enabled ? `${defId}_1` : `${defId}_0`;
-  return {
-    '@odata.type': '#microsoft.graph.deviceManagementConfigurationSetting',
-    settingInstance: {
-      '@odata.type': '#microsoft.graph.deviceManagementConfigurationChoiceSettingInstance',
-      settingDefinitionId: defId,
-      choiceSettingValue: {
-        '@odata.type': '#microsoft.graph.deviceManagementConfigurationChoiceSettingValue',
-        value: choiceValue,
-        children: []
-      }
-    }
-  };
+// Conflict decisions from the Duplicates page are applied on top of the mapping
+function getMappingIndex() {
+  return applyConflictDecisions(buildMappingIndex(state.mappingEntries, state.mappingSuggestions), state.exportData);
 }
 
-function getMappingIndex() {
-  if (!state.mappingEntries || state.mappingEntries.length === 0) {
-    // Try to build from suggestions
-    if (state.mappingSuggestions) {
-      const idx = state.mappingSuggestions
-        .filter(s => s.recommended)
-        .reduce((acc, s) => {
-          acc[`${s.sourcePolicyId}|${s.sourceDefinitionValueId}`] = {
-            sourcePolicyId: s.sourcePolicyId,
-            sourceDefinitionValueId: s.sourceDefinitionValueId,
-            targetSettingDefinitionId: s.recommended.settingDefinitionId,
-            settingPayload: buildPayloadFromSuggestion(s)
-          };
-          return acc;
-        }, {});
-      return Object.keys(idx).length > 0 ? idx : null;
+// checkpoint: resume an interrupted run; its mode, selection, run ID and
+// finished policies come from the job checkpoint instead of the page
+async function runMigration(whatIf = false, checkpoint = null) {
+  if (isJobRunning('migration')) {
+    showToast('A migration run is already in progress.', 'warning');
+    return;
+  }
+  if (checkpoint) {
+    whatIf = checkpoint.meta.whatIf;
+  } else {
+    // A new run replaces the checkpoint of an interrupted one
+    const interrupted = await getCheckpoint('migration');
+    if (interrupted) {
+      recordInterruptedMigration(interrupted);
+      await discardCheckpoint('migration');
     }
-    return null;
   }
-
-  return state.mappingEntries.reduce((acc, e) => {
-    acc[`${e.sourcePolicyId}|${e.sourceDefinitionValueId}`] = e;
-    return acc;
-  }, {});
-}
-
-async function runMigration(whatIf = false) {
   if (!state.exportData) {
     showToast('No export data. Run Export first.', 'warning');
     return;
   }
 
-  const mapIndex = getMappingIndex();
+  let mapIndex = getMappingIndex();
   if (!mapIndex) {
     showToast('No mapping data. Run Mapping first.', 'warning');
     return;
   }
 
+  // Never create policies in a tenant other than the one the workspace belongs to
+  const mismatch = whatIf ? null : getTenantMismatch(state.manifest);
+  if (mismatch) {
+    showToast(`Migration refused. ${mismatch}`, 'error');
+    return;
+  }
+
+  document.getElementById('migration-resume').classList.add('hidden');
   document.getElementById('migration-log-container').classList.remove('hidden');
   document.getElementById('migration-log').innerHTML = '';
   const statusEl = document.getElementById('migration-status');
@@ -194,19 +209,29 @@ async function runMigration(whatIf = false) {
   statusEl.textContent = whatIf ? 'Preview Mode' : 'Running...';
   statusEl.className = `px-3 py-1 text-xs font-medium rounded-full ${whatIf ? 'bg-blue-100 text-blue-700' : 'bg-yellow-100 text-yellow-700'}`;
 
-  logLine('migration-log', `=== Migration ${mode} Started ===`);
+  logLine('migration-log', `=== Migration ${mode} ${checkpoint ? `Resumed (${checkpoint.meta.runId})` : 'Started'} ===`);
 
-  const manifest = {
+  const selectedIds = checkpoint ? new Set(checkpoint.meta.policyIds) : getSelectedPolicyIds();
+
+  const manifest = checkpoint ? migrationManifest(checkpoint.meta) : {
+    runId: newRunId(),
     generatedAt: new Date().toISOString(),
+    tenantId: state.tenantId,
+    operator: getOperatorUpn(),
     mode,
+    status: 'running',
     createdPolicies: [],
     skipped: []
   };
 
+  let policiesToMigrate = [];
+  // A resumed run also reports policies created from an export that has changed since
+  const runPolicyIds = () => (checkpoint ? checkpoint.meta.policyIds : policiesToMigrate.map(p => p.id));
   try {
+    mapIndex = await preloadDefinitions(selectedIds, 'migration-log') || mapIndex;
+
     // Filter to only selected policies
-    const selectedIds = getSelectedPolicyIds();
-    const policiesToMigrate = state.exportData.filter(p => selectedIds.has(p.id));
+    policiesToMigrate = state.exportData.filter(p => selectedIds.has(p.id));
 
     if (policiesToMigrate.length === 0) {
       showToast('No policies selected. Check the boxes next to the policies you want to migrate.', 'warning');
@@ -215,124 +240,215 @@ async function runMigration(whatIf = false) {
 
     logLine('migration-log', `Migrating ${policiesToMigrate.length} of ${state.exportData.length} policies`);
 
-    // Check existing SC policies for idempotency
+    // Check existing SC policies for idempotency and name collisions
     logLine('migration-log', 'Checking existing Settings Catalog policies...');
-    const existingPolicies = whatIf ? [] : await getSettingsCatalogPolicies();
-
-    const markerKey = 'MK_ADMX_SOURCE_ID';
-
-    for (let i = 0; i < policiesToMigrate.length; i++) {
-      const policy = policiesToMigrate[i];
-      const pct = Math.round(((i + 1) / policiesToMigrate.length) * 100);
-      progressBar.style.width = pct + '%';
-
-      const targetName = `SC - ${policy.displayName}`;
-      const marker = `${markerKey}=${policy.id}`;
-
-      // Idempotency check
-      const existing = existingPolicies.find(p => p.description && p.description.includes(marker));
-      if (existing) {
-        logLine('migration-log', `SKIP: ${policy.displayName} - already migrated (${existing.id})`);
-        continue;
-      }
+    const existingPolicies = await getSettingsCatalogPolicies();
+    const { markerKey } = getMigrationSettings();
+    const { names, collisions } = planTargetNames(policiesToMigrate, existingPolicies, new Date(manifest.generatedAt));
+    if (collisions.size > 0) {
+      logLine('migration-log', `${collisions.size} target names collide with existing policies or with each other`, 'warn');
+    }
 
-      // Gather mapped settings, filtering out non-Windows settings as a safety net.
-      // Windows Settings Catalog IDs always contain "_vendor_msft_".
-      const settingsToAdd = [];
-      let unmappedCount = 0;
-      let platformFilteredCount = 0;
+    // Each policy is a job item returning { created, skipped }. Policies are
+    // created a few at a time and every result is checkpointed immediately,
+    // so a resumed run never creates a policy twice.
+    const job = await runJob('migration', {
+      items: policiesToMigrate,
+      keyOf: p => p.id,
+      meta: {
+        runId: manifest.runId,
+        generatedAt: manifest.generatedAt,
+        operator: manifest.operator,
+        whatIf,
+        policyIds: policiesToMigrate.map(p => p.id)
+      },
+      resume: !!checkpoint,
+      concurrency: { initial: 1, max: 3 },
+      saveIntervalMs: 0,
+      onProgress: ({ done, total }) => {
+        progressBar.style.width = Math.round((done / total) * 100) + '%';
+      },
+      worker: async (policy) => {
+        const created = [];
+        const skipped = [];
+        const targetName = names.get(policy.id);
+        const marker = `${markerKey}=${policy.id}`;
+
+        // Idempotency check
+        const existing = findMigratedPolicy(policy, existingPolicies);
+        if (existing) {
+          logLine('migration-log', `SKIP: ${policy.displayName} - already migrated (${existing.id})`);
+          return { created, skipped };
+        }
 
-      for (const dv of (policy.definitionValues || [])) {
-        const key = `${policy.id}|${dv.id}`;
-        const mapping = mapIndex[key];
-        if (mapping && mapping.settingPayload) {
-          const sid = (mapping.settingPayload.settingInstance?.settingDefinitionId || '');
-          const isWindows = sid.toLowerCase().includes('_vendor_msft_');
-          if (!isWindows) {
-            platformFilteredCount++;
-            logLine('migration-log', `SKIP SETTING: "${sid}" is not a Windows setting (platform mismatch)`, 'warning');
-            manifest.skipped.push({
+        // Gather mapped settings, filtering out non-Windows settings as a safety net.
+        // Windows Settings Catalog IDs always contain "_vendor_msft_".
+        const settingsToAdd = [];
+        let unmappedCount = 0;
+        let platformFilteredCount = 0;
+        let scopeFilteredCount = 0;
+        let valueErrorCount = 0;
+
+        for (const dv of (policy.definitionValues || [])) {
+          const key = `${policy.id}|${dv.id}`;
+          const mapping = mapIndex[key];
+          if (mapping && mapping.settingPayload) {
+            const sid = (mapping.settingPayload.settingInstance?.settingDefinitionId || '');
+            const isWindows = sid.toLowerCase().includes('_vendor_msft_');
+            if (!isWindows) {
+              platformFilteredCount++;
+              logLine('migration-log', `SKIP SETTING: "${sid}" is not a Windows setting (platform mismatch)`, 'warning');
+              skipped.push({
+                sourcePolicyId: policy.id,
+                sourceDefinitionValueId: dv.id,
+                reason: 'platform-mismatch',
+                settingId: sid
+              });
+            } else if (isScopeMismatch(dv.definition?.classType, sid)) {
+              // A machine setting mapped to a user_ definition (or the reverse) would target the wrong scope
+              scopeFilteredCount++;
+              logLine('migration-log', `SCOPE MISMATCH: "${sid}" does not match the ${dv.definition.classType} scope of the ADMX setting`, 'warning');
+              skipped.push({
+                sourcePolicyId: policy.id,
+                sourceDefinitionValueId: dv.id,
+                reason: 'scope-mismatch',
+                settingId: sid
+              });
+            } else {
+              if (mapping.overriddenByDecision) {
+                logLine('migration-log', `DECISION: "${sid}" uses the winning value of a conflict decision`);
+              }
+              settingsToAdd.push(mapping.settingPayload);
+              const valueCheck = checkSettingPayload(mapping.settingPayload, mapping.translationWarnings || []);
+              for (const issue of valueCheck.issues) {
+                logLine('migration-log', `${issue.severity === 'error' ? 'VALUE ERROR' : 'VALUES'}: ${sid}: ${issue.message}`, issue.severity === 'error' ? 'error' : 'warn');
+              }
+              if (valueCheck.status === 'error') valueErrorCount++;
+            }
+          } else if (mapping && mapping.excludedByDecision) {
+            logLine('migration-log', `DECISION: excluded losing value of conflicting setting ${mapping.excludedByDecision}${mapping.decisionWarning ? ` (${mapping.decisionWarning})` : ''}`, 'warn');
+            skipped.push({
               sourcePolicyId: policy.id,
               sourceDefinitionValueId: dv.id,
-              reason: 'platform-mismatch',
-              settingId: sid
+              reason: 'conflict-excluded',
+              settingKey: mapping.excludedByDecision
             });
           } else {
-            settingsToAdd.push(mapping.settingPayload);
+            unmappedCount++;
+            skipped.push({
+              sourcePolicyId: policy.id,
+              sourceDefinitionValueId: dv.id,
+              reason: mapping ? 'no-payload' : 'unmapped'
+            });
           }
-        } else {
-          unmappedCount++;
-          manifest.skipped.push({
+        }
+
+        if (platformFilteredCount > 0) {
+          logLine('migration-log', `Filtered out ${platformFilteredCount} non-Windows settings for "${policy.displayName}"`, 'warning');
+        }
+        if (scopeFilteredCount > 0) {
+          logLine('migration-log', `Skipped ${scopeFilteredCount} scope-mismatched settings for "${policy.displayName}" (fix them on the Mapping page)`, 'warning');
+        }
+
+        // Graph API requires at least 1 setting - skip policies with none
+        if (settingsToAdd.length === 0) {
+          const dvCount = (policy.definitionValues || []).length;
+          logLine('migration-log', `SKIP: "${policy.displayName}" - 0 of ${dvCount} settings mapped (${unmappedCount} unmapped)`, 'warning');
+          skipped.push({
             sourcePolicyId: policy.id,
-            sourceDefinitionValueId: dv.id,
-            reason: mapping ? 'no-payload' : 'unmapped'
+            reason: 'no-mapped-settings'
           });
+          return { created, skipped };
         }
-      }
-
-      if (platformFilteredCount > 0) {
-        logLine('migration-log', `Filtered out ${platformFilteredCount} non-Windows settings for "${policy.displayName}"`, 'warning');
-      }
 
-      // Graph API requires at least 1 setting - skip policies with none
-      if (settingsToAdd.length === 0) {
-        const dvCount = (policy.definitionValues || []).length;
-        logLine('migration-log', `SKIP: "${policy.displayName}" - 0 of ${dvCount} settings mapped (${unmappedCount} unmapped)`, 'warning');
-        manifest.skipped.push({
-          sourcePolicyId: policy.id,
-          reason: 'no-mapped-settings'
+        // Deduplicate settings by settingDefinitionId before sending
+        const seenIds = new Set();
+        const uniqueSettings = settingsToAdd.filter(s => {
+          const id = s.settingInstance?.settingDefinitionId;
+          if (!id || seenIds.has(id)) return false;
+          seenIds.add(id);
+          return true;
         });
-        continue;
-      }
+        if (uniqueSettings.length < settingsToAdd.length) {
+          logLine('migration-log', `Note: deduplicated ${settingsToAdd.length} → ${uniqueSettings.length} settings (removed ${settingsToAdd.length - uniqueSettings.length} duplicates)`, 'warning');
+        }
 
-      // Deduplicate settings by settingDefinitionId before sending
-      const seenIds = new Set();
-      const uniqueSettings = settingsToAdd.filter(s => {
-        const id = s.settingInstance?.settingDefinitionId;
-        if (!id || seenIds.has(id)) return false;
-        seenIds.add(id);
-        return true;
-      });
-      if (uniqueSettings.length < settingsToAdd.length) {
-        logLine('migration-log', `Note: deduplicated ${settingsToAdd.length} → ${uniqueSettings.length} settings (removed ${settingsToAdd.length - uniqueSettings.length} duplicates)`, 'warning');
-      }
+        const nameCollision = collisions.get(targetName) || null;
+        if (nameCollision) {
+          logLine('migration-log', nameCollision === 'existing'
+            ? `NAME COLLISION: a policy named "${targetName}" already exists in the tenant`
+            : `NAME COLLISION: "${targetName}" is also the target name of another policy in this run`, 'warn');
+        }
 
-      if (whatIf) {
-        logLine('migration-log', `WOULD CREATE: "${targetName}" with ${uniqueSettings.length} settings (${unmappedCount} unmapped)`);
-        manifest.createdPolicies.push({ sourcePolicyId: policy.id, targetName, settingsCount: uniqueSettings.length, whatIf: true });
-      } else {
-        logLine('migration-log', `CREATING: "${targetName}" with ${uniqueSettings.length} settings...`);
-        const desc = `${policy.description || ''}\n${marker}`.trim();
+        if (valueErrorCount > 0) {
+          logLine('migration-log', `VALUE ERRORS: ${valueErrorCount} settings of "${policy.displayName}" do not fit their target definition; Graph is likely to reject the policy`, 'error');
+        }
 
-        const newPolicy = await createSettingsCatalogPolicy(targetName, desc, uniqueSettings);
-        logLine('migration-log', `Created policy: ${newPolicy.id}`);
+        if (whatIf) {
+          logLine('migration-log', `WOULD CREATE: "${targetName}" with ${uniqueSettings.length} settings (${unmappedCount} unmapped)`);
+          created.push({ sourcePolicyId: policy.id, sourcePolicyName: policy.displayName, targetName, settingsCount: uniqueSettings.length, nameCollision, valueErrors: valueErrorCount, whatIf: true });
+        } else {
+          logLine('migration-log', `CREATING: "${targetName}" with ${uniqueSettings.length} settings...`);
+          const desc = `${policy.description || ''}\n${marker}`.trim();
+
+          const newPolicy = await createSettingsCatalogPolicy(targetName, desc, uniqueSettings);
+          logLine('migration-log', `Created policy: ${newPolicy.id}`);
+
+          // Apply assignments
+          const assignments = (policy.assignments || [])
+            .filter(a => a && a.target)
+            .map(a => ({ target: a.target }));
+
+          // The policy exists now, so a failed assignment is recorded instead of
+          // thrown: retrying or resuming the item would create it a second time
+          let assignmentError = null;
+          if (assignments.length > 0) {
+            logLine('migration-log', `Assigning to ${assignments.length} targets...`);
+            try {
+              await assignSettingsCatalogPolicy(newPolicy.id, assignments);
+            } catch (error) {
+              assignmentError = error.message;
+              logLine('migration-log', `ASSIGNMENT FAILED for "${targetName}": ${error.message} (assign it in Intune)`, 'error');
+            }
+          }
 
-        // Apply assignments
-        const assignments = (policy.assignments || [])
-          .filter(a => a && a.target)
-          .map(a => ({ target: a.target }));
+          created.push({
+            sourcePolicyId: policy.id,
+            sourcePolicyName: policy.displayName,
+            targetPolicyId: newPolicy.id,
+            targetName: newPolicy.name || targetName,
+            settingsCount: uniqueSettings.length,
+            // What was sent, so validation compares against it rather than a later mapping
+            sentSettings: uniqueSettings.map(s => canonicalInstance(s.settingInstance)),
+            assignmentCount: assignmentError ? 0 : assignments.length,
+            ...(assignmentError ? { assignmentError } : {}),
+            nameCollision
+          });
 
-        if (assignments.length > 0) {
-          logLine('migration-log', `Assigning to ${assignments.length} targets...`);
-          await assignSettingsCatalogPolicy(newPolicy.id, assignments);
+          logLine('migration-log', `Completed: ${targetName}`);
         }
-
-        manifest.createdPolicies.push({
-          sourcePolicyId: policy.id,
-          targetPolicyId: newPolicy.id,
-          targetName: newPolicy.name || targetName,
-          settingsCount: uniqueSettings.length,
-          assignmentCount: assignments.length
-        });
-
-        logLine('migration-log', `Completed: ${targetName}`);
+        return { created, skipped };
       }
+    });
+    assembleManifest(manifest, runPolicyIds(), job.results);
+
+    if (job.status === 'cancelled') {
+      // Keep what was created so far in history so it can be rolled back
+      manifest.status = 'cancelled';
+      recordRun(manifest);
+      logLine('migration-log', `=== Migration ${mode} Cancelled (${manifest.runId}): ${manifest.createdPolicies.length} policies ${whatIf ? 'previewed' : 'created'} before cancelling ===`, 'warn');
+      statusEl.textContent = 'Cancelled';
+      statusEl.className = 'px-3 py-1 text-xs font-medium rounded-full bg-amber-100 text-amber-700';
+      renderManifest(manifest);
+      document.getElementById('migration-manifest').classList.remove('hidden');
+      showToast(`Migration ${mode.toLowerCase()} cancelled after ${manifest.createdPolicies.length} policies`, 'warning');
+      return;
     }
 
-    state.manifest = manifest;
-    saveState();
+    manifest.status = 'complete';
+    recordRun(manifest);
 
-    logLine('migration-log', `=== Migration ${mode} Complete ===`);
+    logLine('migration-log', `=== Migration ${mode} Complete (${manifest.runId}) ===`);
     const noMappedCount = manifest.skipped.filter(s => s.reason === 'no-mapped-settings').length;
     const unmappedSettings = manifest.skipped.filter(s => s.reason === 'unmapped' || s.reason === 'no-payload').length;
     logLine('migration-log', `Created: ${manifest.createdPolicies.length} policies | Skipped: ${noMappedCount} policies (no mapped settings) | ${unmappedSettings} individual settings unmapped`);
@@ -347,13 +463,82 @@ async function runMigration(whatIf = false) {
     showToast(`Migration ${mode.toLowerCase()} complete: ${manifest.createdPolicies.length} policies`, 'success');
   } catch (error) {
     logLine('migration-log', `ERROR: ${error.message}`, 'error');
+    if (error.jobResults) {
+      // Keep the partial run in history so the policies created so far can be
+      // rolled back; the run is recorded, so it is not offered for resuming
+      assembleManifest(manifest, runPolicyIds(), error.jobResults);
+      manifest.status = 'failed';
+      manifest.error = error.message;
+      recordRun(manifest);
+      await discardCheckpoint('migration');
+    } else if (checkpoint) {
+      // Failed before the job started: the checkpoint is still the only record
+      // of what the interrupted run created, so it stays for another resume
+      renderMigrationResume();
+    } else {
+      manifest.status = 'failed';
+      manifest.error = error.message;
+      recordRun(manifest);
+    }
+
     statusEl.textContent = 'Failed';
     statusEl.className = 'px-3 py-1 text-xs font-medium rounded-full bg-red-100 text-red-700';
     showToast('Migration failed: ' + error.message, 'error');
   }
 }
 
+
+// The manifest of a checkpointed run, before its results are assembled
+function migrationManifest(meta) {
+  return {
+    runId: meta.runId,
+    generatedAt: meta.generatedAt,
+    tenantId: state.tenantId,
+    operator: meta.operator,
+    mode: meta.whatIf ? 'PREVIEW' : 'EXECUTE',
+    status: 'running',
+    createdPolicies: [],
+    skipped: []
+  };
+}
+
+// Fills the manifest from per-policy job results, in selection order
+function assembleManifest(manifest, policyIds, results) {
+  manifest.createdPolicies = [];
+  manifest.skipped = [];
+  for (const id of policyIds) {
+    const result = results[id];
+    if (!result) continue;
+    manifest.createdPolicies.push(...result.created);
+    manifest.skipped.push(...result.skipped);
+  }
+}
+
+// An interrupted run that will not be resumed: the policies it already
+// created are recorded as a cancelled run, so they can be rolled back
+function recordInterruptedMigration(checkpoint) {
+  if (checkpoint.meta.whatIf) return;
+  const manifest = migrationManifest(checkpoint.meta);
+  assembleManifest(manifest, checkpoint.meta.policyIds, checkpoint.results);
+  if (manifest.createdPolicies.length === 0) return;
+  manifest.status = 'cancelled';
+  recordRun(manifest);
+}
+
+function renderMigrationResume() {
+  renderResumeBanner('migration', 'migration-resume', 'migration run', {
+    onResume: (checkpoint) => runMigration(checkpoint.meta.whatIf, checkpoint),
+    onDiscard: recordInterruptedMigration
+  });
+}
+
 async function executeMigration() {
+  const mismatch = getTenantMismatch(state.manifest);
+  if (mismatch) {
+    showToast(`Migration refused. ${mismatch}`, 'error');
+    return;
+  }
+
   const selectedIds = getSelectedPolicyIds();
   const selectedPolicies = (state.exportData || []).filter(p => selectedIds.has(p.id));
   const totalAssignments = selectedPolicies.reduce((sum, p) =>
@@ -362,29 +547,382 @@ async function executeMigration() {
     ? ` Assignments (${totalAssignments} total) will be copied to the new policies.`
     : ' No assignments will be applied (source policies have none).';
 
+  // Flag name collisions before anything is created
+  let collisionMsg = '';
+  try {
+    const existingPolicies = await getSettingsCatalogPolicies();
+    const { collisions } = planTargetNames(selectedPolicies, existingPolicies, new Date());
+    if (collisions.size > 0) {
+      const example = collisions.keys().next().value;
+      collisionMsg = ` WARNING: ${collisions.size} target names (e.g. "${example}") already exist in the tenant or repeat within this run; those policies will get duplicate names. Change the naming template in Settings to avoid this.`;
+    }
+  } catch (error) {
+    showToast('Could not check existing policies: ' + error.message, 'error');
+    return;
+  }
+
+  // Settings already configured differently in existing policies (last cross-check)
+  let crossCheckMsg = '';
+  if (state.crossCheckReport) {
+    const conflicting = state.crossCheckReport.overlaps.filter(o => o.isConflict && selectedIds.has(o.sourcePolicyId));
+    if (conflicting.length > 0) {
+      crossCheckMsg = ` WARNING: ${conflicting.length} settings conflict with existing Settings Catalog, Endpoint Security or baseline policies (see the cross-check on the Duplicates page).`;
+    }
+  }
+
+  // Settings mapped to a definition of the other scope are skipped
+  let scopeMsg = '';
+  const mapIndex = getMappingIndex();
+  if (mapIndex) {
+    const mismatched = selectedPolicies.flatMap(p => (p.definitionValues || [])
+      .filter(dv => isScopeMismatch(dv.definition?.classType, mappedSettingId(mapIndex[`${p.id}|${dv.id}`]))));
+    if (mismatched.length > 0) {
+      scopeMsg = ` WARNING: ${mismatched.length} settings are mapped to a definition of the wrong scope (device vs user) and will be skipped.`;
+    }
+  }
+
   const ok = await confirm(
     'Execute Migration',
-    `This will create ${selectedPolicies.length} Settings Catalog policies in your Intune tenant.${assignMsg} A backup will be created first. Continue?`
+    `This will create ${selectedPolicies.length} Settings Catalog policies in your Intune tenant.${assignMsg}${collisionMsg}${crossCheckMsg}${scopeMsg} A backup will be created first. Continue?`
   );
   if (!ok) return;
   await runMigration(false);
 }
 
+// ==================== MERGE ====================
+function renderMergeSources() {
+  const select = document.getElementById('merge-source');
+  const current = select.value;
+  const candidates = (state.duplicateReport && state.duplicateReport.mergeCandidates) || [];
+
+  let html = '<option value="selected">Policies checked above</option>';
+  candidates.forEach((mc, i) => {
+    html += `<option value="candidate:${i}">${escapeHtml(mc.policy1Name)} + ${escapeHtml(mc.policy2Name)} (${mc.sharedSettingsCount} shared, ${mc.conflictCount} conflicts)</option>`;
+  });
+  select.innerHTML = html;
+  if ([...select.options].some(o => o.value === current)) select.value = current;
+}
+
+// Source policies in merge order (first one wins under "first wins")
+function getMergePolicies() {
+  const value = document.getElementById('merge-source').value;
+  const exportData = state.exportData || [];
+  if (value.startsWith('candidate:')) {
+    const mc = ((state.duplicateReport && state.duplicateReport.mergeCandidates) || [])[Number(value.split(':')[1])];
+    if (!mc) return [];
+    // Reports created before policy IDs were recorded only carry names
+    return [[mc.policy1Id, mc.policy1Name], [mc.policy2Id, mc.policy2Name]]
+      .map(([id, name]) => exportData.find(p => (id ? p.id === id : p.displayName === name)))
+      .filter(Boolean);
+  }
+  const selectedIds = getSelectedPolicyIds();
+  return exportData.filter(p => selectedIds.has(p.id));
+}
+
+function mappedSettingId(mapping) {
+  return (mapping && mapping.settingPayload && mapping.settingPayload.settingInstance?.settingDefinitionId) || '';
+}
+
+// Mapped Windows settings of each policy with a matching scope, as planMerge() expects them
+function mergeSources(policies, mapIndex) {
+  return policies.map(policy => ({
+    policy,
+    settings: (policy.definitionValues || [])
+      .map(dv => ({ dv, mapping: mapIndex[`${policy.id}|${dv.id}`] }))
+      .filter(({ dv, mapping }) => {
+        const sid = mappedSettingId(mapping);
+        return sid.toLowerCase().includes('_vendor_msft_') && !isScopeMismatch(dv.definition?.classType, sid);
+      })
+      .map(({ dv, mapping }) => ({ dv, payload: mapping.settingPayload }))
+  }));
+}
+
+function resetMergePlan() {
+  mergePlan = null;
+  manualChoices = {};
+  document.getElementById('merge-plan').classList.add('hidden');
+}
+
+async function analyzeMerge() {
+  if (!state.exportData) {
+    showToast('No export data. Run Export first.', 'warning');
+    return;
+  }
+  let mapIndex = getMappingIndex();
+  if (!mapIndex) {
+    showToast('No mapping data. Run Mapping first.', 'warning');
+    return;
+  }
+  const policies = getMergePolicies();
+  if (policies.length < 2) {
+    showToast('Choose a merge candidate or check at least two policies to merge.', 'warning');
+    return;
+  }
+
+  const btn = document.getElementById('btn-merge-analyze');
+  btn.disabled = true;
+  try {
+    document.getElementById('migration-log-container').classList.remove('hidden');
+    document.getElementById('migration-log').innerHTML = '';
+    logLine('migration-log', `=== Merge Analysis: ${policies.map(p => p.displayName).join(' + ')} ===`);
+    mapIndex = await preloadDefinitions(new Set(policies.map(p => p.id)), 'migration-log') || mapIndex;
+
+    const plan = planMerge(mergeSources(policies, mapIndex));
+    mergePlan = { policyIds: policies.map(p => p.id), policies, plan };
+    manualChoices = {};
+    logLine('migration-log', `${plan.settings.length + plan.conflicts.length} settings, ${plan.conflicts.length} conflicts`);
+
+    // Suggest a name unless the user has typed their own
+    const nameInput = document.getElementById('merge-name');
+    if (!nameInput.value.trim() || nameInput.value === autoMergeName) {
+      const combined = { displayName: policies.map(p => p.displayName).join(' + '), definitionValues: policies.flatMap(p => p.definitionValues || []) };
+      autoMergeName = renderTargetName(getMigrationSettings().nameTemplate, combined);
+      nameInput.value = autoMergeName;
+    }
+
+    renderMergePlan();
+  } catch (error) {
+    logLine('migration-log', `ERROR: ${error.message}`, 'error');
+    showToast('Merge analysis failed: ' + error.message, 'error');
+  } finally {
+    btn.disabled = false;
+  }
+}
+
+function renderMergePlan() {
+  const container = document.getElementById('merge-plan');
+  if (!mergePlan) {
+    container.classList.add('hidden');
+    return;
+  }
+
+  const rule = document.getElementById('merge-rule').value;
+  const { plan, policies } = mergePlan;
+  const { resolutions, unresolved } = resolveMerge(plan, rule, manualChoices);
+  const chosen = new Map(resolutions.map(r => [r.settingDefinitionId, r]));
+  const assignmentCount = unionAssignments(policies).length;
+
+  let html = `
+    <p class="text-sm text-gray-700 mb-3">
+      <strong>${policies.length}</strong> policies &rarr; <strong>${plan.settings.length + plan.conflicts.length}</strong> settings,
+      <strong>${plan.conflicts.length}</strong> conflicts (${escapeHtml(MERGE_RULES[rule])}), <strong>${assignmentCount}</strong> assignments
+      ${unresolved.length > 0 ? `<span class="ml-2 px-2 py-0.5 text-xs font-medium rounded-full bg-red-100 text-red-700">${unresolved.length} need a manual pick</span>` : ''}
+    </p>
+  `;
+
+  if (plan.conflicts.length > 0) {
+    html += '<div class="border border-gray-200 rounded-lg divide-y divide-gray-100 max-h-96 overflow-y-auto">';
+    plan.conflicts.forEach((conflict, i) => {
+      const resolution = chosen.get(conflict.settingDefinitionId);
+      html += `
+        <div class="px-4 py-3">
+          <div class="flex items-center justify-between mb-2">
+            <span class="text-sm font-medium text-gray-900">${escapeHtml(conflict.settingName)}</span>
+            <span class="text-xs text-gray-500">${resolution ? escapeHtml(resolution.reason) : 'pick a value'}</span>
+          </div>
+          <div class="space-y-1">
+            ${conflict.options.map(o => `
+              <label class="flex items-center gap-2 text-xs ${resolution && resolution.chosenPolicyId === o.policyId ? 'text-green-700 font-medium' : 'text-gray-600'}">
+                <input type="radio" name="merge-conflict-${i}" ${rule === 'manual' ? '' : 'disabled'} ${resolution && resolution.chosenPolicyId === o.policyId ? 'checked' : ''}
+                  onchange="window._pickMergeValue('${escapeHtml(conflict.settingDefinitionId)}', '${escapeHtml(o.policyId)}')">
+                <span class="font-mono">${escapeHtml(o.summary)}</span>
+                <span class="text-gray-400">from ${escapeHtml(o.policyNames.join(', '))}</span>
+              </label>
+            `).join('')}
+          </div>
+        </div>
+      `;
+    });
+    html += '</div>';
+  }
+
+  container.innerHTML = html;
+  container.classList.remove('hidden');
+}
+
+window._pickMergeValue = function(settingDefinitionId, policyId) {
+  manualChoices[settingDefinitionId] = policyId;
+  renderMergePlan();
+};
+
+async function executeMerge() {
+  if (!mergePlan) {
+    showToast('Click Analyze Merge first.', 'warning');
+    return;
+  }
+  const policies = getMergePolicies();
+  if (policies.map(p => p.id).join('|') !== mergePlan.policyIds.join('|')) {
+    showToast('The policies to merge changed since the analysis. Analyze the merge again.', 'warning');
+    return;
+  }
+
+  const mismatch = getTenantMismatch(state.manifest);
+  if (mismatch) {
+    showToast(`Merge refused. ${mismatch}`, 'error');
+    return;
+  }
+
+  const rule = document.getElementById('merge-rule').value;
+  const { settings, resolutions, unresolved } = resolveMerge(mergePlan.plan, rule, manualChoices);
+  if (unresolved.length > 0) {
+    showToast(`${unresolved.length} conflicting settings have no value picked.`, 'error');
+    return;
+  }
+  if (settings.length === 0) {
+    showToast('None of these policies has mapped settings to merge.', 'warning');
+    return;
+  }
+  const targetName = document.getElementById('merge-name').value.trim();
+  if (!targetName) {
+    showToast('Enter a name for the merged policy.', 'warning');
+    return;
+  }
+
+  let existingPolicies;
+  try {
+    existingPolicies = await getSettingsCatalogPolicies();
+  } catch (error) {
+    showToast('Could not check existing policies: ' + error.message, 'error');
+    return;
+  }
+  const migrated = policies.filter(p => findMigratedPolicy(p, existingPolicies));
+  if (migrated.length > 0) {
+    showToast(`Already migrated: ${migrated.map(p => p.displayName).join(', ')}. Roll those back before merging.`, 'error');
+    return;
+  }
+
+  const nameCollision = findNameCollisions([targetName], existingPolicies).get(targetName) || null;
+  const assignments = unionAssignments(policies);
+  const ok = await confirm(
+    'Create Merged Policy',
+    `This will create ONE Settings Catalog policy "${targetName}" from ${policies.length} ADMX policies, with ${settings.length} settings (${resolutions.length} conflicts resolved) and ${assignments.length} assignments.${nameCollision ? ' WARNING: a policy with this name already exists.' : ''} Continue?`
+  );
+  if (!ok) return;
+
+  document.getElementById('migration-log-container').classList.remove('hidden');
+  document.getElementById('migration-log').innerHTML = '';
+  const statusEl = document.getElementById('migration-status');
+  statusEl.textContent = 'Merging...';
+  statusEl.className = 'px-3 py-1 text-xs font-medium rounded-full bg-yellow-100 text-yellow-700';
+
+  const manifest = {
+    runId: newRunId(),
+    generatedAt: new Date().toISOString(),
+    tenantId: state.tenantId,
+    operator: getOperatorUpn(),
+    mode: 'MERGE',
+    status: 'running',
+    createdPolicies: [],
+    skipped: []
+  };
+
+  try {
+    logLine('migration-log', `=== Merge Started (${manifest.runId}) ===`);
+    for (const r of resolutions) {
+      logLine('migration-log', `CONFLICT: ${r.settingName} = ${r.value} (${r.reason})`, 'warn');
+    }
+
+    // One marker per source, so each source is recognised as migrated
+    const { markerKey } = getMigrationSettings();
+    const desc = [`Merged from: ${policies.map(p => p.displayName).join(', ')}`]
+      .concat(policies.map(p => `${markerKey}=${p.id}`))
+      .join('\n');
+
+    logLine('migration-log', `CREATING: "${targetName}" with ${settings.length} settings...`);
+    const newPolicy = await createSettingsCatalogPolicy(targetName, desc, settings);
+    logLine('migration-log', `Created policy: ${newPolicy.id}`);
+
+    if (assignments.length > 0) {
+      logLine('migration-log', `Assigning to ${assignments.length} targets (union of all sources)...`);
+      await assignSettingsCatalogPolicy(newPolicy.id, assignments);
+    }
+
+    manifest.createdPolicies.push({
+      sourcePolicyId: policies[0].id,
+      sourcePolicyIds: policies.map(p => p.id),
+      sourcePolicyName: policies.map(p => p.displayName).join(' + '),
+      targetPolicyId: newPolicy.id,
+      targetName: newPolicy.name || targetName,
+      settingsCount: settings.length,
+      sentSettings: settings.map(s => canonicalInstance(s.settingInstance)),
+      assignmentCount: assignments.length,
+      mergeRule: rule,
+      resolvedConflicts: resolutions,
+      nameCollision
+    });
+    manifest.status = 'complete';
+    recordRun(manifest);
+
+    logLine('migration-log', `=== Merge Complete (${manifest.runId}) ===`);
+    statusEl.textContent = 'Complete';
+    statusEl.className = 'px-3 py-1 text-xs font-medium rounded-full bg-green-100 text-green-700';
+    renderManifest(manifest);
+    document.getElementById('migration-manifest').classList.remove('hidden');
+    resetMergePlan();
+    showToast(`Merged ${policies.length} policies into "${targetName}"`, 'success');
+  } catch (error) {
+    manifest.status = 'failed';
+    manifest.error = error.message;
+    recordRun(manifest);
+
+    logLine('migration-log', `ERROR: ${error.message}`, 'error');
+    statusEl.textContent = 'Failed';
+    statusEl.className = 'px-3 py-1 text-xs font-medium rounded-full bg-red-100 text-red-700';
+    showToast('Merge failed: ' + error.message, 'error');
+  }
+}
+
+// ==================== NAMING ====================
+// A policy already migrated carries the marker with its ADMX id in the description
+function findMigratedPolicy(policy, existingPolicies) {
+  const markers = getMarkerKeys().map(key => `${key}=${policy.id}`);
+  return existingPolicies.find(p => p.description && markers.some(m => p.description.includes(m)));
+}
+
+// Target names for the policies that would be created (already-migrated ones
+// are left out) and the names that collide with the tenant or each other
+function planTargetNames(policies, existingPolicies, runDate) {
+  const { nameTemplate } = getMigrationSettings();
+  const names = new Map();
+  for (const policy of policies) {
+    if (findMigratedPolicy(policy, existingPolicies)) continue;
+    names.set(policy.id, renderTargetName(nameTemplate, policy, { date: runDate }));
+  }
+  return { names, collisions: findNameCollisions([...names.values()], existingPolicies) };
+}
+
 async function executeRollback() {
   if (!state.manifest || !state.manifest.createdPolicies || state.manifest.createdPolicies.length === 0) {
     showToast('No migration manifest found. Run a migration first.', 'warning');
     return;
   }
+  // Gives a manifest saved before history existed a run ID
+  getHistory();
+  // Older versions made a discovery scan the latest run; it covers every marker-tagged policy
+  if (state.manifest.mode === 'DISCOVERED') {
+    showToast('The latest run is a discovery scan. Roll back the policies you need from History.', 'warning');
+    return;
+  }
 
-  const policiesToDelete = state.manifest.createdPolicies.filter(p => p.targetPolicyId);
+  const policiesToDelete = activePolicies(state.manifest);
   if (policiesToDelete.length === 0) {
-    showToast('No policies to rollback (manifest only contains preview entries).', 'warning');
+    showToast('Nothing to rollback (preview run, or already rolled back).', 'warning');
     return;
   }
 
+  const mismatch = getTenantMismatch(state.manifest);
+  if (mismatch) {
+    showToast(`Rollback refused. ${mismatch}`, 'error');
+    return;
+  }
+
+  // Manifests saved before workspaces existed do not record their tenant
+  const tenantNote = state.manifest.tenantId
+    ? ''
+    : ' This manifest does not record which tenant it was created in; make sure you are signed in to the right one.';
   const ok = await confirm(
     'Rollback Migration',
-    `This will DELETE ${policiesToDelete.length} Settings Catalog policies that were created by this tool. This cannot be undone. Continue?`
+    `This will DELETE ${policiesToDelete.length} Settings Catalog policies created by the latest run. Earlier runs can be rolled back from History. This cannot be undone.${tenantNote} Continue?`
   );
   if (!ok) return;
 
@@ -394,29 +932,22 @@ async function executeRollback() {
   statusEl.textContent = 'Rolling back...';
   statusEl.className = 'px-3 py-1 text-xs font-medium rounded-full bg-red-100 text-red-700';
 
-  logLine('migration-log', '=== Rollback Started ===');
-
-  let deleted = 0;
-  let failed = 0;
-
-  for (const cp of policiesToDelete) {
-    try {
-      logLine('migration-log', `Deleting: ${cp.targetName} (${cp.targetPolicyId})`);
-      await deleteSettingsCatalogPolicy(cp.targetPolicyId);
-      deleted++;
-      logLine('migration-log', `Deleted: ${cp.targetName}`);
-    } catch (error) {
-      failed++;
-      logLine('migration-log', `FAILED to delete ${cp.targetName}: ${error.message}`, 'error');
-    }
+  let outcome;
+  try {
+    outcome = await rollbackRun(state.manifest, null, 'migration-log');
+  } catch (error) {
+    logLine('migration-log', `ERROR: ${error.message}`, 'error');
+    statusEl.textContent = 'Failed';
+    showToast('Rollback failed: ' + error.message, 'error');
+    return;
   }
+  const { deleted, failed, cancelled } = outcome;
 
-  logLine('migration-log', `=== Rollback Complete: ${deleted} deleted, ${failed} failed ===`);
-
-  statusEl.textContent = failed > 0 ? 'Partial Rollback' : 'Rolled Back';
-  statusEl.className = `px-3 py-1 text-xs font-medium rounded-full ${failed > 0 ? 'bg-amber-100 text-amber-700' : 'bg-green-100 text-green-700'}`;
+  statusEl.textContent = cancelled ? 'Rollback Cancelled' : failed > 0 ? 'Partial Rollback' : 'Rolled Back';
+  statusEl.className = `px-3 py-1 text-xs font-medium rounded-full ${cancelled || failed > 0 ? 'bg-amber-100 text-amber-700' : 'bg-green-100 text-green-700'}`;
 
-  showToast(`Rollback complete: ${deleted} deleted, ${failed} failed`, failed > 0 ? 'warning' : 'success');
+  renderManifest(state.manifest);
+  showToast(`Rollback ${cancelled ? 'cancelled' : 'complete'}: ${deleted} deleted, ${failed} failed`, cancelled || failed > 0 ? 'warning' : 'success');
 }
 
 function renderManifest(manifest) {
@@ -442,15 +973,19 @@ function renderManifest(manifest) {
 
   for (const p of manifest.createdPolicies) {
     const isPreview = p.whatIf;
+    const [label, color] = isPreview ? ['Preview', 'bg-blue-100 text-blue-700']
+      : p.rolledBackAt ? ['Rolled back', 'bg-gray-100 text-gray-600']
+      : ['Created', 'bg-green-100 text-green-700'];
     html += `
       <tr class="table-row">
-        <td class="px-6 py-4 font-medium">${escapeHtml(p.targetName)}</td>
+        <td class="px-6 py-4 font-medium">
+          ${escapeHtml(p.targetName)}
+          ${p.nameCollision ? '<span class="ml-2 px-2 py-0.5 text-xs font-medium rounded-full bg-amber-100 text-amber-700">Name in use</span>' : ''}
+        </td>
         <td class="px-6 py-4"><span class="px-2.5 py-1 text-xs font-medium rounded-full bg-purple-100 text-purple-700">${p.settingsCount || 0}</span></td>
         <td class="px-6 py-4"><span class="px-2.5 py-1 text-xs font-medium rounded-full bg-blue-100 text-blue-700">${p.assignmentCount || 0}</span></td>
         <td class="px-6 py-4">
-          <span class="px-2.5 py-1 text-xs font-medium rounded-full ${isPreview ? 'bg-blue-100 text-blue-700' : 'bg-green-100 text-green-700'}">
-            ${isPreview ? 'Preview' : 'Created'}
-          </span>
+          <span class="px-2.5 py-1 text-xs font-medium rounded-full ${color}">${label}</span>
         </td>
       </tr>
     `;
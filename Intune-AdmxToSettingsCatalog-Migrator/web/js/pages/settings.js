@@ -0,0 +1,328 @@
+// settings.js - Naming, marker key, mapping confidence and product pattern settings page
+import { state, showToast, escapeHtml, downloadJson, readJsonFile, saveState } from '../app.js';
+import { getSettingsCatalogPolicies } from '../graph.js';
+import {
+  DEFAULT_MIGRATION_SETTINGS,
+  getMigrationSettings,
+  saveMigrationSettings,
+  renderTargetName,
+  validateNameTemplate,
+  validateMarkerKey,
+  findNameCollisions
+} from '../naming.js';
+import {
+  getProductPatterns,
+  saveProductPatterns,
+  resetProductPatterns,
+  validateProductPatterns,
+  parseProductPatternFile,
+  productPatternFile,
+  testProductPattern
+} from '../patterns.js';
+import { getScoringSettings, saveScoringSettings, validateScoringSettings, applyThresholds } from '../scoring.js';
+
+// Existing SC policies from the last collision check (null = not checked yet)
+let existingPolicies = null;
+
+// Product patterns being edited (saved only on "Save Patterns") and the
+// last test result per row
+let patternDraft = [];
+let patternTests = new Map();
+
+document.addEventListener('DOMContentLoaded', () => {
+  const templateInput = document.getElementById('settings-name-template');
+  const markerInput = document.getElementById('settings-marker-key');
+
+  templateInput.addEventListener('input', renderPreview);
+  markerInput.addEventListener('input', renderPreview);
+  document.getElementById('btn-save-settings').addEventListener('click', saveSettings);
+  document.getElementById('btn-reset-settings').addEventListener('click', () => {
+    templateInput.value = DEFAULT_MIGRATION_SETTINGS.nameTemplate;
+    markerInput.value = DEFAULT_MIGRATION_SETTINGS.markerKey;
+    renderPreview();
+  });
+  document.getElementById('btn-check-collisions').addEventListener('click', checkCollisions);
+  initPatternEditor();
+  document.getElementById('btn-save-scoring').addEventListener('click', saveScoring);
+
+  window.addEventListener('page-loaded', (e) => {
+    if (e.detail.page === 'settings') {
+      loadSettings();
+      loadScoring();
+      loadPatterns();
+    }
+  });
+
+  // Existing policies and patterns belong to the previous tenant
+  window.addEventListener('workspace-changed', () => {
+    existingPolicies = null;
+    loadScoring();
+    loadPatterns();
+  });
+});
+
+function loadSettings() {
+  const settings = getMigrationSettings();
+  document.getElementById('settings-name-template').value = settings.nameTemplate;
+  document.getElementById('settings-marker-key').value = settings.markerKey;
+  renderPreview();
+}
+
+function readForm() {
+  return {
+    nameTemplate: document.getElementById('settings-name-template').value,
+    markerKey: document.getElementById('settings-marker-key').value.trim()
+  };
+}
+
+function formErrors(form) {
+  return [...validateNameTemplate(form.nameTemplate), ...validateMarkerKey(form.markerKey)];
+}
+
+function saveSettings() {
+  const form = readForm();
+  const errors = formErrors(form);
+  if (errors.length > 0) {
+    showToast('Settings not saved: ' + errors[0], 'error');
+    return;
+  }
+  saveMigrationSettings(form);
+  showToast('Settings saved', 'success');
+}
+
+async function checkCollisions() {
+  const btn = document.getElementById('btn-check-collisions');
+  btn.disabled = true;
+  try {
+    existingPolicies = await getSettingsCatalogPolicies();
+    renderPreview();
+    showToast(`Compared with ${existingPolicies.length} existing Settings Catalog policies`, 'info');
+  } catch (error) {
+    showToast('Collision check failed: ' + error.message, 'error');
+  } finally {
+    btn.disabled = false;
+  }
+}
+
+function renderPreview() {
+  const form = readForm();
+  const errors = formErrors(form);
+  const errorsEl = document.getElementById('settings-errors');
+  errorsEl.innerHTML = errors.map(e => `<p>${escapeHtml(e)}</p>`).join('');
+  errorsEl.classList.toggle('hidden', errors.length === 0);
+
+  const container = document.getElementById('settings-preview');
+  const summary = document.getElementById('settings-collision-summary');
+  const policies = state.exportData || [];
+
+  if (policies.length === 0) {
+    const sample = { displayName: 'Example ADMX Policy', definitionValues: [] };
+    container.innerHTML = `
+      <div class="p-6 text-sm text-gray-500">
+        Example: <span class="font-mono text-gray-900">${escapeHtml(renderTargetName(form.nameTemplate, sample))}</span>
+        <p class="text-xs text-gray-400 mt-1">Run Export to preview the names of your own policies.</p>
+      </div>
+    `;
+    summary.textContent = '';
+    return;
+  }
+
+  const date = new Date();
+  const rows = policies.map(p => ({ policy: p, targetName: renderTargetName(form.nameTemplate, p, { date }) }));
+  const collisions = findNameCollisions(rows.map(r => r.targetName), existingPolicies || []);
+
+  summary.textContent = existingPolicies
+    ? `${collisions.size} collisions (checked against ${existingPolicies.length} existing policies)`
+    : `${collisions.size} duplicate names. Click "Check Name Collisions" to compare with the tenant.`;
+
+  let html = `
+    <table class="w-full text-sm">
+      <thead class="bg-gray-50 text-left">
+        <tr>
+          <th class="px-6 py-3 text-xs font-medium text-gray-500 uppercase">ADMX Policy</th>
+          <th class="px-6 py-3 text-xs font-medium text-gray-500 uppercase">Target Name</th>
+          <th class="px-6 py-3 text-xs font-medium text-gray-500 uppercase">Description Marker</th>
+        </tr>
+      </thead>
+      <tbody class="divide-y divide-gray-100">
+  `;
+  for (const { policy, targetName } of rows) {
+    const collision = collisions.get(targetName);
+    const badge = collision === 'existing'
+      ? '<span class="ml-2 px-2 py-0.5 text-xs font-medium rounded-full bg-red-100 text-red-700">Exists in tenant</span>'
+      : collision === 'duplicate'
+        ? '<span class="ml-2 px-2 py-0.5 text-xs font-medium rounded-full bg-amber-100 text-amber-700">Duplicate</span>'
+        : '';
+    html += `
+      <tr class="table-row">
+        <td class="px-6 py-3">${escapeHtml(policy.displayName || policy.id)}</td>
+        <td class="px-6 py-3 font-mono">${escapeHtml(targetName)}${badge}</td>
+        <td class="px-6 py-3 font-mono text-xs text-gray-500">${escapeHtml(`${form.markerKey}=${policy.id}`)}</td>
+      </tr>
+    `;
+  }
+  html += '</tbody></table>';
+  container.innerHTML = html;
+}
+
+// ==================== MAPPING CONFIDENCE ====================
+
+function loadScoring() {
+  const scoring = getScoringSettings();
+  document.getElementById('settings-score-high').value = scoring.high;
+  document.getElementById('settings-score-medium').value = scoring.medium;
+}
+
+function saveScoring() {
+  const scoring = {
+    high: Number(document.getElementById('settings-score-high').value),
+    medium: Number(document.getElementById('settings-score-medium').value)
+  };
+  const errors = validateScoringSettings(scoring);
+  if (errors.length > 0) {
+    showToast('Thresholds not saved: ' + errors[0], 'error');
+    return;
+  }
+  saveScoringSettings(scoring);
+  // Existing suggestions keep their scores; only the classification changes
+  const changed = applyThresholds(state.mappingSuggestions, scoring);
+  if (changed > 0) saveState();
+  showToast(`Thresholds saved${changed > 0 ? `, ${changed} suggestions re-classified` : ''}`, 'success');
+}
+
+// ==================== PRODUCT PATTERNS ====================
+
+function initPatternEditor() {
+  const table = document.getElementById('patterns-table');
+  const importInput = document.getElementById('input-import-patterns');
+
+  document.getElementById('btn-add-pattern').addEventListener('click', () => {
+    patternDraft.push({ product: '', pattern: '', priority: 10 });
+    renderPatterns();
+  });
+  document.getElementById('btn-save-patterns').addEventListener('click', savePatterns);
+  document.getElementById('btn-reset-patterns').addEventListener('click', () => {
+    resetProductPatterns();
+    loadPatterns();
+    showToast('Product patterns reset to defaults', 'info');
+  });
+  document.getElementById('btn-export-patterns').addEventListener('click', () => {
+    downloadJson(productPatternFile(), 'product-patterns.json');
+  });
+  document.getElementById('btn-import-patterns').addEventListener('click', () => importInput.click());
+  importInput.addEventListener('change', async () => {
+    const file = importInput.files[0];
+    importInput.value = '';
+    if (!file) return;
+    try {
+      patternDraft = parseProductPatternFile(await readJsonFile(file));
+      patternTests = new Map();
+      renderPatterns();
+      showToast(`Imported ${patternDraft.length} patterns. Click "Save Patterns" to keep them.`, 'info');
+    } catch (error) {
+      showToast('Import failed: ' + error.message, 'error');
+    }
+  });
+
+  // Edits update the draft without re-rendering, so focus stays in the input
+  table.addEventListener('input', (e) => {
+    const { index, field } = e.target.dataset;
+    if (index === undefined) return;
+    patternDraft[index][field] = field === 'priority' ? Number(e.target.value) : e.target.value;
+    if (field === 'pattern') patternTests.delete(Number(index));
+  });
+  table.addEventListener('click', (e) => {
+    const btn = e.target.closest('button[data-action]');
+    if (!btn) return;
+    const index = Number(btn.dataset.index);
+    if (btn.dataset.action === 'remove') {
+      patternDraft.splice(index, 1);
+      patternTests = new Map();
+      renderPatterns();
+    } else if (btn.dataset.action === 'test') {
+      testPattern(index, btn);
+    }
+  });
+}
+
+function loadPatterns() {
+  patternDraft = getProductPatterns();
+  patternTests = new Map();
+  renderPatterns();
+}
+
+function savePatterns() {
+  const errors = validateProductPatterns(patternDraft);
+  const errorsEl = document.getElementById('patterns-errors');
+  errorsEl.innerHTML = errors.map(e => `<p>${escapeHtml(e)}</p>`).join('');
+  errorsEl.classList.toggle('hidden', errors.length === 0);
+  if (errors.length > 0) {
+    showToast('Patterns not saved: ' + errors[0], 'error');
+    return;
+  }
+  saveProductPatterns(patternDraft);
+  loadPatterns();
+  showToast('Product patterns saved', 'success');
+}
+
+async function testPattern(index, btn) {
+  const pattern = (patternDraft[index].pattern || '').trim().toLowerCase();
+  if (!pattern) {
+    showToast('Enter a pattern first', 'warning');
+    return;
+  }
+  btn.disabled = true;
+  try {
+    patternTests.set(index, await testProductPattern(pattern));
+    renderPatterns();
+  } catch (error) {
+    patternTests.set(index, { error: error.message });
+    renderPatterns();
+    showToast('Pattern test failed: ' + error.message, 'error');
+  }
+}
+
+function renderPatterns() {
+  const container = document.getElementById('patterns-table');
+  if (patternDraft.length === 0) {
+    container.innerHTML = '<div class="p-6 text-sm text-gray-400">No patterns. Only the category path guess is used.</div>';
+    return;
+  }
+
+  const input = 'px-2 py-1 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-brand-500';
+  let html = `
+    <table class="w-full text-sm">
+      <thead class="bg-gray-50 text-left">
+        <tr>
+          <th class="px-6 py-3 text-xs font-medium text-gray-500 uppercase">Product (in category path)</th>
+          <th class="px-6 py-3 text-xs font-medium text-gray-500 uppercase">Setting ID Pattern</th>
+          <th class="px-6 py-3 text-xs font-medium text-gray-500 uppercase">Priority</th>
+          <th class="px-6 py-3 text-xs font-medium text-gray-500 uppercase">Matches</th>
+          <th class="px-6 py-3"></th>
+        </tr>
+      </thead>
+      <tbody class="divide-y divide-gray-100">
+  `;
+  patternDraft.forEach((p, i) => {
+    const test = patternTests.get(i);
+    const result = test && test.error
+      ? `<span class="text-red-600" title="${escapeHtml(test.error)}">Failed</span>`
+      : test
+        ? `<span class="${test.count === 0 ? 'text-red-600' : 'text-gray-700'}">${test.count}${test.capped ? '+' : ''}</span> <span class="text-xs text-gray-400">(${test.source})</span>`
+        : '<span class="text-gray-300">-</span>';
+    html += `
+      <tr class="table-row">
+        <td class="px-6 py-2"><input data-index="${i}" data-field="product" value="${escapeHtml(p.product)}" class="${input} w-full"></td>
+        <td class="px-6 py-2"><input data-index="${i}" data-field="pattern" value="${escapeHtml(p.pattern)}" class="${input} w-full font-mono"></td>
+        <td class="px-6 py-2"><input data-index="${i}" data-field="priority" type="number" value="${escapeHtml(String(p.priority))}" class="${input} w-20"></td>
+        <td class="px-6 py-2 whitespace-nowrap">${result}</td>
+        <td class="px-6 py-2 text-right whitespace-nowrap">
+          <button data-action="test" data-index="${i}" class="px-2.5 py-1 text-xs border border-brand-200 text-brand-600 rounded-lg hover:bg-brand-50 transition">Test</button>
+          <button data-action="remove" data-index="${i}" class="px-2.5 py-1 text-xs border border-red-200 text-red-600 rounded-lg hover:bg-red-50 transition">Remove</button>
+        </td>
+      </tr>
+    `;
+  });
+  html += '</tbody></table>';
+  container.innerHTML = html;
+}
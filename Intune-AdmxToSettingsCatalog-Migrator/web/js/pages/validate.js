@@ -0,0 +1,336 @@
+// validate.js - Post-migration validation page
+// Compares each Settings Catalog policy created by a migration against its
+// source ADMX policy: setting values (as sent by the migration, or rebuilt from
+// the mapping for older manifests) and assignment targets.
+import { state, showToast, escapeHtml, downloadJson, saveState, logLine } from '../app.js';
+import { getSettingsCatalogPolicySettings, getSettingsCatalogPolicyAssignments } from '../graph.js';
+import { preloadMappingDefinitions, buildMappingIndex, canonicalInstance, describeInstance, assignmentKey } from '../translate.js';
+import { applyConflictDecisions } from '../conflicts.js';
+import { isScopeMismatch } from '../scoring.js';
+
+document.addEventListener('DOMContentLoaded', () => {
+  document.getElementById('btn-run-validation').addEventListener('click', runValidation);
+  document.getElementById('btn-download-validation').addEventListener('click', () => {
+    if (state.validationReport) downloadJson(state.validationReport, 'validation-report.json');
+  });
+
+  window.addEventListener('page-loaded', (e) => {
+    if (e.detail.page === 'validate' && state.validationReport) {
+      renderValidationReport(state.validationReport);
+    }
+  });
+
+  window.addEventListener('workspace-changed', () => {
+    document.getElementById('validate-log-container').classList.add('hidden');
+    document.getElementById('validate-results').classList.add('hidden');
+    document.getElementById('btn-download-validation').classList.add('hidden');
+  });
+});
+
+// ==================== COMPARISON ====================
+
+function compareAssignments(sourceAssignments, targetAssignments) {
+  const expected = new Set((sourceAssignments || []).filter(a => a && a.target).map(assignmentKey));
+  const actual = new Set((targetAssignments || []).map(assignmentKey));
+  const missing = [...expected].filter(k => !actual.has(k));
+  const extra = [...actual].filter(k => !expected.has(k));
+  return {
+    status: missing.length === 0 && extra.length === 0 ? 'pass' : 'drift',
+    expectedCount: expected.size,
+    actualCount: actual.size,
+    missing,
+    extra
+  };
+}
+
+// sourcePolicies holds one policy, or several for a merged policy (in merge order)
+async function validatePolicy(created, sourcePolicies, mapIndex) {
+  const result = {
+    sourcePolicyId: created.sourcePolicyId,
+    sourcePolicyName: sourcePolicies.length > 0 ? sourcePolicies.map(p => p.displayName).join(' + ') : created.sourcePolicyId,
+    targetPolicyId: created.targetPolicyId,
+    targetName: created.targetName,
+    status: 'pass',
+    settings: [],
+    assignments: null
+  };
+
+  let targetSettings;
+  let targetAssignments;
+  try {
+    targetSettings = await getSettingsCatalogPolicySettings(created.targetPolicyId);
+    targetAssignments = await getSettingsCatalogPolicyAssignments(created.targetPolicyId);
+  } catch (error) {
+    if (error.message.includes('404')) {
+      result.status = 'missing';
+      result.error = 'Target policy no longer exists';
+      return result;
+    }
+    throw error;
+  }
+
+  const actualById = new Map();
+  for (const s of targetSettings) {
+    if (s && s.settingInstance) actualById.set(s.settingInstance.settingDefinitionId, canonicalInstance(s.settingInstance));
+  }
+
+  if (Array.isArray(created.sentSettings)) {
+    compareSentSettings(created.sentSettings, sourcePolicies, mapIndex, actualById, result);
+  } else {
+    compareMappedSettings(created, sourcePolicies, mapIndex, actualById, result);
+  }
+
+  result.assignments = compareAssignments(sourcePolicies.flatMap(p => p.assignments || []), targetAssignments);
+
+  const hasDrift = result.settings.some(s => ['drift', 'missing', 'extra'].includes(s.status))
+    || result.assignments.status !== 'pass';
+  result.status = hasDrift ? 'drift' : 'pass';
+  return result;
+}
+
+// Settings in the target that nothing was expected for
+function addExtraSettings(actualById, compared, result) {
+  for (const [sid, actual] of actualById) {
+    if (compared.has(sid)) continue;
+    result.settings.push({
+      sourceDefinitionValueId: null,
+      settingName: sid,
+      settingDefinitionId: sid,
+      status: 'extra',
+      expected: '(not in source)',
+      actual: describeInstance(actual)
+    });
+  }
+}
+
+// Manifests record the canonical instances that were sent: those are the
+// expected values, whatever the mapping says now. The mapping only supplies
+// source setting names.
+function compareSentSettings(sentSettings, sourcePolicies, mapIndex, actualById, result) {
+  const names = new Map();
+  for (const sourcePolicy of sourcePolicies) {
+    for (const dv of (sourcePolicy.definitionValues || [])) {
+      const mapping = mapIndex ? mapIndex[`${sourcePolicy.id}|${dv.id}`] : null;
+      const sid = mapping && mapping.settingPayload && mapping.settingPayload.settingInstance
+        ? mapping.settingPayload.settingInstance.settingDefinitionId
+        : null;
+      if (sid && !names.has(sid)) names.set(sid, { dvId: dv.id, name: (dv.definition && dv.definition.displayName) || dv.displayName || dv.id });
+    }
+  }
+
+  const compared = new Set();
+  for (const expected of sentSettings) {
+    const sid = expected.id;
+    compared.add(sid);
+    const source = names.get(sid);
+    const actual = actualById.get(sid) || null;
+    result.settings.push({
+      sourceDefinitionValueId: source ? source.dvId : null,
+      settingName: source ? source.name : sid,
+      settingDefinitionId: sid,
+      status: !actual ? 'missing' : JSON.stringify(expected) === JSON.stringify(actual) ? 'pass' : 'drift',
+      expected: describeInstance(expected),
+      actual: describeInstance(actual)
+    });
+  }
+  addExtraSettings(actualById, compared, result);
+}
+
+// Manifests from before sent settings were recorded (and discovered ones):
+// expected values are rebuilt from the current mapping as the migration would
+function compareMappedSettings(created, sourcePolicies, mapIndex, actualById, result) {
+  // For merged policies: which source's value won each conflicting setting
+  const winners = new Map((created.resolvedConflicts || []).map(r => [r.settingDefinitionId, r.chosenPolicyIds || [r.chosenPolicyId]]));
+
+  const compared = new Set();
+  for (const sourcePolicy of sourcePolicies) {
+    for (const dv of (sourcePolicy.definitionValues || [])) {
+      const settingName = (dv.definition && dv.definition.displayName) || dv.displayName || dv.id;
+      const mapping = mapIndex ? mapIndex[`${sourcePolicy.id}|${dv.id}`] : null;
+      const row = { sourceDefinitionValueId: dv.id, settingName, settingDefinitionId: null, status: 'unmapped' };
+
+      if (mapping && mapping.excludedByDecision) {
+        // Losing value of a conflict decision: not migrated on purpose
+        row.status = 'excluded';
+      } else if (mapping && mapping.settingPayload && mapping.settingPayload.settingInstance) {
+        const sid = mapping.settingPayload.settingInstance.settingDefinitionId;
+        row.settingDefinitionId = sid;
+        if (!sid.toLowerCase().includes('_vendor_msft_') || isScopeMismatch(dv.definition && dv.definition.classType, sid)) {
+          // Migration skips non-Windows and scope-mismatched settings
+          row.status = 'skipped';
+        } else if (winners.has(sid) && !winners.get(sid).includes(sourcePolicy.id)) {
+          // Merge conflict resolved in favour of another source policy
+          row.status = 'overridden';
+        } else if (compared.has(sid)) {
+          // Migration keeps only the first occurrence of a setting ID
+          row.status = 'deduplicated';
+        } else {
+          compared.add(sid);
+          const expected = canonicalInstance(mapping.settingPayload.settingInstance);
+          const actual = actualById.get(sid) || null;
+          row.expected = describeInstance(expected);
+          row.actual = describeInstance(actual);
+          if (!actual) row.status = 'missing';
+          else row.status = JSON.stringify(expected) === JSON.stringify(actual) ? 'pass' : 'drift';
+        }
+      }
+      result.settings.push(row);
+    }
+  }
+  addExtraSettings(actualById, compared, result);
+}
+
+// ==================== RUN ====================
+
+async function runValidation() {
+  const created = ((state.manifest && state.manifest.createdPolicies) || []).filter(p => p.targetPolicyId);
+  if (created.length === 0) {
+    showToast('No migrated policies in the manifest. Execute a migration first.', 'warning');
+    return;
+  }
+  if (!state.exportData) {
+    showToast('No export data. Run or import an Export first.', 'warning');
+    return;
+  }
+
+  const btn = document.getElementById('btn-run-validation');
+  btn.disabled = true;
+  document.getElementById('validate-log-container').classList.remove('hidden');
+  document.getElementById('validate-log').innerHTML = '';
+
+  try {
+    logLine('validate-log', `=== Validation Started: ${created.length} policies ===`);
+
+    // Expected payloads are rebuilt exactly as the migration built them
+    await preloadMappingDefinitions(state.mappingEntries, state.mappingSuggestions, { log: (msg, level) => logLine('validate-log', msg, level) });
+    const mapIndex = applyConflictDecisions(buildMappingIndex(state.mappingEntries, state.mappingSuggestions), state.exportData);
+    if (!mapIndex) logLine('validate-log', 'No mapping data: only assignments can be compared.', 'warn');
+
+    const exportById = new Map(state.exportData.map(p => [p.id, p]));
+    const policies = [];
+
+    for (const cp of created) {
+      logLine('validate-log', `Validating: ${cp.targetName} (${cp.targetPolicyId})`);
+      const sourcePolicies = [];
+      for (const id of (cp.sourcePolicyIds || [cp.sourcePolicyId])) {
+        const sourcePolicy = exportById.get(id);
+        if (sourcePolicy) sourcePolicies.push(sourcePolicy);
+        else logLine('validate-log', `  Source policy ${id} is not in the current export`, 'warn');
+      }
+      try {
+        const result = await validatePolicy(cp, sourcePolicies, mapIndex);
+        const drifted = result.settings.filter(s => ['drift', 'missing', 'extra'].includes(s.status)).length;
+        logLine('validate-log', `  ${result.status.toUpperCase()}${result.error ? ': ' + result.error : ''}${drifted ? ` (${drifted} setting differences)` : ''}`, result.status === 'pass' ? 'info' : 'warn');
+        policies.push(result);
+      } catch (error) {
+        logLine('validate-log', `  ERROR: ${error.message}`, 'error');
+        policies.push({
+          sourcePolicyId: cp.sourcePolicyId,
+          targetPolicyId: cp.targetPolicyId,
+          targetName: cp.targetName,
+          status: 'error',
+          error: error.message,
+          settings: []
+        });
+      }
+    }
+
+    const report = {
+      generatedAt: new Date().toISOString(),
+      manifestGeneratedAt: state.manifest.generatedAt,
+      summary: {
+        total: policies.length,
+        pass: policies.filter(p => p.status === 'pass').length,
+        drift: policies.filter(p => p.status === 'drift').length,
+        missing: policies.filter(p => p.status === 'missing').length,
+        errors: policies.filter(p => p.status === 'error').length
+      },
+      policies
+    };
+
+    state.validationReport = report;
+    saveState();
+
+    logLine('validate-log', `=== Validation Complete: ${report.summary.pass} pass, ${report.summary.drift} drift, ${report.summary.missing} missing ===`);
+    renderValidationReport(report);
+
+    const clean = report.summary.pass === report.summary.total;
+    showToast(`Validation complete: ${report.summary.pass}/${report.summary.total} policies pass`, clean ? 'success' : 'warning');
+  } catch (error) {
+    logLine('validate-log', `ERROR: ${error.message}`, 'error');
+    showToast('Validation failed: ' + error.message, 'error');
+  } finally {
+    btn.disabled = false;
+  }
+}
+
+// ==================== RENDER ====================
+
+const STATUS_BADGES = {
+  pass: 'bg-green-100 text-green-700',
+  drift: 'bg-amber-100 text-amber-700',
+  missing: 'bg-red-100 text-red-700',
+  extra: 'bg-amber-100 text-amber-700',
+  error: 'bg-red-100 text-red-700',
+  unmapped: 'bg-gray-100 text-gray-500',
+  skipped: 'bg-gray-100 text-gray-500',
+  deduplicated: 'bg-gray-100 text-gray-500',
+  overridden: 'bg-gray-100 text-gray-500',
+  excluded: 'bg-gray-100 text-gray-500'
+};
+
+function renderValidationReport(report) {
+  document.getElementById('validate-results').classList.remove('hidden');
+  document.getElementById('btn-download-validation').classList.remove('hidden');
+  document.getElementById('validate-stat-pass').textContent = report.summary.pass;
+  document.getElementById('validate-stat-drift').textContent = report.summary.drift;
+  document.getElementById('validate-stat-missing').textContent = report.summary.missing + (report.summary.errors || 0);
+
+  const container = document.getElementById('validate-table');
+  if (report.policies.length === 0) {
+    container.innerHTML = '<div class="p-8 text-center text-gray-400">No policies validated.</div>';
+    return;
+  }
+
+  let html = '';
+  for (const p of report.policies) {
+    const settings = p.settings || [];
+    const issues = settings.filter(s => ['drift', 'missing', 'extra'].includes(s.status));
+    const passCount = settings.filter(s => s.status === 'pass').length;
+    const a = p.assignments;
+
+    html += `
+      <div class="px-6 py-4">
+        <div class="flex items-center justify-between gap-4">
+          <div class="min-w-0">
+            <div class="font-medium text-gray-900 truncate">${escapeHtml(p.targetName || p.targetPolicyId)}</div>
+            <div class="text-xs text-gray-400 truncate">Source: ${escapeHtml(p.sourcePolicyName || p.sourcePolicyId)}</div>
+          </div>
+          <div class="flex items-center gap-3 text-xs flex-shrink-0">
+            ${settings.length ? `<span class="text-gray-500">${passCount}/${settings.length} settings match</span>` : ''}
+            ${a ? `<span class="${a.status === 'pass' ? 'text-gray-500' : 'text-amber-600 font-medium'}">assignments ${a.actualCount}/${a.expectedCount}</span>` : ''}
+            <span class="px-2.5 py-1 font-medium rounded-full ${STATUS_BADGES[p.status] || STATUS_BADGES.error}">${p.status.toUpperCase()}</span>
+          </div>
+        </div>
+        ${p.error ? `<div class="mt-2 text-xs text-red-600">${escapeHtml(p.error)}</div>` : ''}
+        ${issues.length > 0 ? `
+          <div class="mt-3 border border-gray-100 rounded-lg divide-y divide-gray-50 text-xs">
+            ${issues.map(s => `
+              <div class="px-3 py-2 grid grid-cols-12 gap-2 items-center">
+                <span class="col-span-1"><span class="px-1.5 py-0.5 rounded font-medium ${STATUS_BADGES[s.status]}">${s.status}</span></span>
+                <span class="col-span-5 truncate text-gray-700" title="${escapeHtml(s.settingDefinitionId || '')}">${escapeHtml(s.settingName)}</span>
+                <span class="col-span-3 truncate font-mono text-gray-500" title="${escapeHtml(s.expected || '')}">expected: ${escapeHtml(s.expected || '')}</span>
+                <span class="col-span-3 truncate font-mono text-gray-500" title="${escapeHtml(s.actual || '')}">actual: ${escapeHtml(s.actual || '')}</span>
+              </div>`).join('')}
+          </div>` : ''}
+        ${a && a.status !== 'pass' ? `
+          <div class="mt-2 text-xs text-amber-700">
+            ${a.missing.length ? `Missing assignments: ${a.missing.map(k => escapeHtml(k.replace(/\|+$/, ''))).join(', ')}` : ''}
+            ${a.extra.length ? `<div>Extra assignments: ${a.extra.map(k => escapeHtml(k.replace(/\|+$/, ''))).join(', ')}</div>` : ''}
+          </div>` : ''}
+      </div>
+    `;
+  }
+
+  container.innerHTML = html;
+}
@@ -0,0 +1,100 @@
+// patterns.js - Product pattern registry for the localized-tenant fallback
+// Maps product names found in an ADMX categoryPath (product names are not
+// localized) to a Settings Catalog ID fragment. When text search finds
+// nothing, mapping searches the catalog for IDs containing the fragment.
+// The registry is editable on the Settings page and saved per workspace.
+import { state, saveState } from './app.js';
+import { getSettingsCatalogPageByProduct, PRODUCT_SEARCH_LIMIT } from './graph.js';
+import { isCatalogIndexActive, searchLocalCatalogByProduct } from './catalog.js';
+
+// Higher priority wins when several products match the same category path
+export const DEFAULT_PRODUCT_PATTERNS = [
+  { product: 'Microsoft Edge', pattern: 'microsoft_edge~policy~', priority: 10 },
+  { product: 'Google Chrome', pattern: 'googlechrome~policy~', priority: 10 },
+  { product: 'Internet Explorer', pattern: 'internetexplorer_', priority: 10 },
+  { product: 'OneDrive', pattern: 'onedrivengscv2~', priority: 10 },
+  { product: 'Windows Defender Antivirus', pattern: 'defender_antivirus', priority: 10 },
+  { product: 'BitLocker Drive Encryption', pattern: 'bitlocker_', priority: 20 },
+  { product: 'BitLocker', pattern: 'bitlocker_', priority: 10 },
+  { product: 'Windows Update', pattern: 'windowsupdate~', priority: 10 },
+  { product: 'Remote Desktop', pattern: 'remotedesktopservices~', priority: 10 },
+  { product: 'Microsoft Office', pattern: 'office16v2~', priority: 10 },
+  { product: 'Windows Ink Workspace', pattern: 'windowsinkworkspace', priority: 10 }
+];
+
+export function getProductPatterns() {
+  return (state.productPatterns || DEFAULT_PRODUCT_PATTERNS).map(p => ({ ...p }));
+}
+
+export function saveProductPatterns(patterns) {
+  state.productPatterns = patterns.map(normalizePattern);
+  saveState();
+}
+
+export function resetProductPatterns() {
+  state.productPatterns = null;
+  saveState();
+}
+
+function normalizePattern(p) {
+  return {
+    product: String(p.product || '').trim(),
+    pattern: String(p.pattern || '').trim().toLowerCase(),
+    priority: Number(p.priority) || 0
+  };
+}
+
+// Returns a list of problems; empty when the registry can be saved
+export function validateProductPatterns(patterns) {
+  if (!Array.isArray(patterns)) return ['Expected an array of { product, pattern, priority } entries'];
+  const errors = [];
+  const seen = new Set();
+  patterns.forEach((p, i) => {
+    const label = `Entry ${i + 1}`;
+    if (!p || typeof p !== 'object') {
+      errors.push(`${label}: not an object`);
+      return;
+    }
+    if (!String(p.product || '').trim()) errors.push(`${label}: product is empty`);
+    if (!String(p.pattern || '').trim()) errors.push(`${label}: pattern is empty`);
+    else if (/['\s]/.test(String(p.pattern).trim())) errors.push(`${label}: pattern may not contain quotes or spaces`);
+    if (p.priority !== undefined && !Number.isFinite(Number(p.priority))) errors.push(`${label}: priority must be a number`);
+    const key = String(p.product || '').trim().toLowerCase();
+    if (key && seen.has(key)) errors.push(`${label}: product "${p.product}" is listed twice`);
+    seen.add(key);
+  });
+  return errors;
+}
+
+// Accepts the exported file ({ patterns: [...] }) or a bare array
+export function parseProductPatternFile(json) {
+  const patterns = Array.isArray(json) ? json : json && json.patterns;
+  const errors = validateProductPatterns(patterns);
+  if (errors.length > 0) throw new Error(errors.slice(0, 3).join('; '));
+  return patterns.map(normalizePattern);
+}
+
+export function productPatternFile() {
+  return { exportedAt: new Date().toISOString(), patterns: getProductPatterns() };
+}
+
+// Pattern of the highest-priority product named in the category path, or ''
+export function matchProductPattern(categoryPath) {
+  const lower = (categoryPath || '').toLowerCase();
+  const matches = getProductPatterns()
+    .filter(p => p.product && lower.includes(p.product.toLowerCase()))
+    .sort((a, b) => b.priority - a.priority || b.product.length - a.product.length);
+  return matches.length > 0 ? matches[0].pattern : '';
+}
+
+// Number of catalog settings whose ID contains the pattern. Without the local
+// index the count is capped by Graph (capped: true). Graph errors are thrown
+// rather than reported as 0 matches.
+export async function testProductPattern(pattern) {
+  if (isCatalogIndexActive()) {
+    const results = await searchLocalCatalogByProduct(pattern, Infinity);
+    return { count: results.length, capped: false, source: 'local index' };
+  }
+  const { results, pageSize } = await getSettingsCatalogPageByProduct(pattern);
+  return { count: results.length, capped: pageSize >= PRODUCT_SEARCH_LIMIT, source: 'Graph' };
+}
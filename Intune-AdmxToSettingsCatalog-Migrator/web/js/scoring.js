@@ -0,0 +1,177 @@
+// scoring.js - Weighted, explainable confidence scores for mapping candidates
+// Every candidate gets a 0-100 score from five factors (each 0..1):
+//   name      - display name similarity with the ADMX setting
+//   idTokens  - words of the ADMX name found in the candidate's setting ID
+//   category  - words of the ADMX category path found in the setting ID
+//   scope     - device vs user (ADMX classType vs the ID's prefix)
+//   valueType - whether the definition type can hold the ADMX values
+// The factors are stored with each candidate so the Mapping table can show
+// why a suggestion got its confidence. Thresholds are saved per workspace.
+import { state, saveState } from './app.js';
+
+export const SCORE_WEIGHTS = { name: 40, idTokens: 20, category: 15, scope: 15, valueType: 10 };
+
+export const FACTOR_LABELS = {
+  name: 'Name similarity',
+  idTokens: 'ID token overlap',
+  category: 'Category path',
+  scope: 'Scope (device/user)',
+  valueType: 'Value type',
+  knowledge: 'Knowledge base (confirmed earlier)'
+};
+
+export const DEFAULT_SCORING = { high: 70, medium: 40 };
+
+const NAME_STOP_WORDS = /^(configure|enable|disable|allow|with|from|that|this|have|been|will|your|each|turn|specify|set|the|and|for)$/;
+
+export function getScoringSettings() {
+  return { ...DEFAULT_SCORING, ...(state.scoringSettings || {}) };
+}
+
+export function saveScoringSettings(settings) {
+  state.scoringSettings = { ...getScoringSettings(), ...settings };
+  saveState();
+}
+
+export function validateScoringSettings({ high, medium }) {
+  const errors = [];
+  for (const [label, value] of [['High', high], ['Medium', medium]]) {
+    if (!Number.isFinite(value) || value < 0 || value > 100) errors.push(`${label} threshold must be between 0 and 100`);
+  }
+  if (errors.length === 0 && medium >= high) errors.push('Medium threshold must be lower than the high threshold');
+  return errors;
+}
+
+function words(text, minLength = 3) {
+  return String(text || '').toLowerCase().split(/[^a-z0-9]+/).filter(w => w.length >= minLength);
+}
+
+function nameSimilarity(sourceName, candidateName) {
+  const a = sourceName.toLowerCase().trim();
+  const b = (candidateName || '').toLowerCase().trim();
+  if (!a || !b) return 0;
+  if (a === b) return 1;
+  if (a.includes(b) || b.includes(a)) {
+    const ratio = Math.min(a.length, b.length) / Math.max(a.length, b.length);
+    return 0.7 + 0.3 * ratio;
+  }
+  // Dice coefficient on words
+  const wa = new Set(words(a));
+  const wb = new Set(words(b));
+  if (wa.size === 0 || wb.size === 0) return 0;
+  const shared = [...wa].filter(w => wb.has(w)).length;
+  return (2 * shared) / (wa.size + wb.size);
+}
+
+function idTokenOverlap(sourceName, candidateId) {
+  const id = (candidateId || '').toLowerCase();
+  const tokens = words(sourceName, 4).filter(w => !NAME_STOP_WORDS.test(w));
+  if (tokens.length === 0) return 0;
+  let found = 0;
+  for (const token of tokens) {
+    if (id.includes(token)) found += 1;
+    // 4-character prefix catches cross-language similarity (e.g. "geo")
+    else if (token.length >= 5 && id.includes(token.substring(0, 4))) found += 0.5;
+  }
+  return found / tokens.length;
+}
+
+function categoryAgreement(categoryPath, candidateId) {
+  const tokens = [...new Set(words(categoryPath, 3))];
+  if (tokens.length === 0) return 0.5;
+  const id = (candidateId || '').toLowerCase();
+  return tokens.filter(t => id.includes(t)).length / tokens.length;
+}
+
+// 'user' or 'machine' (ADMX classType terms) from a setting ID's prefix, or null
+export function settingScope(settingDefinitionId) {
+  const id = (settingDefinitionId || '').toLowerCase();
+  if (id.startsWith('user_')) return 'user';
+  if (id.startsWith('device_')) return 'machine';
+  return null;
+}
+
+// True when both scopes are known and differ
+export function isScopeMismatch(classType, settingDefinitionId) {
+  const scope = settingScope(settingDefinitionId);
+  return Boolean(classType && scope && classType !== scope);
+}
+
+function scopeMatch(classType, candidateId) {
+  const candidateScope = settingScope(candidateId);
+  if (!classType || !candidateScope) return 0.5;
+  return classType === candidateScope ? 1 : 0;
+}
+
+// ADMX values: none (enabled/disabled only), single values, or lists
+function valueTypeCompatibility(presentationValues, odataType) {
+  const type = (odataType || '').toLowerCase();
+  const pvs = presentationValues || [];
+  const hasList = pvs.some(pv => Array.isArray(pv.values));
+  if (!type) return 0.5;
+  if (type.includes('choicesettingdefinition')) return pvs.length === 0 ? 1 : 0.8;
+  if (type.includes('collection')) return hasList ? 0.9 : 0.3;
+  if (type.includes('simplesetting')) return pvs.length === 0 ? 0.2 : pvs.length === 1 ? 0.9 : 0.5;
+  if (type.includes('group')) return pvs.length > 1 ? 0.7 : 0.3;
+  return 0.5;
+}
+
+// source: { name, categoryPath, classType, presentationValues }
+// candidate: a Settings Catalog search result (id, displayName, @odata.type)
+export function scoreCandidate(source, candidate) {
+  const factors = {
+    name: nameSimilarity(source.name, candidate.displayName),
+    idTokens: idTokenOverlap(source.name, candidate.id),
+    category: categoryAgreement(source.categoryPath, candidate.id),
+    scope: scopeMatch(source.classType, candidate.id),
+    valueType: valueTypeCompatibility(source.presentationValues, candidate['@odata.type'])
+  };
+  let score = 0;
+  for (const [factor, weight] of Object.entries(SCORE_WEIGHTS)) score += weight * factors[factor];
+  for (const factor of Object.keys(factors)) factors[factor] = Math.round(factors[factor] * 100) / 100;
+  return { score: Math.round(score), factors };
+}
+
+// Candidates sorted best first, each with { candidate, score, factors }.
+// Candidates of the wrong scope (device vs user) always rank last.
+export function rankCandidates(source, candidates) {
+  return (candidates || [])
+    .map(candidate => ({ candidate, ...scoreCandidate(source, candidate) }))
+    .sort((a, b) => (a.factors.scope === 0) - (b.factors.scope === 0) || b.score - a.score);
+}
+
+// A candidate of the wrong scope is never better than 'medium' (needs review)
+export function confidenceFor(candidate, settings = getScoringSettings()) {
+  const scopeMismatch = candidate.factors && candidate.factors.scope === 0;
+  if (candidate.score >= settings.high && !scopeMismatch) return 'high';
+  if (candidate.score >= settings.medium) return 'medium';
+  return 'none';
+}
+
+// Hover text for a scored candidate
+export function describeScore(candidate) {
+  if (!candidate || typeof candidate.score !== 'number') return '';
+  const lines = [`Score ${candidate.score}/100`];
+  for (const [factor, value] of Object.entries(candidate.factors || {})) {
+    const weight = SCORE_WEIGHTS[factor];
+    lines.push(`${FACTOR_LABELS[factor] || factor}: ${Math.round(value * 100)}%${weight ? ` × ${weight}` : ''}`);
+  }
+  return lines.join('\n');
+}
+
+// Re-applies the thresholds to scored suggestions. Suggestions the user
+// confirmed, picked or imported keep their confidence.
+export function applyThresholds(suggestions, settings = getScoringSettings()) {
+  let changed = 0;
+  for (const s of (suggestions || [])) {
+    if (s.matchType !== 'search' || s.confirmed || !s.candidates || s.candidates.length === 0) continue;
+    const best = s.candidates[0];
+    const confidence = confidenceFor(best, settings);
+    if (confidence === s.confidence) continue;
+    s.confidence = confidence;
+    s.recommended = confidence === 'none' ? null : best;
+    s.score = best.score;
+    changed++;
+  }
+  return changed;
+}
@@ -0,0 +1,121 @@
+// storage.js - IndexedDB-backed persistence for app state and backups
+// localStorage is limited to a few MB per origin, which a large export
+// (raw policies + definitionValues) easily exceeds. IndexedDB allows far
+// larger values and reports real errors when a write fails.
+
+const DB_NAME = 'mk-admx-migrator';
+const DB_VERSION = 1;
+const STORE = 'kv';
+
+// Keys previously stored in localStorage, migrated on first run
+const LEGACY_KEYS = {
+  'mk-app-state': 'app-state',
+  'mk-backups': 'backups'
+};
+
+let dbPromise = null;
+
+function openDb() {
+  if (dbPromise) return dbPromise;
+  dbPromise = new Promise((resolve, reject) => {
+    if (!('indexedDB' in window)) {
+      reject(new Error('IndexedDB is not available in this browser'));
+      return;
+    }
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(STORE)) db.createObjectStore(STORE);
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error || new Error('Failed to open IndexedDB'));
+    request.onblocked = () => reject(new Error('IndexedDB is blocked by another open tab'));
+  });
+  // Allow a retry on the next call if opening failed
+  dbPromise.catch(() => { dbPromise = null; });
+  return dbPromise;
+}
+
+async function withStore(mode, fn) {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE, mode);
+    const request = fn(tx.objectStore(STORE));
+    tx.oncomplete = () => resolve(request ? request.result : undefined);
+    tx.onerror = () => reject(tx.error || new Error('IndexedDB transaction failed'));
+    tx.onabort = () => {
+      const err = tx.error;
+      if (err && err.name === 'QuotaExceededError') {
+        reject(new Error('Browser storage quota exceeded'));
+      } else {
+        reject(err || new Error('IndexedDB transaction aborted'));
+      }
+    };
+  });
+}
+
+export async function storageGet(key) {
+  return withStore('readonly', store => store.get(key));
+}
+
+export async function storageSet(key, value) {
+  return withStore('readwrite', store => store.put(value, key));
+}
+
+export async function storageDelete(key) {
+  return withStore('readwrite', store => store.delete(key));
+}
+
+// Copy data saved by earlier versions from localStorage into IndexedDB.
+// localStorage entries are only removed once the copy has succeeded. Entries
+// that are not valid JSON are kept as raw text under "<key>-corrupt" instead,
+// so they neither block startup nor get lost.
+// Returns { migrated, corrupt }: the IndexedDB keys written for each case.
+export async function migrateFromLocalStorage() {
+  const migrated = [];
+  const corrupt = [];
+  for (const [legacyKey, key] of Object.entries(LEGACY_KEYS)) {
+    const raw = localStorage.getItem(legacyKey);
+    if (raw === null) continue;
+
+    let value;
+    try {
+      value = JSON.parse(raw);
+    } catch (error) {
+      console.warn(`[Storage] ${legacyKey} in localStorage is not valid JSON:`, error);
+      await storageSet(`${key}-corrupt`, raw);
+      corrupt.push(`${key}-corrupt`);
+      localStorage.removeItem(legacyKey);
+      continue;
+    }
+
+    const existing = await storageGet(key);
+    if (existing === undefined) {
+      await storageSet(key, value);
+      migrated.push(key);
+    }
+    localStorage.removeItem(legacyKey);
+  }
+  return { migrated, corrupt };
+}
+
+// { usage, quota } in bytes, or null if the browser does not expose it
+export async function getStorageEstimate() {
+  if (!navigator.storage || !navigator.storage.estimate) return null;
+  try {
+    const { usage, quota } = await navigator.storage.estimate();
+    return { usage: usage || 0, quota: quota || 0 };
+  } catch {
+    return null;
+  }
+}
+
+// Ask the browser not to evict our data under storage pressure
+export async function requestPersistentStorage() {
+  if (!navigator.storage || !navigator.storage.persist) return false;
+  try {
+    return await navigator.storage.persist();
+  } catch {
+    return false;
+  }
+}
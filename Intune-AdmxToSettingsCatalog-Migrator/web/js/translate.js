@@ -0,0 +1,486 @@
+// translate.js - ADMX presentation value → Settings Catalog setting instance translator
+// ADMX-backed Settings Catalog settings are a choice (Enabled/Disabled) whose
+// "Enabled" option carries child settings, one per ADMX presentation element
+// (text box, decimal, checkbox, dropdown, list). This module loads those child
+// definitions from Graph and maps each presentation value onto its child instance.
+
+import { getSettingDefinition } from './graph.js';
+
+const ODATA = '#microsoft.graph.deviceManagementConfiguration';
+
+// Definitions loaded by loadDefinitionTrees(), keyed by settingDefinitionId.
+// buildSettingPayload() reads from here synchronously.
+const _definitions = new Map();
+
+// ==================== SOURCE VALUES ====================
+
+// Normalize the presentationValues of an ADMX definitionValue into a compact,
+// storable form: { kind, label, value?, values? }.
+export function normalizePresentationValues(dv) {
+  return (dv.presentationValues || []).map(pv => {
+    const type = pv['@odata.type'] || '';
+    let kind;
+    if (type.includes('Boolean')) kind = 'boolean';
+    else if (type.includes('Decimal')) kind = 'decimal';
+    else if (type.includes('MultiText')) kind = 'multiText';
+    else if (type.includes('List')) kind = 'list';
+    else if (type.includes('Text')) kind = 'text';
+    else if (Array.isArray(pv.values)) kind = 'list';
+    else if (typeof pv.value === 'boolean') kind = 'boolean';
+    else if (typeof pv.value === 'number') kind = 'decimal';
+    else kind = 'text';
+
+    const normalized = {
+      kind,
+      label: (pv.presentation && pv.presentation.label) || ''
+    };
+    if (pv.value !== undefined && pv.value !== null) normalized.value = pv.value;
+    if (Array.isArray(pv.values)) normalized.values = pv.values;
+    return normalized;
+  });
+}
+
+// ==================== DEFINITIONS ====================
+
+export function definitionKind(def) {
+  const t = (def && (def['@odata.type'] || def.odataType)) || '';
+  if (t.includes('ChoiceSettingCollection')) return 'choiceCollection';
+  if (t.includes('ChoiceSetting')) return 'choice';
+  if (t.includes('SimpleSettingCollection')) return 'simpleCollection';
+  if (t.includes('SimpleSetting')) return 'simple';
+  if (t.includes('GroupCollection')) return 'groupCollection';
+  return t ? 'unknown' : '';
+}
+
+// IDs of the child settings that depend on a choice option.
+function optionChildIds(option) {
+  return (option && option.dependedOnBy || [])
+    .map(d => d.dependedOnBy)
+    .filter(Boolean);
+}
+
+function referencedIds(def) {
+  const ids = [];
+  for (const option of (def.options || [])) ids.push(...optionChildIds(option));
+  if (Array.isArray(def.childIds)) ids.push(...def.childIds);
+  return ids;
+}
+
+// Load the given setting definitions and all of their child definitions.
+// Failures are collected rather than thrown so one missing definition does
+// not block the remaining settings.
+export async function loadDefinitionTrees(settingDefinitionIds, maxDepth = 3) {
+  const failed = [];
+  let level = [...new Set(settingDefinitionIds.filter(Boolean))];
+
+  for (let depth = 0; depth <= maxDepth && level.length > 0; depth++) {
+    const next = [];
+    for (const id of level) {
+      if (_definitions.has(id)) continue;
+      try {
+        const def = await getSettingDefinition(id);
+        _definitions.set(id, def);
+        next.push(...referencedIds(def));
+      } catch (err) {
+        failed.push({ settingDefinitionId: id, error: err.message });
+      }
+    }
+    level = [...new Set(next)].filter(id => !_definitions.has(id));
+  }
+
+  return { loaded: _definitions.size, failed };
+}
+
+export function getLoadedDefinition(settingDefinitionId) {
+  return _definitions.get(settingDefinitionId) || null;
+}
+
+// ==================== MATCHING ====================
+
+function normalizeLabel(label) {
+  return (label || '').toLowerCase().replace(/[:：]\s*$/, '').replace(/\s+/g, ' ').trim();
+}
+
+function findChoiceOption(def, pv) {
+  const options = def.options || [];
+  if (pv.kind === 'boolean') {
+    const suffix = pv.value ? '_1' : '_0';
+    return options.find(o => (o.itemId || '').endsWith(suffix)) || null;
+  }
+  if (pv.value === undefined) return null;
+  const wanted = String(pv.value).toLowerCase();
+  return options.find(o => o.optionValue && String(o.optionValue.value).toLowerCase() === wanted)
+    || options.find(o => (o.itemId || '').toLowerCase().endsWith(`_${wanted}`))
+    || options.find(o => (o.displayName || '').toLowerCase() === wanted)
+    || null;
+}
+
+// Whether a presentation value can be expressed by a child definition.
+function isCompatible(def, pv) {
+  const kind = definitionKind(def);
+  switch (pv.kind) {
+    case 'text':
+    case 'decimal':
+      return kind === 'simple' || (kind === 'choice' && findChoiceOption(def, pv) !== null);
+    case 'boolean':
+      return kind === 'choice' && findChoiceOption(def, pv) !== null;
+    case 'multiText':
+      return kind === 'simpleCollection';
+    case 'list':
+      return kind === 'simpleCollection' || kind === 'groupCollection' || kind === 'choiceCollection';
+    default:
+      return false;
+  }
+}
+
+// Pair each presentation value with a child definition: first by label
+// (child displayNames mirror the ADMX presentation labels), then by the
+// first remaining child whose type can hold the value.
+function matchChildren(childDefs, presentationValues, warnings) {
+  const remaining = [...childDefs];
+  const pairs = [];
+
+  for (const pv of presentationValues) {
+    const label = normalizeLabel(pv.label);
+    let idx = label ? remaining.findIndex(d => normalizeLabel(d.displayName) === label && isCompatible(d, pv)) : -1;
+    if (idx < 0) idx = remaining.findIndex(d => isCompatible(d, pv));
+    if (idx < 0) {
+      warnings.push(`No child setting accepts presentation value "${pv.label || pv.kind}"`);
+      continue;
+    }
+    pairs.push({ def: remaining.splice(idx, 1)[0], pv });
+  }
+
+  return { pairs, unmatched: remaining };
+}
+
+// ==================== INSTANCES ====================
+
+function simpleValue(def, raw, warnings = []) {
+  const valueType = (def && def.valueDefinition && def.valueDefinition['@odata.type']) || '';
+  const isInteger = valueType.includes('Integer') || (!valueType && typeof raw === 'number');
+  if (isInteger) {
+    const n = typeof raw === 'number' ? raw : parseInt(raw, 10);
+    if (Number.isNaN(n)) warnings.push(`"${raw ?? ''}" is not a number; ${def.id} is sent as 0`);
+    return { '@odata.type': `${ODATA}IntegerSettingValue`, value: Number.isNaN(n) ? 0 : n };
+  }
+  return { '@odata.type': `${ODATA}StringSettingValue`, value: raw === undefined || raw === null ? '' : String(raw) };
+}
+
+function listItems(pv) {
+  if (Array.isArray(pv.values)) {
+    return pv.values.map(v => (v && typeof v === 'object') ? { name: v.name, value: v.value } : { name: v, value: v });
+  }
+  return pv.value !== undefined ? [{ name: pv.value, value: pv.value }] : [];
+}
+
+// A selected option with the child settings that depend on it. The source
+// has no values for those, so they get their defaults (see translateChildren).
+function choiceValue(option, warnings) {
+  return {
+    '@odata.type': `${ODATA}ChoiceSettingValue`,
+    value: option.itemId,
+    children: translateChildren(optionChildIds(option), [], warnings)
+  };
+}
+
+function buildChildInstance(def, pv, warnings) {
+  const kind = definitionKind(def);
+
+  if (kind === 'simple') {
+    return {
+      '@odata.type': `${ODATA}SimpleSettingInstance`,
+      settingDefinitionId: def.id,
+      simpleSettingValue: simpleValue(def, pv.value, warnings)
+    };
+  }
+
+  if (kind === 'choice') {
+    return {
+      '@odata.type': `${ODATA}ChoiceSettingInstance`,
+      settingDefinitionId: def.id,
+      choiceSettingValue: choiceValue(findChoiceOption(def, pv), warnings)
+    };
+  }
+
+  if (kind === 'simpleCollection') {
+    const items = pv.kind === 'multiText'
+      ? (pv.values || []).map(v => (v && typeof v === 'object') ? v.value ?? v.name : v)
+      : listItems(pv).map(i => i.value ?? i.name);
+    return {
+      '@odata.type': `${ODATA}SimpleSettingCollectionInstance`,
+      settingDefinitionId: def.id,
+      simpleSettingCollectionValue: items.map(v => simpleValue(def, v, warnings))
+    };
+  }
+
+  if (kind === 'choiceCollection') {
+    const values = [];
+    for (const item of listItems(pv)) {
+      const option = findChoiceOption(def, { kind: 'text', value: item.value ?? item.name });
+      if (option) values.push(choiceValue(option, warnings));
+      else warnings.push(`"${item.value ?? item.name}" is not an option of ${def.id}`);
+    }
+    return {
+      '@odata.type': `${ODATA}ChoiceSettingCollectionInstance`,
+      settingDefinitionId: def.id,
+      choiceSettingCollectionValue: values
+    };
+  }
+
+  if (kind === 'groupCollection') {
+    // ADMX name/value lists become one group per entry with a key child and a
+    // value child. Identify them by ID suffix, falling back to declaration order.
+    const childDefs = (def.childIds || []).map(id => _definitions.get(id)).filter(Boolean);
+    const keyDef = childDefs.find(d => /_(key|name)$/i.test(d.id)) || childDefs[0];
+    const valueDef = childDefs.find(d => d !== keyDef && /_value$/i.test(d.id)) || childDefs.find(d => d !== keyDef);
+    if (!keyDef) {
+      warnings.push(`Child definitions of ${def.id} could not be loaded`);
+      return null;
+    }
+    return {
+      '@odata.type': `${ODATA}GroupSettingCollectionInstance`,
+      settingDefinitionId: def.id,
+      groupSettingCollectionValue: listItems(pv).map(item => {
+        const children = [{
+          '@odata.type': `${ODATA}SimpleSettingInstance`,
+          settingDefinitionId: keyDef.id,
+          simpleSettingValue: simpleValue(keyDef, item.name, warnings)
+        }];
+        if (valueDef) {
+          children.push({
+            '@odata.type': `${ODATA}SimpleSettingInstance`,
+            settingDefinitionId: valueDef.id,
+            simpleSettingValue: simpleValue(valueDef, item.value ?? item.name, warnings)
+          });
+        }
+        return { '@odata.type': `${ODATA}GroupSettingValue`, children };
+      })
+    };
+  }
+
+  warnings.push(`Unsupported child setting type for ${def.id}`);
+  return null;
+}
+
+// Build the child instances for the selected option of a choice setting.
+function translateChildren(childIds, presentationValues, warnings) {
+  if (childIds.length === 0) {
+    if (presentationValues.length > 0) {
+      warnings.push(`${presentationValues.length} presentation value(s) dropped: target setting has no child settings`);
+    }
+    return [];
+  }
+
+  const childDefs = [];
+  for (const id of childIds) {
+    const def = _definitions.get(id);
+    if (def) childDefs.push(def);
+    else warnings.push(`Child definition ${id} is not loaded`);
+  }
+
+  const { pairs, unmatched } = matchChildren(childDefs, presentationValues, warnings);
+  const children = [];
+  for (const { def, pv } of pairs) {
+    const instance = buildChildInstance(def, pv, warnings);
+    if (instance) children.push(instance);
+  }
+
+  // Fill unmatched choice children with their default option so the
+  // policy keeps the ADMX default rather than being rejected as incomplete.
+  for (const def of unmatched) {
+    if (definitionKind(def) === 'choice' && def.defaultOptionId) {
+      const option = (def.options || []).find(o => o.itemId === def.defaultOptionId) || { itemId: def.defaultOptionId };
+      children.push({
+        '@odata.type': `${ODATA}ChoiceSettingInstance`,
+        settingDefinitionId: def.id,
+        choiceSettingValue: choiceValue(option, warnings)
+      });
+    }
+    warnings.push(`Child setting ${def.id} has no source value`);
+  }
+
+  return children;
+}
+
+// ==================== PAYLOAD ====================
+
+// Build the Graph settingPayload for a mapped setting. When the target
+// definition tree has been loaded (see loadDefinitionTrees), presentation
+// values are translated into child instances; otherwise only the
+// enabled/disabled state is carried over. Returns null for a collection
+// setting that no source value fits. Translation notes are pushed onto
+// `warnings`.
+export function buildSettingPayload(candidate, sourceValues, warnings = []) {
+  const defId = candidate.settingDefinitionId;
+  const def = _definitions.get(defId);
+  const kind = definitionKind(def) || definitionKind({ odataType: candidate['@odata.type'] || candidate.odataType });
+  const values = sourceValues || { enabled: true };
+  const presentationValues = values.presentationValues || [];
+
+  // Collection targets (non-ADMX settings) take the first compatible value
+  // directly. Without one there is no payload: a single simple or choice
+  // instance would be rejected for a collection definition.
+  if (kind === 'simpleCollection' || kind === 'choiceCollection' || kind === 'groupCollection') {
+    if (!def) {
+      warnings.push(`Definition ${defId} not loaded: collection setting not translated`);
+      return null;
+    }
+    const pv = presentationValues.find(p => isCompatible(def, p));
+    const instance = pv ? buildChildInstance(def, pv, warnings) : null;
+    if (instance) return { '@odata.type': `${ODATA}Setting`, settingInstance: instance };
+    warnings.push(`No presentation value fits collection setting ${defId}`);
+    return null;
+  }
+
+  if (kind === 'simple') {
+    const pv = presentationValues[0];
+    // 0 and '' are real values; only a missing one falls through
+    const val = pv && pv.value !== undefined ? pv.value
+      : values.stringValue !== undefined ? values.stringValue
+      : values.numberValue !== undefined ? values.numberValue
+      : '';
+    return {
+      '@odata.type': `${ODATA}Setting`,
+      settingInstance: {
+        '@odata.type': `${ODATA}SimpleSettingInstance`,
+        settingDefinitionId: defId,
+        simpleSettingValue: def ? simpleValue(def, val, warnings) : {
+          '@odata.type': typeof val === 'number' ? `${ODATA}IntegerSettingValue` : `${ODATA}StringSettingValue`,
+          value: val
+        }
+      }
+    };
+  }
+
+  // Choice setting (default for ADMX-backed)
+  const suffix = values.enabled ? '_1' : '_0';
+  const options = (def && def.options) || [];
+  const option = options.find(o => o.itemId === `${defId}${suffix}`) || options.find(o => (o.itemId || '').endsWith(suffix));
+
+  let children = [];
+  if (values.enabled && def) {
+    children = translateChildren(optionChildIds(option), presentationValues, warnings);
+  } else if (values.enabled && presentationValues.length > 0) {
+    warnings.push(`Definition ${defId} not loaded: ${presentationValues.length} presentation value(s) not translated`);
+  }
+
+  return {
+    '@odata.type': `${ODATA}Setting`,
+    settingInstance: {
+      '@odata.type': `${ODATA}ChoiceSettingInstance`,
+      settingDefinitionId: defId,
+      choiceSettingValue: {
+        '@odata.type': `${ODATA}ChoiceSettingValue`,
+        value: option ? option.itemId : `${defId}${suffix}`,
+        children
+      }
+    }
+  };
+}
+
+// Suggestions whose payload buildMappingIndex() builds: mapped ones with no
+// stored payload and no curated entry
+function suggestionsToTranslate(mappingEntries, mappingSuggestions) {
+  const curated = new Set((mappingEntries || []).map(e => `${e.sourcePolicyId}|${e.sourceDefinitionValueId}`));
+  return (mappingSuggestions || [])
+    .filter(s => s.recommended && !s.settingPayload && !curated.has(`${s.sourcePolicyId}|${s.sourceDefinitionValueId}`));
+}
+
+// Load the target definitions of those suggestions, so buildMappingIndex()
+// translates their presentation values. policyIds limits this to some source
+// policies; log(message, level) gets progress and failures. Returns the number
+// of definitions requested (0: the index would not change).
+export async function preloadMappingDefinitions(mappingEntries, mappingSuggestions, { policyIds = null, log = () => {} } = {}) {
+  const ids = [...new Set(suggestionsToTranslate(mappingEntries, mappingSuggestions)
+    .filter(s => !policyIds || policyIds.has(s.sourcePolicyId))
+    .map(s => s.recommended.settingDefinitionId))];
+  if (ids.length === 0) return 0;
+  log(`Loading ${ids.length} setting definitions for value translation...`);
+  const { failed } = await loadDefinitionTrees(ids);
+  for (const f of failed) {
+    log(`Could not load definition ${f.settingDefinitionId}: ${f.error} (values not translated)`, 'warn');
+  }
+  return ids.length;
+}
+
+// Index mapping entries by "sourcePolicyId|sourceDefinitionValueId". Curated
+// mapping entries win; other settings get payloads built from the suggestions.
+// Returns null when there is nothing mapped.
+export function buildMappingIndex(mappingEntries, mappingSuggestions) {
+  const idx = {};
+  for (const e of (mappingEntries || [])) {
+    idx[`${e.sourcePolicyId}|${e.sourceDefinitionValueId}`] = e;
+  }
+  for (const s of (mappingSuggestions || [])) {
+    const key = `${s.sourcePolicyId}|${s.sourceDefinitionValueId}`;
+    if (!s.recommended || idx[key]) continue;
+    const translationWarnings = [];
+    idx[key] = {
+      sourcePolicyId: s.sourcePolicyId,
+      sourceDefinitionValueId: s.sourceDefinitionValueId,
+      targetSettingDefinitionId: s.recommended.settingDefinitionId,
+      settingPayload: s.settingPayload || buildSettingPayload(s.recommended, s.sourceValues || { enabled: true }, translationWarnings),
+      translationWarnings
+    };
+  }
+  return Object.keys(idx).length > 0 ? idx : null;
+}
+
+// ==================== COMPARISON ====================
+
+// Reduce a setting instance to the parts that matter for comparison, so that
+// server-added properties (ids, template references) do not show up as drift.
+export function canonicalInstance(inst) {
+  if (!inst) return null;
+  const out = { id: inst.settingDefinitionId };
+  if (inst.choiceSettingValue) {
+    out.value = inst.choiceSettingValue.value;
+    out.children = canonicalList(inst.choiceSettingValue.children);
+  }
+  if (inst.simpleSettingValue) out.value = String(inst.simpleSettingValue.value);
+  if (inst.simpleSettingCollectionValue) {
+    out.values = inst.simpleSettingCollectionValue.map(v => String(v.value)).sort();
+  }
+  if (inst.choiceSettingCollectionValue) {
+    out.values = inst.choiceSettingCollectionValue
+      .map(v => JSON.stringify({ value: v.value, children: canonicalList(v.children) }))
+      .sort();
+  }
+  if (inst.groupSettingCollectionValue) {
+    out.groups = inst.groupSettingCollectionValue
+      .map(g => JSON.stringify(canonicalList(g.children)))
+      .sort();
+  }
+  return out;
+}
+
+function canonicalList(instances) {
+  return (instances || [])
+    .map(canonicalInstance)
+    .sort((a, b) => (a.id || '').localeCompare(b.id || ''));
+}
+
+// Short human-readable summary of a canonical instance for report tables
+export function describeInstance(c) {
+  if (!c) return '(not configured)';
+  const shortId = v => String(v).replace(c.id, '').replace(/^_/, '') || String(v);
+  let text;
+  if (c.values) text = `[${c.values.length} item(s)]`;
+  else if (c.groups) text = `[${c.groups.length} group(s)]`;
+  else text = c.value !== undefined ? shortId(c.value) : '?';
+  if (c.children && c.children.length > 0) {
+    text += ' { ' + c.children.map(ch => `${ch.id.split('_').pop()}=${ch.value !== undefined ? shortId(ch.value).split('_').pop() : describeInstance(ch)}`).join(', ') + ' }';
+  }
+  return text;
+}
+
+export function assignmentKey(a) {
+  const t = (a && (a.target || a)) || {};
+  return [
+    (t['@odata.type'] || '').replace('#microsoft.graph.', ''),
+    t.groupId || '',
+    t.deviceAndAppManagementAssignmentFilterId || '',
+    t.deviceAndAppManagementAssignmentFilterType || ''
+  ].join('|');
+}
@@ -0,0 +1,182 @@
+// valuecheck.js - Check setting payloads against their target definitions
+// buildSettingPayload() infers the payload shape from the definition type and
+// falls back to a choice instance (or an empty string) when it has to guess.
+// This module walks a finished payload and compares every instance with its
+// loaded definition: instance type, choice options, integer min/max, string
+// length and format, and collection counts. Errors are payloads Graph would
+// reject; warnings are payloads that would be accepted but change behavior
+// (dropped values, defaults, coerced numbers) or could not be verified.
+import { loadDefinitionTrees, getLoadedDefinition, definitionKind, buildSettingPayload } from './translate.js';
+
+const INSTANCE_KINDS = {
+  ChoiceSettingInstance: 'choice',
+  ChoiceSettingCollectionInstance: 'choiceCollection',
+  SimpleSettingInstance: 'simple',
+  SimpleSettingCollectionInstance: 'simpleCollection',
+  GroupSettingCollectionInstance: 'groupCollection'
+};
+
+// Checks for StringSettingValueDefinition.format values we can test locally
+const FORMAT_CHECKS = {
+  guid: v => /^\{?[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}\}?$/i.test(v),
+  email: v => /^[^@\s]+@[^@\s]+\.[^@\s]+$/.test(v),
+  url: v => /^[a-z][a-z0-9+.-]*:\/\/\S+$/i.test(v),
+  ip: v => /^(\d{1,3}\.){3}\d{1,3}$/.test(v) || (v.includes(':') && /^[0-9a-f:]+$/i.test(v)),
+  version: v => /^\d+(\.\d+){0,3}$/.test(v),
+  base64: v => /^[A-Za-z0-9+/]*={0,2}$/.test(v) && v.length % 4 === 0,
+  regEx: v => {
+    try { new RegExp(v); return true; } catch { return false; }
+  },
+  json: v => {
+    try { JSON.parse(v); return true; } catch { return false; }
+  }
+};
+
+function instanceKind(inst) {
+  const type = (inst && inst['@odata.type']) || '';
+  return INSTANCE_KINDS[type.split('deviceManagementConfiguration').pop()] || 'unknown';
+}
+
+function checkCount(def, count, issues) {
+  if (Number.isFinite(def.minimumCount) && count < def.minimumCount) {
+    issues.push({ severity: 'error', message: `${def.id} needs at least ${def.minimumCount} values, got ${count}` });
+  }
+  if (Number.isFinite(def.maximumCount) && def.maximumCount > 0 && count > def.maximumCount) {
+    issues.push({ severity: 'error', message: `${def.id} allows at most ${def.maximumCount} values, got ${count}` });
+  }
+}
+
+function checkSimpleValue(def, value, issues) {
+  const vd = def.valueDefinition || {};
+  const expected = vd['@odata.type'] || '';
+  const actual = (value && value['@odata.type']) || '';
+  const raw = value ? value.value : undefined;
+
+  if (expected.includes('Integer')) {
+    if (!actual.includes('Integer') || !Number.isInteger(raw)) {
+      issues.push({ severity: 'error', message: `${def.id} expects an integer, got "${raw ?? ''}"` });
+      return;
+    }
+    if (Number.isFinite(vd.minimumValue) && raw < vd.minimumValue) {
+      issues.push({ severity: 'error', message: `${def.id}: ${raw} is below the minimum of ${vd.minimumValue}` });
+    }
+    if (Number.isFinite(vd.maximumValue) && raw > vd.maximumValue) {
+      issues.push({ severity: 'error', message: `${def.id}: ${raw} is above the maximum of ${vd.maximumValue}` });
+    }
+    return;
+  }
+
+  if (expected.includes('String')) {
+    if (!actual.includes('String')) {
+      issues.push({ severity: 'error', message: `${def.id} expects a string, got ${actual.replace(/.*Configuration/, '') || 'no value'}` });
+      return;
+    }
+    const text = raw === undefined || raw === null ? '' : String(raw);
+    if (Number.isFinite(vd.minimumLength) && text.length < vd.minimumLength) {
+      issues.push({ severity: 'error', message: `${def.id} needs at least ${vd.minimumLength} characters, got ${text.length}` });
+    } else if (text === '') {
+      issues.push({ severity: 'warning', message: `${def.id} is sent as an empty string` });
+    }
+    if (Number.isFinite(vd.maximumLength) && vd.maximumLength > 0 && text.length > vd.maximumLength) {
+      issues.push({ severity: 'error', message: `${def.id} allows at most ${vd.maximumLength} characters, got ${text.length}` });
+    }
+    const check = FORMAT_CHECKS[vd.format];
+    if (text && check && !check(text)) {
+      issues.push({ severity: 'error', message: `${def.id}: "${text}" is not a valid ${vd.format}` });
+    }
+  }
+}
+
+function checkInstance(inst, issues) {
+  const id = inst && inst.settingDefinitionId;
+  const def = id ? getLoadedDefinition(id) : null;
+  const kind = instanceKind(inst);
+  if (!def) {
+    issues.push({
+      severity: 'warning',
+      message: `Definition ${id || '(none)'} not loaded: the ${kind} payload shape was guessed and cannot be verified`,
+      unverified: true
+    });
+    if (kind === 'simple' && inst.simpleSettingValue && inst.simpleSettingValue.value === '') {
+      issues.push({ severity: 'warning', message: `${id} is sent as an empty string` });
+    }
+    return;
+  }
+
+  const defKind = definitionKind(def);
+  if (defKind && defKind !== 'unknown' && defKind !== kind) {
+    issues.push({ severity: 'error', message: `${id} is a ${defKind} setting, but the payload sends a ${kind} instance` });
+    return;
+  }
+
+  const optionIds = new Set((def.options || []).map(o => o.itemId));
+  if (kind === 'choice') {
+    const value = inst.choiceSettingValue || {};
+    if (!optionIds.has(value.value)) {
+      issues.push({ severity: 'error', message: `${id}: "${value.value}" is not one of its options` });
+    }
+    for (const child of (value.children || [])) checkInstance(child, issues);
+  } else if (kind === 'choiceCollection') {
+    const values = inst.choiceSettingCollectionValue || [];
+    checkCount(def, values.length, issues);
+    for (const v of values) {
+      if (!optionIds.has(v.value)) issues.push({ severity: 'error', message: `${id}: "${v.value}" is not one of its options` });
+    }
+  } else if (kind === 'simple') {
+    checkSimpleValue(def, inst.simpleSettingValue, issues);
+  } else if (kind === 'simpleCollection') {
+    const values = inst.simpleSettingCollectionValue || [];
+    checkCount(def, values.length, issues);
+    for (const v of values) checkSimpleValue(def, v, issues);
+  } else if (kind === 'groupCollection') {
+    const groups = inst.groupSettingCollectionValue || [];
+    checkCount(def, groups.length, issues);
+    for (const g of groups) for (const child of (g.children || [])) checkInstance(child, issues);
+  }
+}
+
+// { status, issues[] } for one payload. status: 'error' | 'warning' |
+// 'unverified' | 'ok'. Translation warnings (values dropped or defaulted
+// while building the payload) are reported as warnings.
+export function checkSettingPayload(payload, translationWarnings = []) {
+  const issues = [];
+  if (!payload || !payload.settingInstance) {
+    issues.push({ severity: 'error', message: 'No setting instance in the payload' });
+  } else {
+    checkInstance(payload.settingInstance, issues);
+  }
+  for (const w of translationWarnings) issues.push({ severity: 'warning', message: w });
+
+  let status = 'ok';
+  if (issues.some(i => i.severity === 'error')) status = 'error';
+  else if (issues.some(i => !i.unverified)) status = 'warning';
+  else if (issues.length > 0) status = 'unverified';
+  return { status, issues };
+}
+
+// Loads the recommended definitions, then stores a `valueCheck` on every
+// suggestion with a recommendation. The check records the definition it
+// was made for, so it goes stale when the recommendation changes.
+export async function checkSuggestionValues(suggestions, onProgress = () => {}) {
+  const mapped = (suggestions || []).filter(s => s.recommended);
+  const ids = mapped.map(s => s.recommended.settingDefinitionId);
+  onProgress(`Loading ${new Set(ids).size} setting definitions...`);
+  const { failed } = await loadDefinitionTrees(ids);
+
+  const counts = { ok: 0, warning: 0, error: 0, unverified: 0 };
+  for (const s of mapped) {
+    const warnings = [];
+    const payload = s.settingPayload || buildSettingPayload(s.recommended, s.sourceValues || { enabled: true }, warnings);
+    const { status, issues } = checkSettingPayload(payload, warnings);
+    s.valueCheck = { settingDefinitionId: s.recommended.settingDefinitionId, status, issues, checkedAt: new Date().toISOString() };
+    counts[status]++;
+  }
+  return { counts, failed };
+}
+
+// The suggestion's value check, or null when it is missing or stale
+export function currentValueCheck(s) {
+  const check = s && s.valueCheck;
+  if (!check || !s.recommended || check.settingDefinitionId !== s.recommended.settingDefinitionId) return null;
+  return check;
+}